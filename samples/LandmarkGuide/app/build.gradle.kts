@@ -163,6 +163,7 @@ dependencies {
   // Firebase - for instant real-time connection
   implementation(platform("com.google.firebase:firebase-bom:32.7.0"))
   implementation("com.google.firebase:firebase-database-ktx")
+  implementation("com.google.firebase:firebase-auth-ktx")
   
   // QR Code generation (ZXing) and scanning (ML Kit)
   implementation("com.google.zxing:core:3.5.3")
@@ -0,0 +1,73 @@
+/*
+ * Anonymous Firebase Auth for the app's server calls.
+ * The STT bridge, the STT functions and room membership checks need a Firebase identity.
+ */
+
+package com.meta.wearable.dat.externalsampleapps.landmarkguide.firebase
+
+import android.util.Log
+import com.google.android.gms.tasks.Task
+import com.google.android.gms.tasks.Tasks
+import com.google.firebase.auth.FirebaseAuth
+import com.google.firebase.auth.FirebaseUser
+import java.util.concurrent.TimeUnit
+
+/**
+ * FirebaseAuthSession - signs the app in anonymously once and hands out ID tokens.
+ *
+ * - Cloud Run bridge: `Authorization: Bearer <idToken>` on the /ws upgrade
+ * - onSttRequestCreated: /sttRequests writes must come from a signed-in user
+ * - Rooms: `uid` on /rooms/{roomId}/users/{userId} ties the room user to this identity
+ */
+object FirebaseAuthSession {
+    private const val TAG = "FirebaseAuthSession"
+
+    private val auth: FirebaseAuth by lazy { FirebaseAuth.getInstance() }
+
+    /** Current Firebase uid, null until signed in. */
+    val uid: String? get() = auth.currentUser?.uid
+
+    private fun signIn(): Task<FirebaseUser> {
+        auth.currentUser?.let { return Tasks.forResult(it) }
+        return auth.signInAnonymously().continueWith { task ->
+            val user = task.result?.user ?: throw IllegalStateException("Anonymous sign-in returned no user")
+            Log.d(TAG, "🔑 Signed in anonymously: ${user.uid}")
+            user
+        }
+    }
+
+    /**
+     * ID token of the signed-in user (signing in first if needed); null if that fails.
+     * The callback runs on the main thread.
+     */
+    fun idToken(callback: (String?) -> Unit) {
+        signIn()
+            .continueWithTask { task -> task.result.getIdToken(false) }
+            .addOnSuccessListener { callback(it.token) }
+            .addOnFailureListener { e ->
+                Log.e(TAG, "❌ ID token failed: ${e.message}")
+                callback(null)
+            }
+    }
+
+    /**
+     * Block until signed in, for worker threads; returns the uid or null on failure/timeout.
+     * Never call from the main thread.
+     */
+    fun awaitSignedIn(timeoutMs: Long = 5000): String? = try {
+        Tasks.await(signIn(), timeoutMs, TimeUnit.MILLISECONDS).uid
+    } catch (e: Exception) {
+        Log.e(TAG, "❌ Sign-in failed: ${e.message}")
+        null
+    }
+
+    /** Sign in in the background and run [onSignedIn] with the uid (null on failure). */
+    fun ensureSignedIn(onSignedIn: (String?) -> Unit) {
+        signIn()
+            .addOnSuccessListener { onSignedIn(it.uid) }
+            .addOnFailureListener { e ->
+                Log.e(TAG, "❌ Sign-in failed: ${e.message}")
+                onSignedIn(null)
+            }
+    }
+}
@@ -5,25 +5,39 @@
 
 package com.meta.wearable.dat.externalsampleapps.landmarkguide.firebase
 
+import android.os.Handler
+import android.os.Looper
 import android.util.Log
 import com.google.firebase.database.*
+import kotlinx.coroutines.suspendCancellableCoroutine
+import kotlinx.coroutines.withTimeoutOrNull
 import org.json.JSONObject
 import java.util.UUID
+import kotlin.coroutines.resume
 
 /**
  * FirebaseRoomService - Instant real-time multi-user connection.
  * 
  * Structure in Firebase:
  * /rooms/{roomId}/
+ *   - createdBy: String  (Firebase Auth uid of the first signed-in user to join; set once)
+ *   /members/{uid}: Long  (join time; stays after leaving, unlike users/)
  *   /users/{oderId}/
  *     - name: String
  *     - language: String
- *     - lastSeen: Long
+ *     - lastSeen: Long  (refreshed every HEARTBEAT_MS while in the room; roomLifecycle's presence)
+ *     - uid: String  (Firebase Auth uid, see FirebaseAuthSession; server-side membership checks use it)
+ *     - online: false, offlineAt: Long  (set by roomLifecycle after a period without activity)
  *   /messages/{messageId}/
  *     - senderId: String
  *     - senderName: String
- *     - originalText: String
- *     - translatedTexts: { "en": "...", "ko": "..." }
+ *     - originalText: String  (replaced with the redacted text when the room has a moderationPolicy)
+ *     - translatedTexts: { "en": "...", "ko": "..." }  (written by onMessageCreated)
+ *     - translationInfo: { "en": { "status": "pending" | "done" | "failed", "error"? } }
+ *     - moderation: { "status": "clean" | "redacted" | "flagged", "pii"?, "profanity"? }  (written by onMessageCreated)
+ *     - translatedAudio: { "en": { "pending": true } | { "url", "durationMs", ... } | { "error" } }  (server TTS, if on)
+ *   Peers only show a message once onMessageCreated has processed it (RoomMessage.processed), so they
+ *   never see text that moderation is about to redact. partialText captions are not moderated.
  *     - timestamp: Long
  */
 class FirebaseRoomService(
@@ -34,6 +48,7 @@ class FirebaseRoomService(
 ) {
     companion object {
         private const val TAG = "FirebaseRoom"
+        private const val HEARTBEAT_MS = 60_000L
     }
 
     private val database = FirebaseDatabase.getInstance()
@@ -43,6 +58,13 @@ class FirebaseRoomService(
     private var usersValueListener: ValueEventListener? = null  // For periodic sync
     private var messagesListener: ChildEventListener? = null
     private var myUserRef: DatabaseReference? = null
+    private val heartbeatHandler = Handler(Looper.getMainLooper())
+    private val heartbeat = object : Runnable {
+        override fun run() {
+            myUserRef?.child("lastSeen")?.setValue(ServerValue.TIMESTAMP) ?: return
+            heartbeatHandler.postDelayed(this, HEARTBEAT_MS)
+        }
+    }
     
     var myName = "User"
     var myLanguage = "ko"
@@ -71,15 +93,35 @@ class FirebaseRoomService(
         
         // Add myself to users
         myUserRef = currentRoomRef!!.child("users").child(myUserId)
-        myUserRef!!.setValue(mapOf(
+        val userEntry = mutableMapOf<String, Any>(
             "name" to userName,
             "language" to language,
             "lastSeen" to ServerValue.TIMESTAMP
-        ))
+        )
+        FirebaseAuthSession.uid?.let { userEntry["uid"] = it }
+        myUserRef!!.setValue(userEntry)
+        val roomRef = currentRoomRef!!
+        val signedInUid = FirebaseAuthSession.uid
+        if (signedInUid != null) {
+            registerMember(roomRef, signedInUid)
+        } else {
+            // First launch: add the uid once the anonymous sign-in finishes
+            val userRef = myUserRef!!
+            FirebaseAuthSession.ensureSignedIn { uid ->
+                uid?.let {
+                    userRef.child("uid").setValue(it)
+                    registerMember(roomRef, it)
+                }
+            }
+        }
         
         // Remove myself when disconnected
         myUserRef!!.onDisconnect().removeValue()
         
+        // Keep lastSeen fresh so roomLifecycle doesn't mark me offline
+        heartbeatHandler.removeCallbacks(heartbeat)
+        heartbeatHandler.postDelayed(heartbeat, HEARTBEAT_MS)
+        
         // Listen for users (both child events and value events for sync)
         listenForUsers()
         syncUsersFromFirebase()  // Initial sync
@@ -239,6 +281,11 @@ class FirebaseRoomService(
             override fun onChildAdded(snapshot: DataSnapshot, previousChildName: String?) {
                 val message = parseMessage(snapshot)
                 if (message != null && message.senderId != myUserId) {
+                    if (!message.processed) {
+                        // onMessageCreated may still redact it (moderationPolicy); wait for onChildChanged
+                        Log.d(TAG, "⏳ Holding message ${message.messageId} until the server has processed it")
+                        return
+                    }
                     Log.d(TAG, "📨 Message from ${message.senderName}: ${message.originalText.take(30)}")
                     onMessageReceived(message)
                 }
@@ -248,7 +295,9 @@ class FirebaseRoomService(
                 // Listen for TTS playback updates (ttsPlayingBy, ttsPlayedBy fields)
                 Log.d(TAG, "🔄 onChildChanged triggered for message: ${snapshot.key}, changed field: $previousChildName")
                 val message = parseMessage(snapshot)
-                if (message != null) {
+                if (message != null && message.senderId != myUserId && !message.processed) {
+                    Log.d(TAG, "⏳ Still holding message ${message.messageId}")
+                } else if (message != null) {
                     Log.d(TAG, "📨 Parsed message update: ${message.messageId}, playing: ${message.ttsPlayingBy.size}, played: ${message.ttsPlayedBy.size}")
                     // Notify for both my messages (to update ttsPlayedByOthers) and peer messages
                     onMessageReceived(message)
@@ -316,6 +365,35 @@ class FirebaseRoomService(
         Log.d(TAG, "🔊✓ Marked TTS played for message: $messageId")
     }
     
+    /**
+     * Wait until the server's speech for [language] of a message is ready.
+     * Returns the entry ({ url } or { error }), or null if it is still pending after [timeoutMs].
+     */
+    suspend fun awaitTranslatedAudio(messageId: String, language: String, timeoutMs: Long): TranslatedAudio? {
+        val audioRef = currentRoomRef?.child("messages")?.child(messageId)?.child("translatedAudio")?.child(language)
+            ?: return null
+        return withTimeoutOrNull(timeoutMs) {
+            suspendCancellableCoroutine { cont ->
+                val listener = object : ValueEventListener {
+                    override fun onDataChange(snapshot: DataSnapshot) {
+                        val audio = parseTranslatedAudio(snapshot)
+                        if (audio.pending || !cont.isActive) return
+                        audioRef.removeEventListener(this)
+                        cont.resume(audio)
+                    }
+
+                    override fun onCancelled(error: DatabaseError) {
+                        Log.e(TAG, "translatedAudio listener error: ${error.message}")
+                        audioRef.removeEventListener(this)
+                        if (cont.isActive) cont.resume(TranslatedAudio(error = "listener_cancelled"))
+                    }
+                }
+                cont.invokeOnCancellation { audioRef.removeEventListener(listener) }
+                audioRef.addValueEventListener(listener)
+            }
+        }
+    }
+
     /**
      * Send speaking status - lets others know you're about to speak
      */
@@ -327,7 +405,8 @@ class FirebaseRoomService(
     }
     
     /**
-     * Send streaming partial text for real-time updates
+     * Send streaming partial text for real-time updates.
+     * Not moderated: only finished messages go through onMessageCreated's moderationPolicy.
      */
     fun sendPartialText(partialText: String, speakerLanguage: String = myLanguage) {
         if (partialText.isBlank()) return
@@ -338,12 +417,31 @@ class FirebaseRoomService(
         ))
     }
 
+    /**
+     * Record [uid] as a member of the room, and as its creator if it has none yet.
+     * The room APIs check these (firebase-functions/roomAccess.js).
+     */
+    private fun registerMember(roomRef: DatabaseReference, uid: String) {
+        roomRef.child("members").child(uid).setValue(ServerValue.TIMESTAMP)
+        roomRef.child("createdBy").runTransaction(object : Transaction.Handler {
+            override fun doTransaction(currentData: MutableData): Transaction.Result {
+                if (currentData.value == null) currentData.value = uid
+                return Transaction.success(currentData)
+            }
+
+            override fun onComplete(error: DatabaseError?, committed: Boolean, currentData: DataSnapshot?) {
+                if (error != null) Log.e(TAG, "❌ Failed to set room creator: ${error.message}")
+            }
+        })
+    }
+
     /**
      * Leave the current room.
      */
     fun leaveRoom() {
         Log.d(TAG, "🚪 Leaving room")
         
+        heartbeatHandler.removeCallbacks(heartbeat)
         usersListener?.let { currentRoomRef?.child("users")?.removeEventListener(it) }
         usersValueListener?.let { currentRoomRef?.child("users")?.removeEventListener(it) }
         messagesListener?.let { currentRoomRef?.child("messages")?.removeEventListener(it) }
@@ -384,6 +482,20 @@ class FirebaseRoomService(
                 translatedTexts[child.key ?: ""] = child.getValue(String::class.java) ?: ""
             }
             
+            val translationStatus = mutableMapOf<String, TranslationStatus>()
+            snapshot.child("translationInfo").children.forEach { child ->
+                val status = child.child("status").getValue(String::class.java) ?: return@forEach
+                translationStatus[child.key ?: ""] = TranslationStatus(
+                    status = status,
+                    error = child.child("error").getValue(String::class.java)
+                )
+            }
+            
+            val translatedAudio = mutableMapOf<String, TranslatedAudio>()
+            snapshot.child("translatedAudio").children.forEach { child ->
+                translatedAudio[child.key ?: ""] = parseTranslatedAudio(child)
+            }
+            
             val ttsPlayingBy = mutableSetOf<String>()
             snapshot.child("ttsPlayingBy").children.forEach { child ->
                 if (child.getValue(Boolean::class.java) == true) {
@@ -405,15 +517,32 @@ class FirebaseRoomService(
                 senderLanguage = snapshot.child("senderLanguage").getValue(String::class.java) ?: "en",
                 originalText = snapshot.child("originalText").getValue(String::class.java) ?: "",
                 translatedTexts = translatedTexts,
+                translationStatus = translationStatus,
+                translatedAudio = translatedAudio,
                 timestamp = snapshot.child("timestamp").getValue(Long::class.java) ?: 0L,
                 ttsPlayingBy = ttsPlayingBy,
-                ttsPlayedBy = ttsPlayedBy
+                ttsPlayedBy = ttsPlayedBy,
+                // onMessageCreated writes moderation/translationInfo together with the redacted text
+                processed = snapshot.hasChild("moderation") || snapshot.hasChild("translationInfo") ||
+                    snapshot.child("translationJob").child("state").getValue(String::class.java) == "done"
             )
         } catch (e: Exception) {
             Log.e(TAG, "Failed to parse message: ${e.message}")
             null
         }
     }
+
+    // A missing entry counts as pending while awaitTranslatedAudio waits for it
+    private fun parseTranslatedAudio(snapshot: DataSnapshot): TranslatedAudio {
+        val url = snapshot.child("url").getValue(String::class.java)
+        val error = snapshot.child("error").getValue(String::class.java)
+        return TranslatedAudio(
+            url = url,
+            error = error,
+            pending = url == null && error == null,
+            durationMs = snapshot.child("durationMs").getValue(Long::class.java)
+        )
+    }
 }
 
 data class RoomUser(
@@ -431,5 +560,28 @@ data class RoomMessage(
     val translatedTexts: Map<String, String>,
     val timestamp: Long,
     val ttsPlayingBy: Set<String> = emptySet(),  // User IDs who are currently playing TTS
-    val ttsPlayedBy: Set<String> = emptySet()  // User IDs who have completed TTS playback
+    val ttsPlayedBy: Set<String> = emptySet(),  // User IDs who have completed TTS playback
+    val translationStatus: Map<String, TranslationStatus> = emptyMap(),
+    val processed: Boolean = true,  // false until onMessageCreated has moderated it; peers hold it back until then
+    val translatedAudio: Map<String, TranslatedAudio> = emptyMap()
+) {
+    /**
+     * The server translation for [language], or null while it is pending or if it failed.
+     */
+    fun translationFor(language: String): String? {
+        if (translationStatus[language]?.status == "failed") return null
+        return translatedTexts[language]
+    }
+}
+
+data class TranslatedAudio(
+    val url: String? = null,  // Firebase Storage download URL of the mp3/wav
+    val error: String? = null,  // synthesis failed; speak the text on the device instead
+    val pending: Boolean = false,  // the server is still synthesizing it
+    val durationMs: Long? = null
+)
+
+data class TranslationStatus(
+    val status: String,  // "pending", "done" or "failed"
+    val error: String? = null
 )
@@ -7,6 +7,7 @@
 package com.meta.wearable.dat.externalsampleapps.landmarkguide.translation
 
 import android.util.Log
+import com.meta.wearable.dat.externalsampleapps.landmarkguide.firebase.FirebaseAuthSession
 import kotlinx.coroutines.flow.MutableStateFlow
 import kotlinx.coroutines.flow.StateFlow
 import kotlinx.coroutines.flow.asStateFlow
@@ -37,6 +38,7 @@ class ChirpStreamingSpeechService {
         .build()
 
     private var ws: WebSocket? = null
+    private var connecting = false
     private var currentLanguage: String = "ko-KR"
     private var isOpen = false
     private var isReady = false
@@ -94,10 +96,23 @@ class ChirpStreamingSpeechService {
     fun isConnected(): Boolean = _isListening.value && isOpen
 
     private fun connect() {
-        if (ws != null) return
+        if (ws != null || connecting) return
+        connecting = true
+
+        // The bridge rejects sockets without a Firebase identity (see cloudrun-stt-streaming/auth.js)
+        FirebaseAuthSession.idToken { idToken ->
+            connecting = false
+            if (!_isListening.value || ws != null) return@idToken
+            if (idToken == null) Log.w(TAG, "⚠️ No Firebase ID token; connecting without one")
+            openSocket(idToken)
+        }
+    }
 
+    private fun openSocket(idToken: String?) {
         val wsUrl = CLOUD_RUN_BASE_URL.replace("https://", "wss://") + WS_PATH
-        val request = Request.Builder().url(wsUrl).build()
+        val request = Request.Builder().url(wsUrl).apply {
+            if (idToken != null) header("Authorization", "Bearer $idToken")
+        }.build()
 
         ws = client.newWebSocket(request, object : WebSocketListener() {
             override fun onOpen(webSocket: WebSocket, response: Response) {
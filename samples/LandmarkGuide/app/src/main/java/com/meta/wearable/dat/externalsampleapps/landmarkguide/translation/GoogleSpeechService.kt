@@ -12,6 +12,7 @@ import com.google.firebase.database.DatabaseError
 import com.google.firebase.database.FirebaseDatabase
 import com.google.firebase.database.ServerValue
 import com.google.firebase.database.ValueEventListener
+import com.meta.wearable.dat.externalsampleapps.landmarkguide.firebase.FirebaseAuthSession
 import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Dispatchers
 import kotlinx.coroutines.Job
@@ -237,6 +238,12 @@ class GoogleSpeechService {
                 org.json.JSONArray().apply { put(currentLanguage) }
             }
 
+            // onSttRequestCreated only answers requests written by a signed-in user
+            if (FirebaseAuthSession.awaitSignedIn() == null) {
+                onError?.invoke("STT sign-in failed")
+                return
+            }
+
             // DB-triggered STT v2 request (no HTTPS invoker needed)
             val requestId = sttRequestsRef.push().key
             if (requestId.isNullOrBlank()) {
@@ -13,6 +13,9 @@ import android.media.AudioAttributes
 import android.media.AudioFormat
 import android.media.AudioManager
 import android.media.AudioTrack
+import android.media.MediaCodec
+import android.media.MediaExtractor
+import android.media.MediaFormat
 import android.util.Log
 import com.meta.wearable.dat.externalsampleapps.landmarkguide.BuildConfig
 import kotlinx.coroutines.Dispatchers
@@ -29,6 +32,7 @@ import okhttp3.Request
 import okhttp3.RequestBody.Companion.toRequestBody
 import org.json.JSONArray
 import org.json.JSONObject
+import java.io.ByteArrayOutputStream
 import java.util.concurrent.TimeUnit
 
 /**
@@ -274,6 +278,114 @@ class OpenAITranslationService(private val context: Context) {
         }
     }
     
+    /**
+     * Play server-synthesized speech (a message's translatedAudio url, mp3 or wav).
+     * Goes through the same queue as speak(), so it keeps its turn and uses Bluetooth the same way.
+     * Returns false if the file could not be fetched or decoded; the caller then speaks the text.
+     */
+    suspend fun playStoredAudio(
+        url: String,
+        useBluetooth: Boolean = true,
+        onComplete: (() -> Unit)? = null
+    ): Boolean = withContext(Dispatchers.IO) {
+        try {
+            val startTime = System.currentTimeMillis()
+            val (pcmData, sampleRate) = decodeToMonoPcm(url)
+            if (pcmData.isEmpty()) {
+                Log.e(TAG, "❌ Stored audio has no samples")
+                return@withContext false
+            }
+            Log.d(TAG, "⏱️ Stored audio decoded: ${pcmData.size} bytes in ${System.currentTimeMillis() - startTime}ms")
+            queueAudio(pcmData, sampleRate, useBluetooth, onComplete)
+            true
+        } catch (e: Exception) {
+            Log.e(TAG, "❌ Stored audio error: ${e.message}", e)
+            false
+        }
+    }
+    
+    /**
+     * Stream [url] through MediaExtractor and decode it to 16-bit mono PCM for the playback queue.
+     * @return the samples and their sample rate
+     */
+    private fun decodeToMonoPcm(url: String): Pair<ByteArray, Int> {
+        val extractor = MediaExtractor()
+        var codec: MediaCodec? = null
+        try {
+            extractor.setDataSource(url)
+            val track = (0 until extractor.trackCount).firstOrNull { i ->
+                extractor.getTrackFormat(i).getString(MediaFormat.KEY_MIME)?.startsWith("audio/") == true
+            } ?: throw IllegalStateException("No audio track")
+            extractor.selectTrack(track)
+            val format = extractor.getTrackFormat(track)
+            var sampleRate = format.getInteger(MediaFormat.KEY_SAMPLE_RATE)
+            var channels = format.getInteger(MediaFormat.KEY_CHANNEL_COUNT)
+            
+            val decoder = MediaCodec.createDecoderByType(format.getString(MediaFormat.KEY_MIME)!!)
+            codec = decoder
+            decoder.configure(format, null, null, 0)
+            decoder.start()
+            
+            val output = ByteArrayOutputStream()
+            val info = MediaCodec.BufferInfo()
+            var inputDone = false
+            while (true) {
+                if (!inputDone) {
+                    val inIndex = decoder.dequeueInputBuffer(10_000)
+                    if (inIndex >= 0) {
+                        val size = extractor.readSampleData(decoder.getInputBuffer(inIndex)!!, 0)
+                        if (size < 0) {
+                            decoder.queueInputBuffer(inIndex, 0, 0, 0, MediaCodec.BUFFER_FLAG_END_OF_STREAM)
+                            inputDone = true
+                        } else {
+                            decoder.queueInputBuffer(inIndex, 0, size, extractor.sampleTime, 0)
+                            extractor.advance()
+                        }
+                    }
+                }
+                
+                val outIndex = decoder.dequeueOutputBuffer(info, 10_000)
+                if (outIndex == MediaCodec.INFO_OUTPUT_FORMAT_CHANGED) {
+                    sampleRate = decoder.outputFormat.getInteger(MediaFormat.KEY_SAMPLE_RATE)
+                    channels = decoder.outputFormat.getInteger(MediaFormat.KEY_CHANNEL_COUNT)
+                } else if (outIndex >= 0) {
+                    val chunk = ByteArray(info.size)
+                    decoder.getOutputBuffer(outIndex)?.apply {
+                        position(info.offset)
+                        get(chunk)
+                    }
+                    decoder.releaseOutputBuffer(outIndex, false)
+                    output.write(if (channels > 1) downmix(chunk, channels) else chunk)
+                    if (info.flags and MediaCodec.BUFFER_FLAG_END_OF_STREAM != 0) break
+                }
+            }
+            return output.toByteArray() to sampleRate
+        } finally {
+            codec?.let {
+                runCatching { it.stop() }
+                it.release()
+            }
+            extractor.release()
+        }
+    }
+    
+    // Average interleaved 16-bit little-endian channels into one (the queue plays mono)
+    private fun downmix(pcm: ByteArray, channels: Int): ByteArray {
+        val frames = pcm.size / (2 * channels)
+        val mono = ByteArray(frames * 2)
+        for (frame in 0 until frames) {
+            var sum = 0
+            for (ch in 0 until channels) {
+                val i = (frame * channels + ch) * 2
+                sum += (pcm[i].toInt() and 0xFF) or (pcm[i + 1].toInt() shl 8)
+            }
+            val sample = sum / channels
+            mono[frame * 2] = sample.toByte()
+            mono[frame * 2 + 1] = (sample shr 8).toByte()
+        }
+        return mono
+    }
+    
     /**
      * Translate and speak in one call (optimized pipeline)
      */
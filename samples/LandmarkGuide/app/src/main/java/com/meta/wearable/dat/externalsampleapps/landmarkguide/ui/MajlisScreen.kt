@@ -44,6 +44,7 @@ import androidx.compose.ui.unit.sp
 import androidx.core.content.ContextCompat
 import androidx.lifecycle.compose.collectAsStateWithLifecycle
 import com.meta.wearable.dat.externalsampleapps.landmarkguide.audio.BluetoothScoAudioCapture
+import com.meta.wearable.dat.externalsampleapps.landmarkguide.firebase.RoomMessage
 import com.meta.wearable.dat.externalsampleapps.landmarkguide.translation.SonioxStreamingSpeechService
 import com.meta.wearable.dat.externalsampleapps.landmarkguide.translation.OpenAITranslationService
 import com.meta.wearable.dat.externalsampleapps.landmarkguide.translation.GoogleTranslationService
@@ -54,6 +55,9 @@ import com.meta.wearable.dat.externalsampleapps.landmarkguide.utils.LanguagePref
 import kotlinx.coroutines.launch
 import kotlinx.coroutines.Dispatchers
 
+// How long a peer message waits for its pending server speech (functions' TTS_TIMEOUT_MS is 15 s)
+private const val SERVER_AUDIO_WAIT_MS = 20_000L
+
 /**
  * Majlis - Multi-user Real-time Translation Room
  * 
@@ -646,7 +650,7 @@ fun MajlisRoomScreen(
     // =============================================
     var connectedUsers by remember { mutableStateOf(listOf<com.meta.wearable.dat.externalsampleapps.landmarkguide.firebase.RoomUser>()) }
     var firebaseStatus by remember { mutableStateOf("Connecting...") }
-    var firebaseMessages by remember { mutableStateOf(listOf<com.meta.wearable.dat.externalsampleapps.landmarkguide.firebase.RoomMessage>()) }
+    var firebaseMessages by remember { mutableStateOf(listOf<RoomMessage>()) }
     var isFirebaseConnected by remember { mutableStateOf(false) }
     var actualUserCount by remember { mutableStateOf(1) }  // Start with 1 (myself)
     
@@ -1203,8 +1207,30 @@ fun MajlisRoomScreen(
     val translationCallbacks = remember { mutableMapOf<String, (String) -> Unit>() }
     val translationDeltaCallbacks = remember { mutableMapOf<String, (String) -> Unit>() }  // For streaming updates
     val messageTextMap = remember { mutableMapOf<String, String>() }  // messageId -> originalText
+    val serverTranslatedIds = remember { mutableSetOf<String>() }  // Peer messages showing the server (onMessageCreated) translation
     val ttsPlayingMessageIds = remember { mutableMapOf<String, String>() }  // messageId -> current playing messageId (for Realtime TTS)
     
+    // Speak a peer message: the server's stored speech (translatedAudio) if onMessageCreated made it,
+    // otherwise the device TTS (no server TTS, synthesis failed, or still pending after SERVER_AUDIO_WAIT_MS)
+    suspend fun speakPeerMessage(message: RoomMessage, text: String, onComplete: () -> Unit) {
+        val audio = message.translatedAudio[myListeningLanguage]
+        val stored = if (audio?.pending == true) {
+            android.util.Log.d("MajlisRoom", "⏳ Waiting for server audio: ${message.messageId}")
+            firebaseService.awaitTranslatedAudio(message.messageId, myListeningLanguage, SERVER_AUDIO_WAIT_MS)
+        } else {
+            audio
+        }
+        val url = stored?.url
+        if (url != null && openAI.playStoredAudio(url, useBluetooth = true, onComplete = onComplete)) {
+            android.util.Log.d("MajlisRoom", "🔊 Playing server audio: ${message.messageId}")
+            return
+        }
+        if (audio != null) {
+            android.util.Log.d("MajlisRoom", "🔊 No server audio for ${message.messageId} (${stored?.error ?: "timed out"}), using device TTS")
+        }
+        openAI.speak(text, myListeningLanguage, useBluetooth = true, voice = detectedVoice, onComplete = onComplete)
+    }
+    
     // Setup onSpeechEnd callback for Realtime TTS
     LaunchedEffect(Unit) {
         openAIRealtimeTTS.onSpeechEnd = {
@@ -1304,6 +1330,30 @@ fun MajlisRoomScreen(
         }
     }
     
+    // Server translations that arrive after a message was shown replace the client-side text.
+    // Keyed on each peer message's status for my language (pending → done / failed).
+    val serverTranslationKey = firebaseMessages
+        .filter { it.senderId != firebaseService.myUserId && it.senderLanguage != myListeningLanguage }
+        .joinToString("|") { "${it.messageId}:${it.translationStatus[myListeningLanguage]?.status}" }
+    LaunchedEffect(serverTranslationKey) {
+        firebaseMessages.forEach { firebaseMsg ->
+            if (firebaseMsg.messageId in serverTranslatedIds) return@forEach
+            if (firebaseMsg.senderId == firebaseService.myUserId || firebaseMsg.senderLanguage == myListeningLanguage) return@forEach
+            val translated = firebaseMsg.translationFor(myListeningLanguage) ?: return@forEach
+            if (chatHistory.none { it.messageId == firebaseMsg.messageId }) return@forEach
+            
+            android.util.Log.d("MajlisRoom", "🌐 Server translation arrived for ${firebaseMsg.messageId}: $translated")
+            serverTranslatedIds.add(firebaseMsg.messageId)
+            chatHistory = chatHistory.map { msg ->
+                if (msg.messageId == firebaseMsg.messageId) {
+                    msg.copy(translated = translated, isComplete = true)
+                } else {
+                    msg
+                }
+            }
+        }
+    }
+    
     // Add Firebase messages to chat history when received + CLIENT-SIDE TRANSLATION + TTS
     // CLIENT-SIDE TRANSLATION: Each receiver translates to their own language using OpenAI
     LaunchedEffect(firebaseMessages.size) {
@@ -1404,11 +1454,9 @@ fun MajlisRoomScreen(
                         android.util.Log.d("MajlisRoom", "🔊 Playing TTS (same language): ${latestMessage.originalText}")
                         // Notify sender that TTS playback started
                         firebaseService.markTTSPlaying(latestMessage.messageId)
-                        val ttsSuccess = openAI.speak(
-                            latestMessage.originalText, 
-                            myListeningLanguage, 
-                            useBluetooth = true, 
-                            voice = detectedVoice,
+                        speakPeerMessage(
+                            latestMessage,
+                            latestMessage.originalText,
                             onComplete = {
                                 // Update TTS played status after completion
                                 chatHistory = chatHistory.map { msg ->
@@ -1444,6 +1492,51 @@ fun MajlisRoomScreen(
                     return@LaunchedEffect
                 }
                 
+                // Server already translated it (onMessageCreated): show and speak that, skip Realtime
+                val serverTranslation = latestMessage.translationFor(myListeningLanguage)
+                if (serverTranslation != null) {
+                    android.util.Log.d("MajlisRoom", "🌐 Server translation for ${latestMessage.messageId}: $serverTranslation")
+                    serverTranslatedIds.add(latestMessage.messageId)
+                    val newMessage = ChatMessage(
+                        speaker = latestMessage.senderName,
+                        speakerLanguage = latestMessage.senderLanguage,
+                        original = latestMessage.originalText,
+                        translated = serverTranslation,
+                        timestamp = latestMessage.timestamp,
+                        messageId = latestMessage.messageId,
+                        isComplete = true,
+                        isSent = false,  // Not my message
+                        isTTSPlayed = false  // Will be updated after TTS completes
+                    )
+                    chatHistory = (chatHistory + newMessage).sortedBy { it.timestamp }
+                    
+                    scope.launch {
+                        try {
+                            // Notify sender that TTS playback started
+                            firebaseService.markTTSPlaying(latestMessage.messageId)
+                            speakPeerMessage(
+                                latestMessage,
+                                serverTranslation,
+                                onComplete = {
+                                    chatHistory = chatHistory.map { msg ->
+                                        if (msg.messageId == latestMessage.messageId) {
+                                            msg.copy(isTTSPlayed = true)
+                                        } else {
+                                            msg
+                                        }
+                                    }
+                                    // Notify sender that TTS playback completed
+                                    firebaseService.markTTSPlayed(latestMessage.messageId)
+                                    android.util.Log.d("MajlisRoom", "🔊✓ TTS playback completed for message: ${latestMessage.messageId}")
+                                }
+                            )
+                        } catch (e: Exception) {
+                            android.util.Log.e("MajlisRoom", "❌ TTS error: ${e.message}", e)
+                        }
+                    }
+                    return@LaunchedEffect
+                }
+                
                 // Add to chat history with original text first (will update with translation)
                 // Mark as complete since we received the full original text from Firebase
                 val newMessage = ChatMessage(
@@ -1471,8 +1564,9 @@ fun MajlisRoomScreen(
                             android.util.Log.d("MajlisRoom", "✅ Realtime translation for ${latestMessage.messageId}: $translatedText")
                             
                             // Update chat history with translation using messageId
+                            // (unless the server translation arrived first, see serverTranslatedIds)
                             chatHistory = chatHistory.map { msg ->
-                                if (msg.messageId == latestMessage.messageId) {
+                                if (msg.messageId == latestMessage.messageId && msg.messageId !in serverTranslatedIds) {
                                     msg.copy(translated = translatedText, isComplete = true)  // Mark as complete
                                 } else {
                                     msg
@@ -1493,7 +1587,7 @@ fun MajlisRoomScreen(
                             // Update chat history with streaming translation text
                             // Direct update - Compose state can be updated from any thread
                             chatHistory = chatHistory.map { msg ->
-                                if (msg.messageId == messageId) {
+                                if (msg.messageId == messageId && messageId !in serverTranslatedIds) {
                                     msg.copy(translated = streamingText, isComplete = false)  // Mark as streaming
                                 } else {
                                     msg
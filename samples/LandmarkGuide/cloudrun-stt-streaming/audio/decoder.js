@@ -0,0 +1,280 @@
+/**
+ * Client audio → recognizer audio.
+ *
+ * Decodes whatever the client sends (`encoding` in the config message), downmixes to mono and
+ * resamples to the rate the selected provider wants. Providers always receive PCM16 LE mono.
+ *
+ * Supported `encoding` values (case-insensitive):
+ * - LINEAR16 (alias PCM16, S16LE)  raw PCM16 LE; needs sampleRateHertz / audioChannelCount
+ * - MULAW (alias ULAW, PCMU)       raw G.711 μ-law; needs sampleRateHertz / audioChannelCount
+ * - ALAW (alias PCMA)              raw G.711 A-law; needs sampleRateHertz / audioChannelCount
+ * - WAV                            RIFF/WAVE stream (PCM 8/16/24/32-bit, float32, μ-law, A-law); header gives rate/channels
+ * - OGG_OPUS                       Ogg Opus byte stream; header gives channels
+ * - OPUS                           raw Opus packets, one per WebSocket frame; needs sampleRateHertz / audioChannelCount
+ */
+
+const { Resampler } = require('./resampler');
+const { OggOpusDecoder, OpusPacketDecoder, OPUS_RATES } = require('./oggOpus');
+const { bytesToInt16, int16ToBytes, downmix } = require('./pcm');
+
+const ENCODING_ALIASES = {
+  LINEAR16: 'LINEAR16',
+  PCM16: 'LINEAR16',
+  S16LE: 'LINEAR16',
+  MULAW: 'MULAW',
+  ULAW: 'MULAW',
+  PCMU: 'MULAW',
+  ALAW: 'ALAW',
+  PCMA: 'ALAW',
+  WAV: 'WAV',
+  WAVE: 'WAV',
+  OGG_OPUS: 'OGG_OPUS',
+  OGG: 'OGG_OPUS',
+  OPUS: 'OPUS',
+};
+
+const SUPPORTED_ENCODINGS = ['LINEAR16', 'MULAW', 'ALAW', 'WAV', 'OGG_OPUS', 'OPUS'];
+const MIN_RATE_HZ = 4000;
+const MAX_RATE_HZ = 192000;
+const MAX_CHANNELS = 8;
+const MAX_WAV_HEADER_BYTES = 64 * 1024;
+
+class UnsupportedAudioError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'UnsupportedAudioError';
+    this.details = details;
+  }
+}
+
+// G.711 tables
+const MULAW_TABLE = new Int16Array(256);
+const ALAW_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xff;
+  let t = ((u & 0x0f) << 3) + 0x84;
+  t <<= (u & 0x70) >> 4;
+  MULAW_TABLE[i] = u & 0x80 ? 0x84 - t : t - 0x84;
+
+  const a = i ^ 0x55;
+  let v = (a & 0x0f) << 4;
+  const seg = (a & 0x70) >> 4;
+  if (seg === 0) v += 8;
+  else if (seg === 1) v += 0x108;
+  else v = (v + 0x108) << (seg - 1);
+  ALAW_TABLE[i] = a & 0x80 ? v : -v;
+}
+
+function g711ToInt16(buf, table) {
+  const out = new Int16Array(buf.length);
+  for (let i = 0; i < buf.length; i++) out[i] = table[buf[i]];
+  return out;
+}
+
+function normalizeEncoding(encoding) {
+  if (encoding === undefined || encoding === null || encoding === '') return 'LINEAR16';
+  return ENCODING_ALIASES[String(encoding).toUpperCase()] || null;
+}
+
+/** Raw sample decoders: bytes → interleaved Int16Array, carrying partial sample frames across chunks. */
+function makeSampleReader(format, bitsPerSample, channels) {
+  const bytesPerSample = Math.ceil(bitsPerSample / 8);
+  const bytesPerFrame = bytesPerSample * channels;
+  let carry = null;
+  return (buf) => {
+    let b = carry ? Buffer.concat([carry, buf]) : buf;
+    const usable = b.length - (b.length % bytesPerFrame);
+    carry = usable < b.length ? Buffer.from(b.subarray(usable)) : null;
+    b = b.subarray(0, usable);
+
+    if (format === 'MULAW') return g711ToInt16(b, MULAW_TABLE);
+    if (format === 'ALAW') return g711ToInt16(b, ALAW_TABLE);
+    if (format === 'FLOAT') {
+      const out = new Int16Array(b.length / 4);
+      for (let i = 0; i < out.length; i++) {
+        out[i] = Math.max(-32768, Math.min(32767, Math.round(b.readFloatLE(i * 4) * 32767)));
+      }
+      return out;
+    }
+    if (bitsPerSample === 16) return bytesToInt16(b);
+    const out = new Int16Array(b.length / bytesPerSample);
+    for (let i = 0; i < out.length; i++) {
+      const o = i * bytesPerSample;
+      if (bitsPerSample === 8) out[i] = (b[o] - 128) << 8; // unsigned 8-bit
+      else if (bitsPerSample === 24) out[i] = b.readIntLE(o, 3) >> 8;
+      else out[i] = b.readInt32LE(o) >> 16;
+    }
+    return out;
+  };
+}
+
+function checkRateAndChannels(rate, channels, what) {
+  if (!Number.isInteger(rate) || rate < MIN_RATE_HZ || rate > MAX_RATE_HZ) {
+    throw new UnsupportedAudioError(`Unsupported sample rate for ${what}: ${rate}`, `Expected ${MIN_RATE_HZ}-${MAX_RATE_HZ} Hz`);
+  }
+  if (!Number.isInteger(channels) || channels < 1 || channels > MAX_CHANNELS) {
+    throw new UnsupportedAudioError(`Unsupported channel count for ${what}: ${channels}`, `Expected 1-${MAX_CHANNELS}`);
+  }
+}
+
+/**
+ * Incremental WAV parser: buffers until the `data` chunk starts, then behaves like a raw reader.
+ * The RIFF/data sizes are ignored so streamed WAV (size 0 / 0xFFFFFFFF) works.
+ */
+class WavReader {
+  constructor() {
+    this.header = Buffer.alloc(0);
+    this.read = null;
+    this.sampleRateHertz = null;
+    this.channels = null;
+  }
+
+  push(buf) {
+    if (this.read) return this.read(buf);
+    this.header = Buffer.concat([this.header, buf]);
+    const h = this.header;
+    if (h.length < 12) return null;
+    if (h.toString('latin1', 0, 4) !== 'RIFF' || h.toString('latin1', 8, 12) !== 'WAVE') {
+      throw new UnsupportedAudioError('Invalid WAV stream: missing RIFF/WAVE header');
+    }
+
+    let off = 12;
+    let fmt = null;
+    while (off + 8 <= h.length) {
+      const id = h.toString('latin1', off, off + 4);
+      const size = h.readUInt32LE(off + 4);
+      const body = off + 8;
+      if (id === 'data') {
+        if (!fmt) throw new UnsupportedAudioError('Invalid WAV stream: data chunk before fmt chunk');
+        this._configure(fmt);
+        const rest = h.subarray(body);
+        this.header = null;
+        return this.read(rest);
+      }
+      if (body + size > h.length) break; // chunk not complete yet
+      if (id === 'fmt ') fmt = h.subarray(body, body + size);
+      off = body + size + (size % 2);
+    }
+    if (h.length > MAX_WAV_HEADER_BYTES) {
+      throw new UnsupportedAudioError('Invalid WAV stream: no data chunk in the first 64 KiB');
+    }
+    return null;
+  }
+
+  _configure(fmt) {
+    let tag = fmt.readUInt16LE(0);
+    this.channels = fmt.readUInt16LE(2);
+    this.sampleRateHertz = fmt.readUInt32LE(4);
+    const bits = fmt.readUInt16LE(14);
+    if (tag === 0xfffe && fmt.length >= 26) tag = fmt.readUInt16LE(24); // WAVE_FORMAT_EXTENSIBLE sub-format
+    checkRateAndChannels(this.sampleRateHertz, this.channels, 'WAV');
+
+    if (tag === 1 && [8, 16, 24, 32].includes(bits)) this.read = makeSampleReader('PCM', bits, this.channels);
+    else if (tag === 3 && bits === 32) this.read = makeSampleReader('FLOAT', 32, this.channels);
+    else if (tag === 6) this.read = makeSampleReader('ALAW', 8, this.channels);
+    else if (tag === 7) this.read = makeSampleReader('MULAW', 8, this.channels);
+    else {
+      throw new UnsupportedAudioError(
+        `Unsupported WAV format (tag ${tag}, ${bits}-bit)`,
+        'Supported: PCM 8/16/24/32-bit, IEEE float32, μ-law, A-law',
+      );
+    }
+  }
+}
+
+class AudioDecoder {
+  /**
+   * @param {object} input from the client config
+   * @param {string} [input.encoding]
+   * @param {number} [input.sampleRateHertz]
+   * @param {number} [input.audioChannelCount]
+   * @param {number} targetRateHz what the provider wants
+   */
+  constructor(input, targetRateHz) {
+    const encoding = normalizeEncoding(input.encoding);
+    if (!encoding) {
+      throw new UnsupportedAudioError(
+        `Unsupported audio encoding: ${input.encoding}`,
+        `Supported: ${SUPPORTED_ENCODINGS.join(', ')}`,
+      );
+    }
+    this.encoding = encoding;
+    this.targetRateHz = targetRateHz;
+    this.resampler = null;
+    this.inputRateHz = null;
+    this.channels = null;
+
+    const rate = Number(input.sampleRateHertz);
+    const channels = input.audioChannelCount === undefined ? 1 : Number(input.audioChannelCount);
+
+    if (encoding === 'LINEAR16' || encoding === 'MULAW' || encoding === 'ALAW') {
+      checkRateAndChannels(rate, channels, encoding);
+      this.read = makeSampleReader(encoding === 'LINEAR16' ? 'PCM' : encoding, encoding === 'LINEAR16' ? 16 : 8, channels);
+      this._setFormat(rate, channels);
+    } else if (encoding === 'OPUS') {
+      if (!OPUS_RATES.has(rate)) {
+        throw new UnsupportedAudioError(`Unsupported sample rate for OPUS: ${rate}`, `Expected one of ${[...OPUS_RATES].join(', ')}`);
+      }
+      if (channels !== 1 && channels !== 2) {
+        throw new UnsupportedAudioError(`Unsupported channel count for OPUS: ${channels}`, 'Expected 1 or 2');
+      }
+      this.opus = new OpusPacketDecoder(rate, channels);
+      this._setFormat(rate, channels);
+    } else if (encoding === 'OGG_OPUS') {
+      this.ogg = new OggOpusDecoder();
+    } else if (encoding === 'WAV') {
+      this.wav = new WavReader();
+    }
+  }
+
+  _setFormat(rate, channels) {
+    this.inputRateHz = rate;
+    this.channels = channels;
+    this.resampler = new Resampler(rate, this.targetRateHz);
+  }
+
+  /**
+   * @param {Buffer} buf one binary WebSocket frame
+   * @returns {Buffer} PCM16 LE mono at targetRateHz (may be empty)
+   */
+  decode(buf) {
+    let chunks;
+    if (this.read) {
+      chunks = [this.read(buf)];
+    } else if (this.opus) {
+      chunks = [this.opus.decode(buf)];
+    } else if (this.ogg) {
+      chunks = this.ogg.push(buf);
+      if (!this.resampler && this.ogg.channels) this._setFormat(this.ogg.sampleRateHertz, this.ogg.channels);
+    } else {
+      const samples = this.wav.push(buf);
+      if (!this.resampler && this.wav.read) this._setFormat(this.wav.sampleRateHertz, this.wav.channels);
+      chunks = samples ? [samples] : [];
+    }
+
+    const parts = [];
+    for (const c of chunks) {
+      if (!c || c.length === 0) continue;
+      const out = this.resampler.process(downmix(c, this.channels));
+      if (out.length) parts.push(int16ToBytes(out));
+    }
+    if (parts.length === 0) return Buffer.alloc(0);
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts);
+  }
+
+  describe() {
+    return {
+      encoding: this.encoding,
+      inputRateHz: this.inputRateHz,
+      channels: this.channels,
+      targetRateHz: this.targetRateHz,
+    };
+  }
+
+  close() {
+    if (this.opus) this.opus.close();
+    if (this.ogg) this.ogg.close();
+  }
+}
+
+module.exports = { AudioDecoder, UnsupportedAudioError, SUPPORTED_ENCODINGS };
@@ -0,0 +1,133 @@
+/**
+ * Opus decoding: raw packets (one per WebSocket frame) and Ogg Opus streams (RFC 7845).
+ *
+ * The Ogg demuxer is incremental: pages may be split across WebSocket frames in any way.
+ * Only the first logical stream is decoded (chained/multiplexed Ogg is not supported).
+ */
+
+const OpusScript = require('opusscript');
+const { bytesToInt16 } = require('./pcm');
+
+const OPUS_RATES = new Set([8000, 12000, 16000, 24000, 48000]);
+const MAX_PENDING_BYTES = 1024 * 1024;
+
+class OpusPacketDecoder {
+  constructor(sampleRateHertz, channels) {
+    if (!OPUS_RATES.has(sampleRateHertz)) {
+      throw new Error(`Opus decode rate must be one of ${[...OPUS_RATES].join(', ')} (got ${sampleRateHertz})`);
+    }
+    if (channels !== 1 && channels !== 2) {
+      throw new Error(`Opus supports 1 or 2 channels (got ${channels})`);
+    }
+    this.sampleRateHertz = sampleRateHertz;
+    this.channels = channels;
+    this.opus = new OpusScript(sampleRateHertz, channels, OpusScript.Application.VOIP);
+  }
+
+  /** @returns {Int16Array} interleaved samples */
+  decode(packet) {
+    return bytesToInt16(this.opus.decode(packet));
+  }
+
+  close() {
+    try { this.opus.delete(); } catch (_) {}
+  }
+}
+
+class OggOpusDecoder {
+  constructor() {
+    this.pending = Buffer.alloc(0);
+    this.partialPacket = [];
+    this.serial = null;
+    this.packetIndex = 0;
+    this.decoder = null;
+    this.preSkip = 0; // samples per channel still to drop (encoder delay)
+    this.channels = null;
+    this.sampleRateHertz = 48000;
+  }
+
+  /**
+   * @param {Buffer} buf any slice of the Ogg byte stream
+   * @returns {Int16Array[]} interleaved samples per decoded packet
+   */
+  push(buf) {
+    this.pending = this.pending.length ? Buffer.concat([this.pending, buf]) : buf;
+    const out = [];
+    for (;;) {
+      const page = this._readPage();
+      if (!page) break;
+      for (const packet of page) {
+        const pcm = this._onPacket(packet);
+        if (pcm && pcm.length) out.push(pcm);
+      }
+    }
+    if (this.pending.length > MAX_PENDING_BYTES) {
+      throw new Error('Invalid Ogg stream: no page boundary found');
+    }
+    return out;
+  }
+
+  _readPage() {
+    const b = this.pending;
+    if (b.length < 27) return null;
+    if (b.toString('latin1', 0, 4) !== 'OggS') {
+      throw new Error('Invalid Ogg stream: missing OggS capture pattern');
+    }
+    const nSegs = b[26];
+    const headerLen = 27 + nSegs;
+    if (b.length < headerLen) return null;
+    let bodyLen = 0;
+    for (let i = 0; i < nSegs; i++) bodyLen += b[27 + i];
+    if (b.length < headerLen + bodyLen) return null;
+
+    const serial = b.readUInt32LE(14);
+    const packets = [];
+    if (this.serial === null) this.serial = serial;
+    if (serial === this.serial) {
+      let offset = headerLen;
+      for (let i = 0; i < nSegs; i++) {
+        const lace = b[27 + i];
+        this.partialPacket.push(b.subarray(offset, offset + lace));
+        offset += lace;
+        if (lace < 255) {
+          packets.push(Buffer.concat(this.partialPacket));
+          this.partialPacket = [];
+        }
+      }
+    }
+    this.pending = b.subarray(headerLen + bodyLen);
+    return packets;
+  }
+
+  _onPacket(packet) {
+    const index = this.packetIndex++;
+    if (index === 0) {
+      if (packet.length < 19 || packet.toString('latin1', 0, 8) !== 'OpusHead') {
+        throw new Error('Unsupported Ogg stream: first packet is not OpusHead (only Ogg Opus is supported)');
+      }
+      this.channels = packet[9];
+      this.preSkip = packet.readUInt16LE(10);
+      // Mono/stereo only (channel mapping family 0); downmix happens later anyway.
+      this.decoder = new OpusPacketDecoder(48000, Math.min(this.channels, 2));
+      this.channels = this.decoder.channels;
+      return null;
+    }
+    if (index === 1) return null; // OpusTags
+
+    let pcm = this.decoder.decode(packet);
+    if (this.preSkip > 0) {
+      const frames = pcm.length / this.channels;
+      const skip = Math.min(this.preSkip, frames);
+      this.preSkip -= skip;
+      pcm = pcm.subarray(skip * this.channels);
+    }
+    return pcm;
+  }
+
+  close() {
+    if (this.decoder) this.decoder.close();
+    this.decoder = null;
+  }
+}
+
+module.exports = { OpusPacketDecoder, OggOpusDecoder, OPUS_RATES };
@@ -0,0 +1,31 @@
+/**
+ * Small PCM helpers shared by the audio pipeline. Samples are Int16, little-endian on the wire.
+ */
+
+/** View (or copy, if misaligned) little-endian PCM16 bytes as Int16Array. Length must be even. */
+function bytesToInt16(buf) {
+  if (buf.byteOffset % 2 === 0) {
+    return new Int16Array(buf.buffer, buf.byteOffset, buf.length / 2);
+  }
+  return new Int16Array(new Uint8Array(buf).buffer);
+}
+
+/** Int16Array → Buffer (no copy). */
+function int16ToBytes(samples) {
+  return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+}
+
+/** Average interleaved channels into one. */
+function downmix(samples, channels) {
+  if (channels === 1) return samples;
+  const frames = Math.floor(samples.length / channels);
+  const out = new Int16Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += samples[f * channels + c];
+    out[f] = Math.round(sum / channels);
+  }
+  return out;
+}
+
+module.exports = { bytesToInt16, int16ToBytes, downmix };
@@ -0,0 +1,63 @@
+/**
+ * Streaming mono Int16 resampler (linear interpolation).
+ *
+ * When downsampling, a moving-average low-pass runs first so e.g. 48 kHz Opus → 16 kHz doesn't alias.
+ * Good enough for speech recognition; state carries across chunks so frame boundaries are seamless.
+ */
+
+class Resampler {
+  constructor(fromHz, toHz) {
+    this.fromHz = fromHz;
+    this.toHz = toHz;
+    this.step = fromHz / toHz; // input samples per output sample
+    this.pos = 0; // fractional read position relative to `prev`
+    this.prev = 0; // last input sample of the previous chunk (index -1)
+    this.window = this.step > 1 ? Math.max(1, Math.round(this.step)) : 1;
+    this.history = new Float64Array(this.window);
+    this.historyIdx = 0;
+    this.historySum = 0;
+  }
+
+  _lowPass(x) {
+    if (this.window === 1) return x;
+    this.historySum += x - this.history[this.historyIdx];
+    this.history[this.historyIdx] = x;
+    this.historyIdx = (this.historyIdx + 1) % this.window;
+    return this.historySum / this.window;
+  }
+
+  /**
+   * @param {Int16Array} input mono samples at fromHz
+   * @returns {Int16Array} mono samples at toHz
+   */
+  process(input) {
+    if (this.fromHz === this.toHz) return input;
+    if (input.length === 0) return new Int16Array(0);
+
+    const filtered = new Float64Array(input.length);
+    for (let i = 0; i < input.length; i++) filtered[i] = this._lowPass(input[i]);
+
+    // Positions are relative to `prev` at index 0, so input[i] sits at i + 1.
+    const out = [];
+    let pos = this.pos;
+    const last = input.length; // position of input[input.length - 1]
+    while (pos <= last) {
+      const i = Math.floor(pos);
+      const frac = pos - i;
+      const a = i === 0 ? this.prev : filtered[i - 1];
+      const b = i >= last ? a : filtered[i];
+      out.push(a + (b - a) * frac);
+      pos += this.step;
+    }
+    this.pos = pos - last;
+    this.prev = filtered[input.length - 1];
+
+    const res = new Int16Array(out.length);
+    for (let k = 0; k < out.length; k++) {
+      res[k] = Math.max(-32768, Math.min(32767, Math.round(out[k])));
+    }
+    return res;
+  }
+}
+
+module.exports = { Resampler };
@@ -0,0 +1,42 @@
+/**
+ * Maps the forwarded-audio clock (what recognizers see) back to input audio time.
+ *
+ * With VAD suppression the provider hears only part of the input: dropped or compressed silence
+ * leaves gaps. Each forwarded run of input is recorded as a mark { fwdMs, inputMs }; an offset on
+ * the forwarded clock converts to input time by the last mark at or before it. Without
+ * suppression both clocks are the same and a single mark is kept.
+ */
+
+// Marks older than this on the forwarded clock are pruned; results don't refer back that far.
+const KEEP_MS = Number(process.env.STT_TIMELINE_KEEP_MS || 10 * 60 * 1000);
+
+class Timeline {
+  constructor() {
+    this.marks = [{ fwdMs: 0, inputMs: 0 }];
+  }
+
+  /** `ms` of input starting at `inputMs` were forwarded starting at `fwdMs`. */
+  add(fwdMs, inputMs) {
+    const last = this.marks[this.marks.length - 1];
+    if (Math.abs(last.inputMs + (fwdMs - last.fwdMs) - inputMs) < 0.5) return; // contiguous
+    this.marks.push({ fwdMs, inputMs });
+    if (this.marks.length > 256 && this.marks[1].fwdMs < fwdMs - KEEP_MS) {
+      this.marks = this.marks.filter((m, i) => i === this.marks.length - 1 || m.fwdMs >= fwdMs - KEEP_MS);
+    }
+  }
+
+  /** Input time of forwarded offset `fwdMs` (null stays null). */
+  toInput(fwdMs) {
+    if (fwdMs === null || fwdMs === undefined) return fwdMs;
+    let mark = this.marks[0];
+    for (let i = this.marks.length - 1; i >= 0; i--) {
+      if (this.marks[i].fwdMs <= fwdMs) {
+        mark = this.marks[i];
+        break;
+      }
+    }
+    return Math.round(mark.inputMs + (fwdMs - mark.fwdMs));
+  }
+}
+
+module.exports = { Timeline };
@@ -0,0 +1,158 @@
+/**
+ * Energy-based voice activity detection with silence suppression.
+ *
+ * Works on the decoded PCM16 mono stream in 20 ms frames. A frame is speech when its level is
+ * `marginDb` above a tracked noise floor (and above `minDb`). Speech starts after `startMs` of
+ * speech frames and ends after `hangoverMs` of non-speech frames. The `preRollMs` before the start
+ * is forwarded too so word onsets aren't clipped.
+ *
+ * Silence handling (`suppress`):
+ * - 'off'      forward everything (events only)
+ * - 'compress' forward one 20 ms frame of digital silence every `keepAliveMs` (vendors that time out
+ *              idle streams stay connected; billed audio drops by ~98%)
+ * - 'drop'     forward nothing between utterances
+ *
+ * Events: 'speechStart' { offsetMs }, 'speechEnd' { offsetMs } — offsets are input audio time.
+ * After each process() call, `spans` lists which input the returned audio came from
+ * ([{ inputMs, ms }], see timeline.js); a compressed keep-alive frame stands for the input at its place.
+ */
+
+const { EventEmitter } = require('events');
+const { bytesToInt16 } = require('./pcm');
+
+const FRAME_MS = 20;
+const SUPPRESS_MODES = ['off', 'compress', 'drop'];
+
+const DEFAULTS = {
+  suppress: process.env.STT_VAD_SUPPRESS || 'compress',
+  startMs: 60,
+  hangoverMs: Number(process.env.STT_VAD_HANGOVER_MS || 500),
+  preRollMs: 300,
+  keepAliveMs: 1000,
+  marginDb: 10,
+  minDb: -55,
+  endOfUtteranceMs: Number(process.env.STT_VAD_END_OF_UTTERANCE_MS || 1200),
+};
+
+/**
+ * Client `vad` config → options. Accepts `true`, `false` or a partial object.
+ * @returns {object|null} null when disabled
+ */
+function parseVadConfig(raw, enabledByDefault) {
+  if (raw === false || (raw === undefined && !enabledByDefault)) return null;
+  const cfg = raw && typeof raw === 'object' ? raw : {};
+  if (cfg.enabled === false) return null;
+  const opts = { ...DEFAULTS };
+  for (const key of ['startMs', 'hangoverMs', 'preRollMs', 'keepAliveMs', 'marginDb', 'minDb', 'endOfUtteranceMs']) {
+    if (cfg[key] !== undefined && Number.isFinite(Number(cfg[key]))) opts[key] = Number(cfg[key]);
+  }
+  if (cfg.suppress !== undefined) {
+    if (!SUPPRESS_MODES.includes(cfg.suppress)) {
+      throw new Error(`Invalid vad.suppress: ${cfg.suppress} (expected ${SUPPRESS_MODES.join(', ')})`);
+    }
+    opts.suppress = cfg.suppress;
+  }
+  return opts;
+}
+
+class VoiceActivityDetector extends EventEmitter {
+  constructor(sampleRateHertz, opts) {
+    super();
+    this.opts = opts;
+    this.frameBytes = Math.round((sampleRateHertz * FRAME_MS) / 1000) * 2;
+    this.pending = Buffer.alloc(0);
+    this.noiseFloorDb = -60;
+    this.speaking = false;
+    this.speechRun = 0;
+    this.silenceRun = 0;
+    this.preRoll = [];
+    this.silentSinceKeepAliveMs = 0;
+    this.offsetMs = 0;
+    this.silenceFrame = Buffer.alloc(this.frameBytes);
+    this.spans = [];
+  }
+
+  /**
+   * @param {Buffer} pcm PCM16 LE mono
+   * @returns {Buffer} audio to forward to the recognizer (may be empty)
+   */
+  process(pcm) {
+    let buf = this.pending.length ? Buffer.concat([this.pending, pcm]) : pcm;
+    const out = [];
+    this.spans = [];
+    while (buf.length >= this.frameBytes) {
+      const frame = buf.subarray(0, this.frameBytes);
+      buf = buf.subarray(this.frameBytes);
+      this._frame(frame, out);
+    }
+    this.pending = Buffer.from(buf);
+    return out.length === 0 ? Buffer.alloc(0) : Buffer.concat(out);
+  }
+
+  /** Forward `frame`, which is the input at `inputMs`. */
+  _forward(out, frame, inputMs) {
+    out.push(frame);
+    const last = this.spans[this.spans.length - 1];
+    if (last && last.inputMs + last.ms === inputMs) last.ms += FRAME_MS;
+    else this.spans.push({ inputMs, ms: FRAME_MS });
+  }
+
+  _levelDb(frame) {
+    const s = bytesToInt16(frame);
+    let sum = 0;
+    for (let i = 0; i < s.length; i++) sum += s[i] * s[i];
+    const rms = Math.sqrt(sum / s.length);
+    return rms > 0 ? 20 * Math.log10(rms / 32768) : -100;
+  }
+
+  _frame(frame, out) {
+    const { opts } = this;
+    const db = this._levelDb(frame);
+    const isSpeech = db > Math.max(this.noiseFloorDb + opts.marginDb, opts.minDb);
+    const startMs = this.offsetMs;
+    this.offsetMs += FRAME_MS;
+
+    // Noise floor: follow drops quickly, rises slowly (and not while someone is talking).
+    if (db < this.noiseFloorDb) this.noiseFloorDb += (db - this.noiseFloorDb) * 0.5;
+    else if (!this.speaking) this.noiseFloorDb += (db - this.noiseFloorDb) * 0.01;
+
+    if (this.speaking) {
+      this._forward(out, frame, startMs);
+      this.silenceRun = isSpeech ? 0 : this.silenceRun + FRAME_MS;
+      if (this.silenceRun >= opts.hangoverMs) {
+        this.speaking = false;
+        this.speechRun = 0;
+        this.silentSinceKeepAliveMs = 0;
+        this.emit('speechEnd', { offsetMs: this.offsetMs });
+      }
+      return;
+    }
+
+    this.speechRun = isSpeech ? this.speechRun + FRAME_MS : 0;
+    if (this.speechRun >= opts.startMs) {
+      this.speaking = true;
+      this.silenceRun = 0;
+      // 'off' already forwarded the pre-roll as it happened.
+      if (opts.suppress !== 'off') this.preRoll.forEach((p) => this._forward(out, p.frame, p.inputMs));
+      this._forward(out, frame, startMs);
+      this.preRoll = [];
+      this.emit('speechStart', { offsetMs: this.offsetMs - this.speechRun });
+      return;
+    }
+
+    this.preRoll.push({ frame, inputMs: startMs });
+    while (this.preRoll.length * FRAME_MS > opts.preRollMs) this.preRoll.shift();
+
+    if (opts.suppress === 'off') {
+      this._forward(out, frame, startMs);
+    } else if (opts.suppress === 'compress') {
+      this.silentSinceKeepAliveMs += FRAME_MS;
+      if (this.silentSinceKeepAliveMs >= opts.keepAliveMs) {
+        this.silentSinceKeepAliveMs = 0;
+        this._forward(out, this.silenceFrame, startMs);
+      }
+    }
+  }
+}
+
+module.exports = { VoiceActivityDetector, parseVadConfig };
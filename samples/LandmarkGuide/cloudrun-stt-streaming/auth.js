@@ -0,0 +1,103 @@
+/**
+ * Caller identity for /ws, checked during the WebSocket upgrade.
+ *
+ * Accepted credentials (either one is enough):
+ * - Firebase ID token:  `Authorization: Bearer <idToken>`
+ * - Firebase App Check: `X-Firebase-AppCheck: <token>`
+ *
+ * Missing or invalid credentials → 401; valid but not allowed (App Check app id not in
+ * STT_ALLOWED_APP_IDS, or an anonymous user while STT_ALLOW_ANONYMOUS=false) → 403.
+ *
+ * STT_AUTH_MODE:
+ * - 'required' (default) rejects them
+ * - 'warn' verifies what the client sends but lets a caller that fails through as an unverified
+ *   identity (uid and appId null) with a log line; an explicit opt-in while app versions from
+ *   before sign-in are still in use
+ * - 'off' skips the check (local development only)
+ */
+
+const admin = require('firebase-admin');
+
+const AUTH_MODE = process.env.STT_AUTH_MODE || 'required';
+const ALLOWED_APP_IDS = (process.env.STT_ALLOWED_APP_IDS || '').split(',').map((s) => s.trim()).filter(Boolean);
+const ALLOW_ANONYMOUS = process.env.STT_ALLOW_ANONYMOUS !== 'false';
+
+class AuthError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function getAdmin() {
+  // Cloud Run: ADC + GOOGLE_CLOUD_PROJECT give the right project for token audience checks.
+  if (!admin.apps.length) admin.initializeApp();
+  return admin;
+}
+
+function bearerToken(req) {
+  const h = req.headers.authorization || '';
+  const m = /^Bearer\s+(.+)$/i.exec(h);
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * @param {import('http').IncomingMessage} req upgrade request
+ * @returns {Promise<{ uid: string|null, appId: string|null, anonymous: boolean, canCapture?: boolean, unverified?: string }>}
+ *          `unverified`: the AuthError code a caller was let through with (STT_AUTH_MODE=warn)
+ * @throws {AuthError}
+ */
+async function authenticateRequest(req) {
+  if (AUTH_MODE === 'off') return { uid: null, appId: null, anonymous: true };
+  try {
+    return await verifyRequest(req);
+  } catch (e) {
+    if (AUTH_MODE !== 'warn' || !(e instanceof AuthError)) throw e;
+    // eslint-disable-next-line no-console
+    console.warn(`Unverified /ws caller let through (STT_AUTH_MODE=warn) ${JSON.stringify({ code: e.code, message: e.message })}`);
+    return { uid: null, appId: null, anonymous: true, unverified: e.code };
+  }
+}
+
+async function verifyRequest(req) {
+  const idToken = bearerToken(req);
+  const appCheckToken = req.headers['x-firebase-appcheck'] || null;
+  if (!idToken && !appCheckToken) {
+    throw new AuthError(401, 'unauthenticated', 'Missing Firebase ID token (Authorization: Bearer) or App Check token (X-Firebase-AppCheck)');
+  }
+
+  const identity = { uid: null, appId: null, anonymous: false };
+  const app = getAdmin();
+
+  if (idToken) {
+    try {
+      const decoded = await app.auth().verifyIdToken(idToken);
+      identity.uid = decoded.uid;
+      identity.anonymous = decoded.firebase?.sign_in_provider === 'anonymous';
+      identity.canCapture = decoded.sttCapture === true; // custom claim, see capture.js
+    } catch (e) {
+      throw new AuthError(401, 'invalid_id_token', `Invalid Firebase ID token: ${e.code || e.message}`);
+    }
+    if (identity.anonymous && !ALLOW_ANONYMOUS) {
+      throw new AuthError(403, 'anonymous_not_allowed', 'Anonymous users are not allowed');
+    }
+  }
+
+  if (appCheckToken) {
+    try {
+      const decoded = await app.appCheck().verifyToken(String(appCheckToken));
+      identity.appId = decoded.appId;
+    } catch (e) {
+      throw new AuthError(401, 'invalid_app_check_token', `Invalid App Check token: ${e.code || e.message}`);
+    }
+    if (ALLOWED_APP_IDS.length > 0 && !ALLOWED_APP_IDS.includes(identity.appId)) {
+      throw new AuthError(403, 'app_not_allowed', `App ${identity.appId} is not allowed`);
+    }
+  }
+
+  return identity;
+}
+
+module.exports = { authenticateRequest, AuthError };
@@ -0,0 +1,160 @@
+/**
+ * Opt-in session capture for debugging recognition problems.
+ *
+ * STT_CAPTURE=off (default) | opt-in (sessions with `"capture": true` in the config whose Firebase ID
+ * token carries the custom claim `sttCapture: true`) | all
+ * Files go to STT_CAPTURE_DIR (default /tmp/stt-captures; on Cloud Run mount a bucket there),
+ * one JSON Lines file per session, `<sessionId>.jsonl`:
+ *
+ *   { "t": 0,   "kind": "meta",   "sessionId": "...", "startedAt": "...", "version": 1 }
+ *   { "t": 3,   "kind": "config", "data": { ...first client message... } }
+ *   { "t": 120, "kind": "audio",  "data": "<base64 client frame, before decoding>" }
+ *   { "t": 300, "kind": "control", "data": { "type": "finalize", "id": 1 } }
+ *   { "t": 450, "kind": "sent",   "data": { ...message sent to the client... } }
+ *   { "t": 900, "kind": "truncated", "reason": "max_bytes" }   last line when a cap was hit
+ *
+ * `t` is milliseconds since the socket was accepted. tools/replay.js plays a capture back.
+ *
+ * /tmp is memory on Cloud Run, so captures are capped: STT_CAPTURE_MAX_BYTES and
+ * STT_CAPTURE_MAX_MS per session, STT_CAPTURE_TOTAL_MAX_BYTES for everything in the directory
+ * (counted once at the first capture, then as this instance writes). A capture that hits a cap
+ * stops recording; the session goes on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CAPTURE_MODE = process.env.STT_CAPTURE || 'off';
+const CAPTURE_DIR = process.env.STT_CAPTURE_DIR || '/tmp/stt-captures';
+const CAPTURE_VERSION = 1;
+const MAX_BYTES = Number(process.env.STT_CAPTURE_MAX_BYTES || 20 * 1024 * 1024);
+const MAX_MS = Number(process.env.STT_CAPTURE_MAX_MS || 10 * 60 * 1000);
+const TOTAL_MAX_BYTES = Number(process.env.STT_CAPTURE_TOTAL_MAX_BYTES || 200 * 1024 * 1024);
+
+let totalBytes = null; // bytes in CAPTURE_DIR, see usedBytes()
+
+function usedBytes() {
+  if (totalBytes === null) {
+    totalBytes = 0;
+    try {
+      for (const name of fs.readdirSync(CAPTURE_DIR)) {
+        totalBytes += fs.statSync(path.join(CAPTURE_DIR, name)).size;
+      }
+    } catch (_) {
+      // no directory yet
+    }
+  }
+  return totalBytes;
+}
+
+/**
+ * @param {object} cfg the session's first message
+ * @param {{ canCapture?: boolean }} identity see auth.js
+ */
+function shouldCapture(cfg, identity) {
+  const wanted = CAPTURE_MODE === 'all'
+    || (CAPTURE_MODE === 'opt-in' && cfg && cfg.capture === true && identity.canCapture === true);
+  if (!wanted) return false;
+  if (usedBytes() >= TOTAL_MAX_BYTES) {
+    // eslint-disable-next-line no-console
+    console.warn('Capture skipped', JSON.stringify({ reason: 'total_max_bytes', usedBytes: usedBytes(), limit: TOTAL_MAX_BYTES }));
+    return false;
+  }
+  return true;
+}
+
+class SessionCapture {
+  constructor(sessionId, acceptedAt) {
+    this.sessionId = sessionId;
+    this.acceptedAt = acceptedAt;
+    this.file = path.join(CAPTURE_DIR, `${sessionId}.jsonl`);
+    this.bytes = 0;
+    fs.mkdirSync(CAPTURE_DIR, { recursive: true });
+    this.out = fs.createWriteStream(this.file, { flags: 'wx' });
+    this.out.on('error', (e) => {
+      // eslint-disable-next-line no-console
+      console.error('Capture write failed', JSON.stringify({ sessionId, message: e.message }));
+      this.out = null;
+    });
+    this._line({
+      t: 0,
+      kind: 'meta',
+      sessionId,
+      startedAt: new Date(acceptedAt).toISOString(),
+      version: CAPTURE_VERSION,
+    });
+  }
+
+  _line(obj) {
+    if (!this.out) return;
+    const line = `${JSON.stringify(obj)}\n`;
+    const size = Buffer.byteLength(line);
+    let reason = null;
+    if (obj.t > MAX_MS) reason = 'max_ms';
+    else if (this.bytes + size > MAX_BYTES) reason = 'max_bytes';
+    else if (usedBytes() + size > TOTAL_MAX_BYTES) reason = 'total_max_bytes';
+    if (reason) {
+      this._truncate(reason);
+      return;
+    }
+    this.bytes += size;
+    totalBytes += size;
+    this.out.write(line);
+  }
+
+  _truncate(reason) {
+    const line = `${JSON.stringify({ t: this._t(), kind: 'truncated', reason })}\n`;
+    totalBytes += Buffer.byteLength(line);
+    this.out.end(line);
+    this.out = null;
+    // eslint-disable-next-line no-console
+    console.warn('Capture truncated', JSON.stringify({ sessionId: this.sessionId, reason, bytes: this.bytes }));
+  }
+
+  _t() {
+    return Date.now() - this.acceptedAt;
+  }
+
+  config(cfg) {
+    this._line({ t: this._t(), kind: 'config', data: cfg });
+  }
+
+  audio(buf) {
+    this._line({ t: this._t(), kind: 'audio', data: buf.toString('base64') });
+  }
+
+  control(msg) {
+    this._line({ t: this._t(), kind: 'control', data: msg });
+  }
+
+  sent(msg) {
+    this._line({ t: this._t(), kind: 'sent', data: msg });
+  }
+
+  close() {
+    if (this.out) this.out.end();
+    this.out = null;
+  }
+}
+
+/**
+ * Read a capture file.
+ * `frames` are the client's frames after the config in order: audio (`buf`) and control messages (`control`).
+ * @returns {{ meta: object, config: object, frames: { t: number, buf?: Buffer, control?: object }[], sent: { t: number, data: object }[] }}
+ */
+function readCapture(file) {
+  const capture = { meta: null, config: null, frames: [], sent: [] };
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  for (const line of lines) {
+    const rec = JSON.parse(line);
+    if (rec.kind === 'meta') capture.meta = rec;
+    else if (rec.kind === 'config') capture.config = rec.data;
+    else if (rec.kind === 'audio') capture.frames.push({ t: rec.t, buf: Buffer.from(rec.data, 'base64') });
+    else if (rec.kind === 'control') capture.frames.push({ t: rec.t, control: rec.data });
+    else if (rec.kind === 'sent') capture.sent.push({ t: rec.t, data: rec.data });
+  }
+  if (!capture.config) throw new Error(`${file}: no config record`);
+  return capture;
+}
+
+module.exports = { SessionCapture, shouldCapture, readCapture };
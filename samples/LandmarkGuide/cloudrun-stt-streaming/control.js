@@ -0,0 +1,78 @@
+/**
+ * Control messages: JSON text frames a client may send after its config.
+ *
+ *   { "type": "reconfigure", "id": 7, "languageCodes": ["en-US"], "model": "chirp_3", "location": "us" }
+ *   { "type": "finalize", "id": 8 }
+ *   { "type": "pause", "id": 9 }
+ *   { "type": "resume", "id": 10 }
+ *   { "type": "ping", "id": 11 }
+ *
+ * `id` is optional and echoed in the acknowledgment:
+ *   { "type": "ack", "command": "finalize", "id": 8, "ok": true, ... }
+ *   { "type": "ack", "command": "reconfigure", "id": 7, "ok": false, "error": "invalid_control", "message": "...", "details": "..." }
+ *
+ * Commands are applied in order with the audio frames around them (server.js queues both).
+ */
+
+const COMMANDS = ['reconfigure', 'finalize', 'pause', 'resume', 'ping'];
+const LOCATION_RE = /^[a-z0-9-]{1,40}$/;
+
+class ControlError extends Error {
+  constructor(code, message, details, command, id) {
+    super(message);
+    this.name = 'ControlError';
+    this.code = code;
+    this.details = details;
+    this.command = command || null;
+    this.id = id === undefined ? null : id;
+  }
+}
+
+function parseReconfigure(msg, id) {
+  const changes = {};
+  const fail = (message, details) => new ControlError('invalid_control', message, details, 'reconfigure', id);
+  if (msg.provider !== undefined) {
+    throw fail('The provider cannot be changed mid-session', 'Reconnect to switch providers');
+  }
+  if (msg.languageCodes !== undefined) {
+    if (!Array.isArray(msg.languageCodes) || msg.languageCodes.length === 0
+      || msg.languageCodes.some((l) => typeof l !== 'string' || !l.trim())) {
+      throw fail('languageCodes must be a non-empty array of language codes', 'e.g. ["en-US"]');
+    }
+    changes.languageCodes = msg.languageCodes.map((l) => l.trim());
+  }
+  if (msg.model !== undefined) {
+    if (typeof msg.model !== 'string' || !msg.model.trim()) throw fail('model must be a string');
+    changes.model = msg.model.trim();
+  }
+  if (msg.location !== undefined) {
+    if (typeof msg.location !== 'string' || !LOCATION_RE.test(msg.location)) throw fail('Invalid location', 'e.g. "asia-northeast1"');
+    changes.location = msg.location;
+  }
+  if (Object.keys(changes).length === 0) throw fail('Nothing to reconfigure', 'Send languageCodes, model and/or location');
+  return changes;
+}
+
+/**
+ * @param {string} txt text frame
+ * @returns {{ type: string, id: string|number|null, changes?: object }}
+ * @throws {ControlError}
+ */
+function parseControlMessage(txt) {
+  let msg;
+  try {
+    msg = JSON.parse(txt);
+  } catch (_) {
+    throw new ControlError('invalid_control', 'Control message is not JSON');
+  }
+  if (!msg || typeof msg !== 'object') throw new ControlError('invalid_control', 'Control message must be an object');
+  const id = typeof msg.id === 'string' || Number.isFinite(msg.id) ? msg.id : null;
+  if (!COMMANDS.includes(msg.type)) {
+    throw new ControlError('unknown_command', `Unknown control message: ${msg.type}`, `Supported: ${COMMANDS.join(', ')}`, msg.type, id);
+  }
+  const parsed = { type: msg.type, id };
+  if (msg.type === 'reconfigure') parsed.changes = parseReconfigure(msg, id);
+  return parsed;
+}
+
+module.exports = { parseControlMessage, ControlError };
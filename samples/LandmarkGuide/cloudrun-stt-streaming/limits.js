@@ -0,0 +1,187 @@
+/**
+ * Per-user / per-IP limits for the /ws bridge.
+ *
+ * - concurrent sessions per user (Firebase uid, else App Check app id, else IP) and per IP
+ * - max session length
+ * - max inbound audio bytes per second (token bucket, a few seconds of burst for reconnect backlogs)
+ * - daily audio-minutes budget per user (UTC day)
+ *
+ * Concurrency is tracked per instance. The daily budget is shared across instances when
+ * STT_USAGE_STORE=rtdb (Realtime Database at FIREBASE_DATABASE_URL, path /sttUsage/{day}/{key});
+ * otherwise it is per instance as well.
+ *
+ * A violated limit is returned as `{ reason, limit }`; the caller sends `{ type: 'limit', ... }`
+ * and closes the socket.
+ */
+
+const admin = require('firebase-admin');
+
+function envNumber(name, def) {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && process.env[name] !== '' ? v : def;
+}
+
+const LIMITS = {
+  maxSessionsPerUser: envNumber('STT_MAX_SESSIONS_PER_USER', 3),
+  maxSessionsPerIp: envNumber('STT_MAX_SESSIONS_PER_IP', 20),
+  maxSessionMinutes: envNumber('STT_MAX_SESSION_MINUTES', 90),
+  maxAudioBytesPerSec: envNumber('STT_MAX_AUDIO_BYTES_PER_SEC', 200000),
+  dailyAudioMinutes: envNumber('STT_DAILY_AUDIO_MINUTES', 600),
+};
+const BURST_SECONDS = 3;
+const USAGE_FLUSH_MS = 15000;
+const USAGE_STORE = process.env.STT_USAGE_STORE || 'memory';
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/** RTDB keys can't contain . # $ [ ] / */
+function safeKey(key) {
+  return key.replace(/[.#$[\]/]/g, '_');
+}
+
+class MemoryUsageStore {
+  constructor() {
+    this.usage = new Map(); // `${day}|${key}` → ms
+  }
+
+  async get(day, key) {
+    return this.usage.get(`${day}|${key}`) || 0;
+  }
+
+  async add(day, key, ms) {
+    const k = `${day}|${key}`;
+    this.usage.set(k, (this.usage.get(k) || 0) + ms);
+    // Keep only today's entries.
+    for (const existing of this.usage.keys()) {
+      if (!existing.startsWith(`${day}|`)) this.usage.delete(existing);
+    }
+  }
+}
+
+class RtdbUsageStore {
+  ref(day, key) {
+    if (!admin.apps.length) admin.initializeApp();
+    return admin.app().database(process.env.FIREBASE_DATABASE_URL).ref(`/sttUsage/${day}/${safeKey(key)}/audioMs`);
+  }
+
+  async get(day, key) {
+    const snap = await this.ref(day, key).once('value');
+    return Number(snap.val()) || 0;
+  }
+
+  async add(day, key, ms) {
+    await this.ref(day, key).set(admin.database.ServerValue.increment(Math.round(ms)));
+  }
+}
+
+const usageStore = USAGE_STORE === 'rtdb' ? new RtdbUsageStore() : new MemoryUsageStore();
+const sessionsByUser = new Map();
+const sessionsByIp = new Map();
+
+function inc(map, key, delta) {
+  const n = (map.get(key) || 0) + delta;
+  if (n <= 0) map.delete(key);
+  else map.set(key, n);
+}
+
+class SessionQuota {
+  constructor(userKey, ip, usedTodayMs) {
+    this.userKey = userKey;
+    this.ip = ip;
+    this.day = utcDay();
+    this.usedTodayMs = usedTodayMs; // as of the last store read/flush
+    this.unflushedMs = 0;
+    this.lastFlush = Date.now();
+    this.tokens = LIMITS.maxAudioBytesPerSec * BURST_SECONDS;
+    this.lastRefill = Date.now();
+    this.released = false;
+  }
+
+  /**
+   * Account one inbound frame.
+   * @param {number} bytes raw bytes received from the client
+   * @param {number} audioMs decoded audio duration
+   * @returns {{ reason: string, limit: number }|null}
+   */
+  onAudio(bytes, audioMs) {
+    const now = Date.now();
+    if (LIMITS.maxAudioBytesPerSec > 0) {
+      const cap = LIMITS.maxAudioBytesPerSec * BURST_SECONDS;
+      this.tokens = Math.min(cap, this.tokens + ((now - this.lastRefill) / 1000) * LIMITS.maxAudioBytesPerSec);
+      this.lastRefill = now;
+      this.tokens -= bytes;
+      if (this.tokens < 0) return { reason: 'audio_rate', limit: LIMITS.maxAudioBytesPerSec };
+    }
+
+    this.unflushedMs += audioMs;
+    if (now - this.lastFlush >= USAGE_FLUSH_MS) this.flush();
+    if (LIMITS.dailyAudioMinutes > 0 && this.usedTodayMs + this.unflushedMs > LIMITS.dailyAudioMinutes * 60000) {
+      return { reason: 'daily_budget', limit: LIMITS.dailyAudioMinutes };
+    }
+    return null;
+  }
+
+  flush() {
+    const ms = this.unflushedMs;
+    const { day } = this;
+    this.unflushedMs = 0;
+    this.lastFlush = Date.now();
+    this.usedTodayMs += ms;
+    if (utcDay() !== day) {
+      // New UTC day: start counting from zero.
+      this.day = utcDay();
+      this.usedTodayMs = 0;
+    }
+    if (ms <= 0) return;
+    usageStore.add(day, this.userKey, ms).catch((e) => {
+      // eslint-disable-next-line no-console
+      console.error('STT usage flush failed', JSON.stringify({ key: this.userKey, message: e.message }));
+    });
+  }
+
+  release() {
+    if (this.released) return;
+    this.released = true;
+    this.flush();
+    inc(sessionsByUser, this.userKey, -1);
+    inc(sessionsByIp, this.ip, -1);
+  }
+}
+
+/**
+ * Admit a new session or say which limit it hits.
+ * @returns {Promise<{ quota: SessionQuota }|{ reason: string, limit: number }>}
+ */
+async function acquireSession(identity, ip) {
+  const userKey = identity.uid ? `uid:${identity.uid}` : identity.appId ? `app:${identity.appId}:${ip}` : `ip:${ip}`;
+
+  if (LIMITS.maxSessionsPerUser > 0 && (sessionsByUser.get(userKey) || 0) >= LIMITS.maxSessionsPerUser) {
+    return { reason: 'concurrent_sessions_user', limit: LIMITS.maxSessionsPerUser };
+  }
+  if (LIMITS.maxSessionsPerIp > 0 && (sessionsByIp.get(ip) || 0) >= LIMITS.maxSessionsPerIp) {
+    return { reason: 'concurrent_sessions_ip', limit: LIMITS.maxSessionsPerIp };
+  }
+  // Count the session before the await so parallel connects can't slip through.
+  inc(sessionsByUser, userKey, 1);
+  inc(sessionsByIp, ip, 1);
+  const quota = new SessionQuota(userKey, ip, 0);
+
+  if (LIMITS.dailyAudioMinutes > 0) {
+    try {
+      quota.usedTodayMs = await usageStore.get(quota.day, userKey);
+    } catch (e) {
+      // Fail open: a store outage shouldn't take captions down.
+      // eslint-disable-next-line no-console
+      console.error('STT usage read failed', JSON.stringify({ key: userKey, message: e.message }));
+    }
+    if (quota.usedTodayMs >= LIMITS.dailyAudioMinutes * 60000) {
+      quota.release();
+      return { reason: 'daily_budget', limit: LIMITS.dailyAudioMinutes };
+    }
+  }
+  return { quota };
+}
+
+module.exports = { acquireSession, LIMITS };
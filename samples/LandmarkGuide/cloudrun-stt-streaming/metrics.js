@@ -0,0 +1,137 @@
+/**
+ * Prometheus metrics for the /ws bridge, rendered by GET /metrics (text exposition format 0.0.4).
+ *
+ * Instance-local like everything else here; scrape every instance (or use Cloud Run's managed
+ * Prometheus sidecar) and aggregate.
+ */
+
+// Result latency buckets, in seconds.
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+
+// google-gax reports errors with numeric gRPC status codes.
+const GRPC_CODES = [
+  'OK', 'CANCELLED', 'UNKNOWN', 'INVALID_ARGUMENT', 'DEADLINE_EXCEEDED', 'NOT_FOUND', 'ALREADY_EXISTS',
+  'PERMISSION_DENIED', 'RESOURCE_EXHAUSTED', 'FAILED_PRECONDITION', 'ABORTED', 'OUT_OF_RANGE',
+  'UNIMPLEMENTED', 'INTERNAL', 'UNAVAILABLE', 'DATA_LOSS', 'UNAUTHENTICATED',
+];
+
+const registry = [];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra) {
+  const pairs = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // JSON label values → value
+    registry.push(this);
+  }
+
+  key(labels = {}) {
+    return JSON.stringify(this.labelNames.map((n) => (labels[n] === undefined || labels[n] === null ? '' : labels[n])));
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.series) lines.push(...this.renderSeries(JSON.parse(key), value));
+    return lines.join('\n');
+  }
+
+  renderSeries(values, value) {
+    return [`${this.name}${formatLabels(this.labelNames, values)} ${value}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, n = 1) {
+    const k = this.key(labels);
+    this.series.set(k, (this.series.get(k) || 0) + n);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.series.set(this.key(labels), value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    if (!Number.isFinite(value)) return;
+    const k = this.key(labels);
+    let h = this.series.get(k);
+    if (!h) {
+      h = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(k, h);
+    }
+    this.buckets.forEach((b, i) => {
+      if (value <= b) h.counts[i] += 1;
+    });
+    h.sum += value;
+    h.count += 1;
+  }
+
+  renderSeries(values, h) {
+    const lines = this.buckets.map((b, i) => `${this.name}_bucket${formatLabels(this.labelNames, values, `le="${b}"`)} ${h.counts[i]}`);
+    lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${h.count}`);
+    lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${h.sum}`);
+    lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${h.count}`);
+    return lines;
+  }
+}
+
+const metrics = {
+  activeSessions: new Gauge('stt_active_sessions', 'Open /ws sessions (detached: waiting for a resume)', ['state']),
+  sessions: new Counter('stt_sessions_total', 'Sessions that got ready', ['provider']),
+  audioSeconds: new Counter('stt_audio_seconds_total', 'Client audio received, in seconds', ['provider']),
+  timeToFirstInterim: new Histogram(
+    'stt_time_to_first_interim_seconds',
+    'Time from sending the audio an utterance\'s first interim covers to the provider until that interim arrived',
+    ['provider'],
+  ),
+  timeToFinal: new Histogram(
+    'stt_time_to_final_seconds',
+    'Time from sending the last audio of an utterance to the provider until its final arrived',
+    ['provider'],
+  ),
+  results: new Counter('stt_results_total', 'Results sent to clients', ['provider', 'language', 'final']),
+  errors: new Counter('stt_errors_total', 'Provider errors by gRPC status (Google) or vendor code', ['provider', 'code']),
+  limits: new Counter('stt_limit_closures_total', 'Sessions refused or closed by a limit', ['reason']),
+  translationCache: new Counter('stt_translation_cache_total', 'Final translations served from (hit) or added to (miss) the shared cache', ['result']),
+};
+
+/** Label value for a provider error code: gRPC status name for Google, the vendor's code otherwise. */
+function errorCodeLabel(provider, code) {
+  if (code === undefined || code === null || code === '') return 'unknown';
+  if (provider === 'google' && Number.isInteger(code) && GRPC_CODES[code]) return GRPC_CODES[code];
+  return String(code);
+}
+
+function renderMetrics() {
+  return `${registry.map((m) => m.render()).join('\n')}\n`;
+}
+
+module.exports = { metrics, errorCodeLabel, renderMetrics };
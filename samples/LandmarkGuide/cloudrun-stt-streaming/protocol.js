@@ -0,0 +1,70 @@
+/**
+ * Result message versions of the /ws protocol.
+ *
+ * The client asks for a version with `"protocolVersion"` in its config (default 1); `ready` answers
+ * with the version the server will speak (the highest it supports, at most the requested one).
+ *
+ * v1: { type: 'result', resultId, text, isFinal, languageCode, endOffsetMs }
+ * v2: v1 plus
+ *     utteranceId    "<sessionId>.<resultId>", stable across the utterance's interims and final
+ *     startOffsetMs  start of the first word (null without word timings)
+ *     confidence     0..1 (null for interims / when the vendor has none)
+ *     stability      0..1 how likely the interim is to stay (Google only)
+ *     words          [{ word, startMs, endMs, confidence }], offsets like endOffsetMs
+ *     alternatives   n-best [{ text, confidence }], best first (size: config `maxAlternatives`, 1-5)
+ */
+
+const SUPPORTED_VERSIONS = [1, 2];
+const LATEST_VERSION = Math.max(...SUPPORTED_VERSIONS);
+const MAX_ALTERNATIVES = 5;
+
+function protocolError(message) {
+  const err = new Error(message);
+  err.details = `Supported protocolVersion: ${SUPPORTED_VERSIONS.join(', ')}`;
+  return err;
+}
+
+/**
+ * @returns {{ version: number, maxAlternatives: number }}
+ * @throws {Error} with `details` for a malformed version
+ */
+function negotiateProtocol(cfg) {
+  const raw = cfg.protocolVersion === undefined ? 1 : cfg.protocolVersion;
+  if (!Number.isInteger(raw) || raw < 1) throw protocolError(`Invalid protocolVersion: ${raw}`);
+  const version = Math.min(raw, LATEST_VERSION);
+  const n = Number(cfg.maxAlternatives);
+  const maxAlternatives = version >= 2 && Number.isInteger(n) ? Math.max(1, Math.min(MAX_ALTERNATIVES, n)) : 1;
+  return { version, maxAlternatives };
+}
+
+/**
+ * @param {number} version negotiated version
+ * @param {object} r adapter result (see providers/base.js)
+ * @param {number} resultId
+ * @param {string} utteranceId
+ */
+function resultMessage(version, r, resultId, utteranceId) {
+  const msg = {
+    type: 'result',
+    resultId,
+    text: r.text,
+    isFinal: r.isFinal,
+    languageCode: r.languageCode,
+    endOffsetMs: r.endOffsetMs,
+  };
+  if (version < 2) return msg;
+  const words = r.words || [];
+  return {
+    ...msg,
+    utteranceId,
+    startOffsetMs: words.length > 0 ? words[0].startMs : null,
+    confidence: r.confidence ?? null,
+    stability: r.stability ?? null,
+    words,
+    alternatives: r.alternatives && r.alternatives.length > 0
+      ? r.alternatives
+      : [{ text: r.text, confidence: r.confidence ?? null }],
+  };
+}
+
+module.exports = { negotiateProtocol, resultMessage, LATEST_VERSION };
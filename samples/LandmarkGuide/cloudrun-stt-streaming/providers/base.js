@@ -0,0 +1,186 @@
+/**
+ * Common shape for speech backends behind the /ws protocol.
+ *
+ * An adapter is an EventEmitter with:
+ * - `async start()`  connect / open the vendor stream; resolves once audio can be written
+ * - `write(buf)`     PCM16 LE mono audio at `sampleRateHertz`; returns false when the vendor side
+ *                    is backpressured ('drain' is emitted once it catches up)
+ *
+ * `static PREFERRED_SAMPLE_RATE_HZ` is the rate the bridge resamples client audio to (audio/decoder.js).
+ * `static async checkReady({ location })` throws if the backend can't take sessions (GET /readyz).
+ * - `finalize()`     ask the vendor for a final covering the audio so far (best effort; returns
+ *                    false if the vendor has no such control and will only finalize on its own)
+ * - `retire()`       the adapter is being replaced: flush a final for the audio so far and open
+ *                    nothing new (end() follows after a grace period); defaults to finalize()
+ * - `end()`          release everything (idempotent)
+ *
+ * and emits:
+ * - 'result' { text, isFinal, languageCode, endOffsetMs, confidence, stability, words, alternatives }
+ *            words: [{ word, startMs, endMs, confidence }], alternatives: n-best [{ text, confidence }]
+ *            (best first); fields the vendor doesn't provide are null / []
+ * - 'drain'  after write() returned false
+ * - 'error'  { message, code?, details? }   (session is unusable afterwards)
+ */
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+
+const CONNECT_TIMEOUT_MS = Number(process.env.STT_PROVIDER_CONNECT_TIMEOUT_MS || 10000);
+// Audio handed to a vendor socket but not yet flushed to the network.
+const HIGH_WATER_BYTES = Number(process.env.STT_PROVIDER_HIGH_WATER_BYTES || 256 * 1024);
+
+class RecognizerAdapter extends EventEmitter {
+  static PREFERRED_SAMPLE_RATE_HZ = 16000;
+
+  /**
+   * @param {object} opts
+   * @param {string[]} opts.languageCodes BCP-47 tags, e.g. ['ko-KR', 'en-US']
+   * @param {string} [opts.model] vendor model name; adapters pick their own default
+   * @param {string} [opts.location] region (Google only)
+   * @param {number} opts.sampleRateHertz
+   * @param {object} [opts.providerOptions] adapter-specific settings from the client config
+   * @param {boolean} [opts.detailedResults] ask the vendor for word timings / confidences
+   * @param {number} [opts.maxAlternatives] n-best size to ask for (default 1)
+   * @param {string} [opts.correlationId] session correlation id for the adapter's log lines
+   * @param {{ value: string, boost: number|null }[]} [opts.phrases] phrase hints (see vocabulary.js);
+   *        adapters pass them on as far as the vendor supports adaptation
+   */
+  constructor(opts) {
+    super();
+    this.correlationId = opts.correlationId || null;
+    this.languageCodes = opts.languageCodes;
+    this.model = opts.model;
+    this.location = opts.location;
+    this.sampleRateHertz = opts.sampleRateHertz;
+    this.providerOptions = opts.providerOptions || {};
+    this.detailedResults = !!opts.detailedResults;
+    this.maxAlternatives = opts.maxAlternatives || 1;
+    this.phrases = opts.phrases || [];
+    this.ended = false;
+    this.inflightBytes = 0;
+    this.backpressured = false;
+  }
+
+  /** Readiness probe; the default has nothing to check. */
+  static async checkReady() {
+    return {};
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async start() {
+    throw new Error('start() not implemented');
+  }
+
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  write(buf) {
+    throw new Error('write() not implemented');
+  }
+
+  /** Send audio on a vendor WebSocket with backpressure accounting (for write()). */
+  sendAudio(sock, buf) {
+    if (!sock || sock.readyState !== WebSocket.OPEN) return true;
+    this.inflightBytes += buf.length;
+    sock.send(buf, () => {
+      this.inflightBytes -= buf.length;
+      if (this.backpressured && this.inflightBytes <= HIGH_WATER_BYTES / 2) {
+        this.backpressured = false;
+        this.emit('drain');
+      }
+    });
+    if (this.inflightBytes > HIGH_WATER_BYTES) this.backpressured = true;
+    return !this.backpressured;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  finalize() {
+    return false;
+  }
+
+  retire() {
+    return this.finalize();
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  /**
+   * @param {object} [detail] { confidence, stability, words: [{ word, startMs, endMs, confidence }],
+   *                            alternatives: [{ text, confidence }] } as far as the vendor reports them
+   */
+  emitResult(text, isFinal, languageCode, endOffsetMs, detail = {}) {
+    if (this.ended || !text) return;
+    const words = Array.isArray(detail.words) ? detail.words.filter((w) => w && w.word) : [];
+    const alternatives = Array.isArray(detail.alternatives) ? detail.alternatives.filter((a) => a && a.text) : [];
+    this.emit('result', {
+      text,
+      isFinal: !!isFinal,
+      languageCode: languageCode || null,
+      endOffsetMs: roundMs(endOffsetMs),
+      confidence: finiteOrNull(detail.confidence),
+      stability: finiteOrNull(detail.stability),
+      words: words.map((w) => ({
+        word: w.word,
+        startMs: roundMs(w.startMs),
+        endMs: roundMs(w.endMs),
+        confidence: finiteOrNull(w.confidence),
+      })),
+      alternatives: alternatives.map((a) => ({ text: a.text, confidence: finiteOrNull(a.confidence) })),
+    });
+  }
+
+  emitError(message, code, details) {
+    if (this.ended) return;
+    this.emit('error', { message, code, details });
+  }
+}
+
+function roundMs(ms) {
+  return Number.isFinite(ms) ? Math.round(ms) : null;
+}
+
+function finiteOrNull(n) {
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Mean of the finite values, or null. */
+function mean(values) {
+  const v = values.filter(Number.isFinite);
+  return v.length > 0 ? v.reduce((a, b) => a + b, 0) / v.length : null;
+}
+
+/** 'ko-KR' → 'ko' (what Soniox / Deepgram expect). */
+function baseLanguage(code) {
+  return String(code || '').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Open a client WebSocket to a vendor and resolve once it is OPEN.
+ * Rejects on connect error, non-101 response or timeout.
+ */
+function connectWebSocket(url, headers) {
+  return new Promise((resolve, reject) => {
+    const sock = new WebSocket(url, { headers, handshakeTimeout: CONNECT_TIMEOUT_MS });
+    const onError = (err) => {
+      sock.removeListener('open', onOpen);
+      reject(err);
+    };
+    const onOpen = () => {
+      sock.removeListener('error', onError);
+      resolve(sock);
+    };
+    sock.once('open', onOpen);
+    sock.once('error', onError);
+    sock.once('unexpected-response', (req, res) => {
+      sock.removeListener('error', onError);
+      sock.removeListener('open', onOpen);
+      sock.on('error', () => {});
+      req.destroy();
+      const err = new Error(`Handshake rejected: HTTP ${res.statusCode}`);
+      err.code = res.statusCode;
+      reject(err);
+    });
+  });
+}
+
+module.exports = { RecognizerAdapter, baseLanguage, connectWebSocket, mean };
@@ -0,0 +1,174 @@
+/**
+ * Deepgram live transcription adapter (wss://api.deepgram.com/v1/listen).
+ *
+ * Deepgram finalizes audio in segments (`is_final`); `speech_final` marks the end of an utterance.
+ * Segments are joined and emitted as one final per utterance, like the other adapters.
+ * `finalize()` sends Deepgram's `Finalize`; the answer carries `from_finalize` and closes the utterance.
+ * With more than one candidate language we ask for `language=multi` (nova-3 code-switching).
+ */
+
+const WebSocket = require('ws');
+const { RecognizerAdapter, baseLanguage, connectWebSocket, mean } = require('./base');
+
+const DEEPGRAM_WS_URL = process.env.DEEPGRAM_WS_URL || 'wss://api.deepgram.com/v1/listen';
+const DEFAULT_MODEL = process.env.DEEPGRAM_MODEL || 'nova-3';
+// Deepgram closes the socket after ~10s without data.
+const KEEPALIVE_MS = 5000;
+
+function altWords(alt) {
+  return (alt?.words || []).map((w) => ({
+    word: w.punctuated_word || w.word,
+    startMs: w.start * 1000,
+    endMs: w.end * 1000,
+    confidence: w.confidence,
+  }));
+}
+
+class DeepgramRecognizer extends RecognizerAdapter {
+  constructor(opts) {
+    super(opts);
+    this.model = this.model || DEFAULT_MODEL;
+    this.sock = null;
+    this.keepAlive = null;
+    this.segments = []; // [{ text, words, confidence, alternatives }]
+    this.segmentLang = null;
+  }
+
+  static async checkReady() {
+    if (!process.env.DEEPGRAM_API_KEY) throw new Error('DEEPGRAM_API_KEY is not set on the server');
+    return {};
+  }
+
+  async start() {
+    const apiKey = process.env.DEEPGRAM_API_KEY;
+    if (!apiKey) {
+      throw new Error('DEEPGRAM_API_KEY is not set on the server');
+    }
+
+    const langs = [...new Set(this.languageCodes.map(baseLanguage).filter(Boolean))];
+    const params = new URLSearchParams({
+      model: this.model,
+      encoding: 'linear16',
+      sample_rate: String(this.sampleRateHertz),
+      channels: '1',
+      interim_results: 'true',
+      punctuate: 'true',
+      smart_format: 'true',
+      language: langs.length === 1 ? langs[0] : 'multi',
+    });
+    if (this.maxAlternatives > 1) params.set('alternatives', String(this.maxAlternatives));
+    // Nova-3 takes key terms; older models boosted keywords ("term:intensifier").
+    for (const { value, boost } of this.phrases) {
+      if (this.model.startsWith('nova-3')) params.append('keyterm', value);
+      else params.append('keywords', boost === null ? value : `${value}:${boost}`);
+    }
+
+    const sock = await connectWebSocket(`${DEEPGRAM_WS_URL}?${params}`, { Authorization: `Token ${apiKey}` });
+    if (this.ended) {
+      sock.close();
+      return;
+    }
+    this.sock = sock;
+    this.defaultLang = langs.length === 1 ? this.languageCodes[0] : null;
+
+    this.keepAlive = setInterval(() => {
+      if (sock.readyState === WebSocket.OPEN) sock.send(JSON.stringify({ type: 'KeepAlive' }));
+    }, KEEPALIVE_MS);
+
+    sock.on('message', (data, isBinary) => {
+      if (!isBinary) this._onMessage(data);
+    });
+    sock.on('error', (err) => this.emitError(`Deepgram connection error: ${err.message}`));
+    sock.on('close', (code, reason) => {
+      clearInterval(this.keepAlive);
+      this._flushFinal(null);
+      if (!this.ended && code !== 1000) {
+        this.emitError('Deepgram connection closed', code, reason.toString());
+      }
+    });
+  }
+
+  _onMessage(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString('utf8'));
+    } catch (_) {
+      return;
+    }
+    if (msg.type !== 'Results') return;
+
+    const alt = msg.channel?.alternatives?.[0];
+    const text = (alt?.transcript || '').trim();
+    const lang = alt?.languages?.[0] || msg.channel?.detected_language || this.defaultLang;
+    const endMs = Number.isFinite(msg.start) && Number.isFinite(msg.duration)
+      ? (msg.start + msg.duration) * 1000
+      : null;
+
+    const segment = {
+      text,
+      words: altWords(alt),
+      confidence: alt?.confidence,
+      alternatives: (msg.channel?.alternatives || []).map((a) => ({ text: (a.transcript || '').trim(), confidence: a.confidence })),
+    };
+
+    if (msg.is_final) {
+      if (text) {
+        this.segments.push(segment);
+        if (!this.segmentLang) this.segmentLang = lang;
+      }
+      if (msg.speech_final || msg.from_finalize) {
+        this._flushFinal(endMs);
+      } else if (this.segments.length > 0) {
+        this.emitResult(this.segments.map((g) => g.text).join(' '), false, this.segmentLang, endMs, this._detail(this.segments));
+      }
+      return;
+    }
+
+    const pending = text ? [...this.segments, segment] : this.segments;
+    const interim = pending.map((g) => g.text).join(' ');
+    if (interim) this.emitResult(interim, false, this.segmentLang || lang, endMs, this._detail(pending));
+  }
+
+  /** Alternatives only make sense for a single segment; joined segments report the top path. */
+  // eslint-disable-next-line class-methods-use-this
+  _detail(segments) {
+    return {
+      confidence: mean(segments.map((g) => g.confidence)),
+      words: segments.flatMap((g) => g.words),
+      alternatives: segments.length === 1 ? segments[0].alternatives : [],
+    };
+  }
+
+  _flushFinal(endMs) {
+    const text = this.segments.map((g) => g.text).join(' ').trim();
+    const lang = this.segmentLang;
+    const detail = this._detail(this.segments);
+    this.segments = [];
+    this.segmentLang = null;
+    if (text) this.emitResult(text, true, lang, endMs, detail);
+  }
+
+  finalize() {
+    if (!this.sock || this.sock.readyState !== WebSocket.OPEN) return false;
+    this.sock.send(JSON.stringify({ type: 'Finalize' }));
+    return true;
+  }
+
+  write(buf) {
+    return this.sendAudio(this.sock, buf);
+  }
+
+  end() {
+    super.end();
+    clearInterval(this.keepAlive);
+    const sock = this.sock;
+    this.sock = null;
+    if (!sock) return;
+    try {
+      if (sock.readyState === WebSocket.OPEN) sock.send(JSON.stringify({ type: 'CloseStream' }));
+      sock.close(1000);
+    } catch (_) {}
+  }
+}
+
+module.exports = { DeepgramRecognizer };
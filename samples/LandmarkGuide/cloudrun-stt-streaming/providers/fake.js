@@ -0,0 +1,52 @@
+/**
+ * Scripted recognizer for deterministic replays (tools/replay.js --fake).
+ *
+ * `providerOptions.results` is a list of result messages, usually the ones a capture recorded:
+ *   [{ text, isFinal, languageCode, endOffsetMs, confidence?, stability?, words?, alternatives? }]
+ * Each is emitted once the audio written to this recognizer reaches its `endOffsetMs`
+ * (results without an offset follow the previous one immediately). Only registered when
+ * STT_ENABLE_FAKE_PROVIDER=true.
+ */
+
+const { RecognizerAdapter } = require('./base');
+
+class FakeRecognizer extends RecognizerAdapter {
+  constructor(opts) {
+    super(opts);
+    const script = Array.isArray(this.providerOptions.results) ? this.providerOptions.results : [];
+    this.script = script.filter((r) => r && typeof r.text === 'string');
+    this.next = 0;
+    this.audioMs = 0;
+  }
+
+  async start() {
+    this._emitDue();
+  }
+
+  write(buf) {
+    this.audioMs += buf.length / ((this.sampleRateHertz * 2) / 1000);
+    this._emitDue();
+    return true;
+  }
+
+  finalize() {
+    // Flush everything up to the next final.
+    while (this.next < this.script.length) {
+      const r = this.script[this.next++];
+      this.emitResult(r.text, r.isFinal, r.languageCode, r.endOffsetMs, r);
+      if (r.isFinal) break;
+    }
+    return true;
+  }
+
+  _emitDue() {
+    while (this.next < this.script.length) {
+      const r = this.script[this.next];
+      if (Number.isFinite(r.endOffsetMs) && r.endOffsetMs > this.audioMs) return;
+      this.next += 1;
+      this.emitResult(r.text, r.isFinal, r.languageCode, r.endOffsetMs, r);
+    }
+  }
+}
+
+module.exports = { FakeRecognizer };
@@ -0,0 +1,169 @@
+/**
+ * Google Speech-to-Text v2 StreamingRecognize (Chirp 3) adapter.
+ *
+ * Auth is ADC (Cloud Run service account). Long sessions are kept alive by RolloverStream.
+ */
+
+const speech = require('@google-cloud/speech');
+const { GoogleAuth } = require('google-auth-library');
+const { RecognizerAdapter } = require('./base');
+const { RolloverStream } = require('../rolloverStream');
+
+const DEFAULT_MODEL = process.env.STT_MODEL || 'chirp_3';
+const DEFAULT_RECOGNIZER_ID = process.env.STT_RECOGNIZER_ID || 'chirp-streaming';
+// If provided, use fully-qualified recognizer name (avoids formatting issues)
+const DEFAULT_RECOGNIZER_NAME = process.env.STT_RECOGNIZER_NAME || '';
+// Google's own masking of profanity in transcripts (first letter kept)
+const PROFANITY_FILTER = process.env.STT_PROFANITY_FILTER === 'true';
+
+function logJson(prefix, obj) {
+  // eslint-disable-next-line no-console
+  console.log(`${prefix} ${JSON.stringify(obj)}`);
+}
+
+function recognizerName(projectId, location) {
+  return DEFAULT_RECOGNIZER_NAME.startsWith('projects/')
+    ? DEFAULT_RECOGNIZER_NAME
+    : `projects/${projectId}/locations/${location}/recognizers/${DEFAULT_RECOGNIZER_ID}`;
+}
+
+class GoogleRecognizer extends RecognizerAdapter {
+  constructor(opts) {
+    super(opts);
+    this.model = this.model || DEFAULT_MODEL;
+    this.client = null;
+    this.stream = null;
+  }
+
+  /** Readiness: ADC yields a project and the streaming recognizer exists and is active. */
+  static async checkReady({ location }) {
+    const auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+    const projectId = await auth.getProjectId();
+    const name = recognizerName(projectId, location);
+    const client = new speech.v2.SpeechClient({ apiEndpoint: `${location}-speech.googleapis.com` });
+    try {
+      const [recognizer] = await client.getRecognizer({ name });
+      if (recognizer.state && recognizer.state !== 'ACTIVE') throw new Error(`Recognizer ${name} is ${recognizer.state}`);
+      return { recognizer: name };
+    } finally {
+      client.close();
+    }
+  }
+
+  async start() {
+    // v2 client with regional endpoint
+    const SpeechClientV2 = speech?.v2?.SpeechClient;
+    if (!SpeechClientV2) {
+      throw new Error('Missing @google-cloud/speech v2 client (SpeechClient)');
+    }
+
+    // Derive project id via ADC (Cloud Run service account)
+    const auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+    const projectId = await auth.getProjectId();
+    if (!projectId) {
+      throw new Error('Failed to determine project id via ADC');
+    }
+    if (this.ended) return;
+
+    const { location, model, languageCodes, sampleRateHertz } = this;
+    const apiEndpoint = `${location}-speech.googleapis.com`;
+    const recognizer = recognizerName(projectId, location);
+
+    logJson('Starting streamingRecognize', {
+      correlationId: this.correlationId,
+      apiEndpoint,
+      recognizer,
+      model,
+      sampleRateHertz,
+      languageCodes,
+      phrases: this.phrases.length,
+    });
+
+    const client = new SpeechClientV2({ apiEndpoint });
+    this.client = client;
+
+    // Each (re)opened stream starts with recognizer + streaming_config.
+    // Inline phrase set (speech adaptation); boost 0-20, unset = the model's default weight.
+    const adaptation = this.phrases.length > 0
+      ? { phraseSets: [{ inlinePhraseSet: { phrases: this.phrases.map(({ value, boost }) => (boost === null ? { value } : { value, boost })) } }] }
+      : undefined;
+
+    const openStream = () => {
+      const s = client.streamingRecognize();
+      s.write({
+        // Use a real recognizer resource (some environments reject implicit '_' for streaming)
+        recognizer,
+        streamingConfig: {
+          config: {
+            explicitDecodingConfig: {
+              encoding: 'LINEAR16',
+              sampleRateHertz,
+              audioChannelCount: 1,
+            },
+            languageCodes,
+            model,
+            features: {
+              enableAutomaticPunctuation: true,
+              profanityFilter: PROFANITY_FILTER,
+              enableWordTimeOffsets: this.detailedResults,
+              enableWordConfidence: this.detailedResults,
+              maxAlternatives: this.maxAlternatives,
+            },
+            adaptation,
+          },
+          streamingFeatures: {
+            interimResults: true,
+          },
+        },
+      });
+      return s;
+    };
+
+    this.stream = new RolloverStream({ openStream, bytesPerMs: (sampleRateHertz * 2) / 1000 });
+    this.stream
+      .on('result', (r) => this.emitResult(r.text, r.isFinal, r.languageCode, r.endOffsetMs, r))
+      .on('rollover', (info) => logJson('STT stream rollover', { correlationId: this.correlationId, ...info }))
+      .on('drain', () => this.emit('drain'))
+      .on('error', (err) => {
+        const md = err?.metadata && typeof err.metadata.getMap === 'function' ? err.metadata.getMap() : undefined;
+        // eslint-disable-next-line no-console
+        console.error('STT stream error', JSON.stringify({
+          correlationId: this.correlationId,
+          message: err?.message,
+          code: err?.code,
+          details: err?.details,
+          streamIndex: err?.streamIndex,
+          metadataKeys: md ? Object.keys(md) : undefined,
+          metadata: md,
+        }));
+        this.emitError(err?.message || String(err), err?.code, err?.details);
+      });
+    this.stream.start();
+  }
+
+  write(buf) {
+    return this.stream ? this.stream.write(buf) : true;
+  }
+
+  finalize() {
+    if (!this.stream) return false;
+    this.stream.finalize();
+    return true;
+  }
+
+  retire() {
+    if (!this.stream) return false;
+    this.stream.finish();
+    return true;
+  }
+
+  end() {
+    super.end();
+    try { this.stream && this.stream.end(); } catch (_) {}
+    this.stream = null;
+    try { this.client && this.client.close && this.client.close(); } catch (_) {}
+    this.client = null;
+  }
+}
+
+module.exports = { GoogleRecognizer };
@@ -0,0 +1,68 @@
+/**
+ * Speech backend registry for the /ws bridge.
+ *
+ * The client picks one with `"provider"` in the config message; every adapter produces the same
+ * `result`/`error` events (see base.js), so the client protocol does not change between vendors.
+ */
+
+const { GoogleRecognizer } = require('./google');
+const { SonioxRecognizer } = require('./soniox');
+const { DeepgramRecognizer } = require('./deepgram');
+const { LocalRecognizer } = require('./local');
+const { FakeRecognizer } = require('./fake');
+
+const PROVIDERS = {
+  google: GoogleRecognizer,
+  soniox: SonioxRecognizer,
+  deepgram: DeepgramRecognizer,
+  local: LocalRecognizer,
+};
+// Scripted results for tools/replay.js; never enable in production.
+if (process.env.STT_ENABLE_FAKE_PROVIDER === 'true') PROVIDERS.fake = FakeRecognizer;
+
+// Names the app already uses for the same backends.
+const ALIASES = {
+  chirp: 'google',
+  'google-v2': 'google',
+  vosk: 'local',
+  whisper: 'local',
+};
+
+const DEFAULT_PROVIDER = process.env.STT_PROVIDER || 'google';
+
+function resolveProviderName(name) {
+  const key = String(name || DEFAULT_PROVIDER).toLowerCase();
+  const resolved = ALIASES[key] || key;
+  return PROVIDERS[resolved] ? resolved : null;
+}
+
+/**
+ * @param {string} name canonical provider name (see resolveProviderName)
+ * @param {object} opts see RecognizerAdapter
+ */
+function createRecognizer(name, opts) {
+  const Adapter = PROVIDERS[name];
+  if (!Adapter) throw new Error(`Unsupported provider: ${name}`);
+  return new Adapter(opts);
+}
+
+/**
+ * Readiness of a provider (GET /readyz); throws what's wrong.
+ * @returns {Promise<object>} details worth reporting, e.g. the recognizer name
+ */
+function checkProviderReady(name, opts) {
+  return PROVIDERS[name].checkReady(opts);
+}
+
+/** Sample rate the provider wants its PCM16 mono input at. */
+function preferredSampleRate(name) {
+  return PROVIDERS[name].PREFERRED_SAMPLE_RATE_HZ;
+}
+
+module.exports = {
+  createRecognizer,
+  checkProviderReady,
+  preferredSampleRate,
+  resolveProviderName,
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+};
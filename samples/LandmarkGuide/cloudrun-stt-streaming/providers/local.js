@@ -0,0 +1,112 @@
+/**
+ * Local/offline engine adapter speaking the vosk-server WebSocket protocol.
+ *
+ * Works with vosk-server (https://github.com/alphacep/vosk-server) and whisper.cpp / faster-whisper
+ * wrappers that expose the same protocol:
+ * - client sends `{"config": {"sample_rate": 8000, "words": 1}}`, then binary PCM16, then `{"eof": 1}`
+ * - server sends `{"partial": "..."}` (interim) and `{"text": "...", "result": [{word, start, end}]}` (final)
+ *
+ * One model per engine instance: `LOCAL_STT_URL` may contain `{lang}` (e.g. ws://vosk-{lang}:2700),
+ * which is replaced with the base code of the first requested language.
+ */
+
+const WebSocket = require('ws');
+const { RecognizerAdapter, baseLanguage, connectWebSocket, mean } = require('./base');
+
+const LOCAL_STT_URL = process.env.LOCAL_STT_URL || 'ws://127.0.0.1:2700';
+// Must match the engine's model (most Vosk models are 16 kHz, some small ones 8 kHz).
+const LOCAL_SAMPLE_RATE_HZ = Number(process.env.LOCAL_STT_SAMPLE_RATE_HZ || 16000);
+
+class LocalRecognizer extends RecognizerAdapter {
+  static PREFERRED_SAMPLE_RATE_HZ = LOCAL_SAMPLE_RATE_HZ;
+
+  constructor(opts) {
+    super(opts);
+    this.sock = null;
+    this.lastPartial = '';
+  }
+
+  /** The engine accepts connections (with `{lang}` in the URL only the LOCAL_STT_READY_LANGUAGE one is tried). */
+  static async checkReady() {
+    const url = LOCAL_STT_URL.replace('{lang}', encodeURIComponent(process.env.LOCAL_STT_READY_LANGUAGE || 'en'));
+    const sock = await connectWebSocket(url);
+    sock.on('error', () => {});
+    sock.close();
+    return { url };
+  }
+
+  async start() {
+    const lang = baseLanguage(this.languageCodes[0]);
+    const url = LOCAL_STT_URL.replace('{lang}', encodeURIComponent(lang));
+    const sock = await connectWebSocket(url);
+    if (this.ended) {
+      sock.close();
+      return;
+    }
+    this.sock = sock;
+    // The engine only knows its own model; report the requested tag.
+    this.languageCode = this.languageCodes[0];
+
+    const config = { sample_rate: this.sampleRateHertz, words: 1 };
+    if (this.maxAlternatives > 1) config.max_alternatives = this.maxAlternatives;
+    if (this.model) config.model = this.model;
+    sock.send(JSON.stringify({ config }));
+
+    sock.on('message', (data) => this._onMessage(data));
+    sock.on('error', (err) => this.emitError(`Local STT connection error: ${err.message}`));
+    sock.on('close', (code, reason) => {
+      if (!this.ended && code !== 1000) {
+        this.emitError('Local STT connection closed', code, reason.toString());
+      }
+    });
+  }
+
+  _onMessage(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString('utf8'));
+    } catch (_) {
+      return;
+    }
+
+    // With max_alternatives vosk answers { alternatives: [{ text, confidence, result }] } instead
+    // (that confidence is an unnormalized score, so only word `conf` values are reported).
+    const best = Array.isArray(msg.alternatives) ? msg.alternatives[0] : msg;
+    if (best && typeof best.text === 'string') {
+      const words = Array.isArray(best.result) ? best.result : [];
+      const last = words[words.length - 1];
+      const endMs = last && Number.isFinite(last.end) ? last.end * 1000 : null;
+      this.lastPartial = '';
+      this.emitResult(best.text.trim(), true, this.languageCode, endMs, {
+        confidence: mean(words.map((w) => w.conf)),
+        words: words.map((w) => ({ word: w.word, startMs: w.start * 1000, endMs: w.end * 1000, confidence: w.conf })),
+        alternatives: Array.isArray(msg.alternatives) ? msg.alternatives.map((a) => ({ text: (a.text || '').trim() })) : [],
+      });
+      return;
+    }
+    if (typeof msg.partial === 'string') {
+      const text = msg.partial.trim();
+      // vosk-server repeats the same partial for every chunk.
+      if (!text || text === this.lastPartial) return;
+      this.lastPartial = text;
+      this.emitResult(text, false, this.languageCode, null);
+    }
+  }
+
+  write(buf) {
+    return this.sendAudio(this.sock, buf);
+  }
+
+  end() {
+    super.end();
+    const sock = this.sock;
+    this.sock = null;
+    if (!sock) return;
+    try {
+      if (sock.readyState === WebSocket.OPEN) sock.send(JSON.stringify({ eof: 1 }));
+      sock.close(1000);
+    } catch (_) {}
+  }
+}
+
+module.exports = { LocalRecognizer };
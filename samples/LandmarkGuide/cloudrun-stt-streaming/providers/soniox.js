@@ -0,0 +1,167 @@
+/**
+ * Soniox real-time STT adapter (wss://stt-rt.soniox.com/transcribe-websocket).
+ *
+ * Soniox sends final tokens once and re-sends the current non-final tokens with every response.
+ * We accumulate finals until the endpoint token `<end>` (enable_endpoint_detection) or the
+ * manual-finalization token `<fin>` and emit one final per utterance; interims are
+ * `finals so far + current non-finals`.
+ */
+
+const WebSocket = require('ws');
+const { RecognizerAdapter, baseLanguage, connectWebSocket, mean } = require('./base');
+
+const SONIOX_WS_URL = process.env.SONIOX_WS_URL || 'wss://stt-rt.soniox.com/transcribe-websocket';
+const DEFAULT_MODEL = process.env.SONIOX_MODEL || 'stt-rt-v3';
+
+/** Soniox tokens are sub-word pieces; a leading space starts a new word. */
+function tokenDetail(tokens) {
+  const words = [];
+  for (const t of tokens) {
+    const last = words[words.length - 1];
+    if (!last || /^\s/.test(t.text)) {
+      words.push({ word: t.text.trim(), startMs: t.start_ms, endMs: t.end_ms, confidences: [t.confidence] });
+    } else {
+      last.word += t.text;
+      last.endMs = t.end_ms;
+      last.confidences.push(t.confidence);
+    }
+  }
+  return {
+    confidence: mean(tokens.map((t) => t.confidence)),
+    words: words.map(({ confidences, ...w }) => ({ ...w, confidence: mean(confidences) })),
+  };
+}
+
+class SonioxRecognizer extends RecognizerAdapter {
+  constructor(opts) {
+    super(opts);
+    this.model = this.model || DEFAULT_MODEL;
+    this.sock = null;
+    this.finalText = '';
+    this.finalTokens = [];
+    this.finalLang = null;
+    this.lastEndMs = null;
+  }
+
+  static async checkReady() {
+    if (!process.env.SONIOX_API_KEY) throw new Error('SONIOX_API_KEY is not set on the server');
+    return {};
+  }
+
+  async start() {
+    const apiKey = process.env.SONIOX_API_KEY;
+    if (!apiKey) {
+      throw new Error('SONIOX_API_KEY is not set on the server');
+    }
+
+    const sock = await connectWebSocket(SONIOX_WS_URL);
+    if (this.ended) {
+      sock.close();
+      return;
+    }
+    this.sock = sock;
+
+    const hints = [...new Set(this.languageCodes.map(baseLanguage).filter((l) => l && l !== 'auto'))];
+    const start = {
+      api_key: apiKey,
+      model: this.model,
+      audio_format: 's16le',
+      sample_rate: this.sampleRateHertz,
+      num_channels: 1,
+      enable_endpoint_detection: true,
+      // More than one candidate language (or none) → let Soniox identify it.
+      enable_language_identification: hints.length !== 1,
+    };
+    if (hints.length > 0) start.language_hints = hints;
+    // Soniox context terms have no weights.
+    if (this.phrases.length > 0) start.context = { terms: this.phrases.map((p) => p.value) };
+    sock.send(JSON.stringify(start));
+
+    sock.on('message', (data) => this._onMessage(data));
+    sock.on('error', (err) => this.emitError(`Soniox connection error: ${err.message}`));
+    sock.on('close', (code, reason) => {
+      this._flushFinal();
+      if (!this.ended && code !== 1000) {
+        this.emitError('Soniox connection closed', code, reason.toString());
+      }
+    });
+  }
+
+  _onMessage(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString('utf8'));
+    } catch (_) {
+      return;
+    }
+
+    if (msg.error_code) {
+      this.emitError(`Soniox error ${msg.error_code}`, msg.error_code, msg.error_message);
+      return;
+    }
+
+    let partial = '';
+    const partialTokens = [];
+    let partialLang = null;
+    let sawEnd = false;
+    for (const t of msg.tokens || []) {
+      if (t.text === '<end>' || t.text === '<fin>') {
+        sawEnd = true;
+        continue;
+      }
+      if (Number.isFinite(t.end_ms)) this.lastEndMs = t.end_ms;
+      if (t.is_final) {
+        this.finalText += t.text;
+        this.finalTokens.push(t);
+        if (!this.finalLang && t.language) this.finalLang = t.language;
+      } else {
+        partial += t.text;
+        partialTokens.push(t);
+        if (!partialLang && t.language) partialLang = t.language;
+      }
+    }
+
+    if (sawEnd || msg.finished) {
+      this._flushFinal();
+      return;
+    }
+    const interim = (this.finalText + partial).trim();
+    if (interim) {
+      this.emitResult(interim, false, this.finalLang || partialLang, this.lastEndMs, tokenDetail([...this.finalTokens, ...partialTokens]));
+    }
+  }
+
+  _flushFinal() {
+    const text = this.finalText.trim();
+    const lang = this.finalLang;
+    const detail = tokenDetail(this.finalTokens);
+    this.finalText = '';
+    this.finalTokens = [];
+    this.finalLang = null;
+    if (text) this.emitResult(text, true, lang, this.lastEndMs, detail);
+  }
+
+  finalize() {
+    if (!this.sock || this.sock.readyState !== WebSocket.OPEN) return false;
+    this.sock.send(JSON.stringify({ type: 'finalize' }));
+    return true;
+  }
+
+  write(buf) {
+    return this.sendAudio(this.sock, buf);
+  }
+
+  end() {
+    super.end();
+    const sock = this.sock;
+    this.sock = null;
+    if (!sock) return;
+    try {
+      // Empty frame asks Soniox to finish; we don't wait for the tail.
+      if (sock.readyState === WebSocket.OPEN) sock.send('');
+      sock.close(1000);
+    } catch (_) {}
+  }
+}
+
+module.exports = { SonioxRecognizer };
@@ -0,0 +1,73 @@
+/**
+ * GET /readyz: can this instance serve sessions right now?
+ *
+ * Checks (STT_READYZ_CHECKS, default "adc,provider"):
+ * - adc       Application Default Credentials give a project id and an access token
+ *             (Firebase token verification, Google STT, the RTDB usage store)
+ * - provider  the default provider's own check (providers/*.js `checkReady`); for Google the
+ *             streaming recognizer exists and is active
+ *
+ * Results are cached for STT_READYZ_CACHE_MS so frequent probes don't call the APIs every time,
+ * and every check gives up after STT_READYZ_TIMEOUT_MS.
+ */
+
+const { GoogleAuth } = require('google-auth-library');
+const { checkProviderReady, resolveProviderName } = require('./providers');
+
+const CHECKS = (process.env.STT_READYZ_CHECKS || 'adc,provider').split(',').map((s) => s.trim()).filter(Boolean);
+const CACHE_MS = Number(process.env.STT_READYZ_CACHE_MS || 30000);
+const TIMEOUT_MS = Number(process.env.STT_READYZ_TIMEOUT_MS || 5000);
+
+let cached = null; // { at, result }
+let inflight = null;
+
+async function checkAdc() {
+  const auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+  const projectId = await auth.getProjectId();
+  const token = await auth.getAccessToken();
+  if (!token) throw new Error('ADC returned no access token');
+  return { projectId };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(fn) {
+  const started = Date.now();
+  try {
+    const details = await withTimeout(Promise.resolve().then(fn), TIMEOUT_MS);
+    return { ok: true, ms: Date.now() - started, ...details };
+  } catch (e) {
+    return { ok: false, ms: Date.now() - started, error: e.message || String(e) };
+  }
+}
+
+/**
+ * @param {{ location: string }} opts defaults the server uses for new sessions
+ * @returns {Promise<{ ready: boolean, checks: object }>}
+ */
+async function checkReadiness(opts) {
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached.result;
+  if (inflight) return inflight;
+  inflight = (async () => {
+    const provider = resolveProviderName();
+    const checks = {};
+    if (CHECKS.includes('adc')) checks.adc = await runCheck(checkAdc);
+    if (CHECKS.includes('provider')) {
+      checks.provider = { name: provider, ...(await runCheck(() => checkProviderReady(provider, opts))) };
+    }
+    const result = { ready: Object.values(checks).every((c) => c.ok), checks };
+    cached = { at: Date.now(), result };
+    return result;
+  })().finally(() => {
+    inflight = null;
+  });
+  return inflight;
+}
+
+module.exports = { checkReadiness };
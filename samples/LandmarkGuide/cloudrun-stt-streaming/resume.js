@@ -0,0 +1,115 @@
+/**
+ * Resumable /ws sessions.
+ *
+ * `ready` carries a `resumeToken` and every message a `seq` (1, 2, ...). When the socket drops
+ * without a close handshake, the session is kept for STT_RESUME_GRACE_MS; the client reconnects
+ * to /ws with
+ *
+ *   X-Resume-Token: <resumeToken>
+ *   X-Resume-Last-Seq: <highest seq it received>
+ *
+ * (plus its usual auth headers) and gets `resumed` followed by every message after that seq, in
+ * order. The outbox keeps the last STT_RESUME_BUFFER_MESSAGES messages; older ones are reported as
+ * `lost` instead of being replayed.
+ *
+ * Tokens live in this instance's memory, so deploy with session affinity
+ * (`gcloud run deploy --session-affinity`) or the reconnect may land on another instance.
+ */
+
+const crypto = require('crypto');
+
+const RESUME_GRACE_MS = Number(process.env.STT_RESUME_GRACE_MS || 15000);
+const RESUME_BUFFER_MESSAGES = Number(process.env.STT_RESUME_BUFFER_MESSAGES || 500);
+
+class ResumeError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ResumeError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/** Numbers outgoing messages and keeps the most recent ones for replay. */
+class Outbox {
+  constructor(limit = RESUME_BUFFER_MESSAGES) {
+    this.limit = limit;
+    this.seq = 0;
+    this.messages = []; // stamped messages, oldest first
+  }
+
+  /** @returns {object} `msg` with the next `seq` */
+  stamp(msg) {
+    this.seq += 1;
+    const stamped = { ...msg, seq: this.seq };
+    this.messages.push(stamped);
+    if (this.messages.length > this.limit) this.messages.shift();
+    return stamped;
+  }
+
+  /**
+   * Messages after `lastSeq`.
+   * @returns {{ messages: object[], lost: number }} `lost`: newer than lastSeq but no longer kept
+   */
+  since(lastSeq) {
+    const first = this.messages.length > 0 ? this.messages[0].seq : this.seq + 1;
+    const from = Math.max(0, Math.min(lastSeq, this.seq));
+    return {
+      messages: this.messages.filter((m) => m.seq > from),
+      lost: Math.max(0, first - from - 1),
+    };
+  }
+}
+
+const sessions = new Map(); // token → session handle ({ identity, attach, ... })
+
+/** Make `session` resumable; returns its token. */
+function registerResumable(session) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  sessions.set(token, session);
+  return token;
+}
+
+function forgetResumable(token) {
+  if (token) sessions.delete(token);
+}
+
+/**
+ * Read the resume headers of an upgrade request.
+ * @returns {{ token: string, lastSeq: number }|null} null when the client isn't resuming
+ */
+function parseResumeRequest(req) {
+  const token = req.headers['x-resume-token'];
+  if (!token) return null;
+  const lastSeq = Number(req.headers['x-resume-last-seq'] || 0);
+  return { token: String(token), lastSeq: Number.isInteger(lastSeq) && lastSeq >= 0 ? lastSeq : 0 };
+}
+
+function sameOwner(a, b) {
+  if (a.uid || b.uid) return a.uid === b.uid;
+  if (a.appId || b.appId) return a.appId === b.appId;
+  return true; // unverified callers (STT_AUTH_MODE=off or warn): the token alone
+}
+
+/**
+ * Find the session a resume request refers to.
+ * @param {{ token: string }} resume see parseResumeRequest
+ * @param {object} identity the reconnecting caller (see auth.js)
+ * @throws {ResumeError} 410 for unknown/expired tokens, 403 for another user's session
+ */
+function findResumable(resume, identity) {
+  const session = sessions.get(resume.token);
+  if (!session) throw new ResumeError(410, 'resume_expired', 'Unknown or expired resume token; start a new session');
+  if (!sameOwner(session.identity, identity)) throw new ResumeError(403, 'resume_forbidden', 'Resume token belongs to another user');
+  return session;
+}
+
+module.exports = {
+  Outbox,
+  ResumeError,
+  registerResumable,
+  forgetResumable,
+  parseResumeRequest,
+  findResumable,
+  RESUME_GRACE_MS,
+};
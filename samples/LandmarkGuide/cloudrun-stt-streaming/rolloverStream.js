@@ -0,0 +1,249 @@
+/**
+ * Rollover wrapper around Speech-to-Text v2 StreamingRecognize.
+ *
+ * Google closes a streaming session after ~5 minutes of audio. This wrapper opens a fresh
+ * `streamingRecognize()` before the limit (preferably right after a final result), replays the
+ * not-yet-finalized audio kept in a short ring buffer, and rebases result offsets so the caller
+ * sees one continuous stream:
+ * - offsets (`endOffsetMs`) are measured from the first audio byte of the session and never go back
+ * - finals that end at or before the last emitted final (replayed audio) are dropped
+ *
+ * `finalize()` half-closes the current stream so Google flushes a final for the audio so far,
+ * while new audio already goes to a fresh stream. `finish()` half-closes it without opening
+ * another one, for a recognizer that is being replaced; later writes are dropped.
+ *
+ * Events:
+ * - 'result'   { text, isFinal, languageCode, endOffsetMs, confidence, stability, words, alternatives }
+ *              (word offsets are rebased like endOffsetMs)
+ * - 'rollover' { reason, streamIndex, replayedMs }
+ * - 'drain'    the current gRPC stream accepted more audio after write() returned false
+ * - 'error'    gRPC error that could not be recovered by rolling over
+ */
+
+const { EventEmitter } = require('events');
+const grpc = require('@grpc/grpc-js');
+
+// Soft limit: roll over at the next final result after this much wall time.
+const ROLLOVER_AFTER_MS = Number(process.env.STT_ROLLOVER_AFTER_MS || 240000);
+// Hard limit: roll over on the next audio write no matter what (Google's cap is 300s).
+const ROLLOVER_MAX_MS = Number(process.env.STT_ROLLOVER_MAX_MS || 285000);
+// How much recent audio to keep for replay into the next stream.
+const REPLAY_BUFFER_MS = Number(process.env.STT_REPLAY_BUFFER_MS || 10000);
+// Errors that mean "this stream is over", not "this session is broken".
+const ROLLOVER_CODES = new Set([grpc.status.OUT_OF_RANGE, grpc.status.DEADLINE_EXCEEDED]);
+// Don't treat a stream that dies right away as a duration limit (avoids rollover loops).
+const MIN_STREAM_AGE_FOR_RECOVERY_MS = 10000;
+
+function durationToMs(d) {
+  if (!d) return null;
+  const seconds = Number(d.seconds || 0);
+  const nanos = Number(d.nanos || 0);
+  if (!Number.isFinite(seconds) || !Number.isFinite(nanos)) return null;
+  return Math.round(seconds * 1000 + nanos / 1e6);
+}
+
+function retire(stream) {
+  stream.on('error', () => {});
+  try { stream.end(); } catch (_) {}
+}
+
+class RolloverStream extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {() => import('stream').Duplex} opts.openStream opens a stream and writes its config request
+   * @param {number} opts.bytesPerMs size of one millisecond of audio as sent to the recognizer
+   */
+  constructor({ openStream, bytesPerMs }) {
+    super();
+    this.openStream = openStream;
+    this.bytesPerMs = bytesPerMs;
+    // Current stream: { stream, index, openedAt, baseMs, minEndMs }
+    // baseMs: session offset of the stream's first audio byte; minEndMs: finals ending here or earlier are replays.
+    this.current = null;
+    this.draining = new Set(); // finalized streams still delivering their last results
+    this.streamIndex = 0;
+    this.audioMs = 0; // session offset of the end of all audio written so far
+    this.lastFinalEndMs = 0;
+    this.lastEmittedEndMs = 0;
+    this.ring = []; // [{ buf, startMs, endMs }]
+    this.rolloverPending = false;
+    this.ended = false;
+  }
+
+  start() {
+    this._attach(0, 0);
+  }
+
+  /** @returns {boolean} false while the gRPC stream is backpressured */
+  write(buf) {
+    if (this.ended || !this.current) return true;
+    const durMs = buf.length / this.bytesPerMs;
+    const chunk = { buf, startMs: this.audioMs, endMs: this.audioMs + durMs };
+    this.audioMs = chunk.endMs;
+    this.ring.push(chunk);
+    while (this.ring.length > 0 && this.ring[0].endMs < this.audioMs - REPLAY_BUFFER_MS) {
+      this.ring.shift();
+    }
+
+    if (this.rolloverPending || Date.now() - this.current.openedAt >= ROLLOVER_MAX_MS) {
+      // The new stream gets this chunk through the replay.
+      this._rollover(this.rolloverPending ? 'after_final' : 'max_duration');
+      return true;
+    }
+    return this.current.stream.write({ audio: buf });
+  }
+
+  /** Flush a final for everything written so far; later audio goes to a new stream. */
+  finalize() {
+    if (this.ended || !this.current) return;
+    this._halfClose();
+
+    this.streamIndex += 1;
+    this._attach(this.audioMs, this.audioMs);
+    // Nothing to replay: the old stream owns all audio written so far.
+    this.ring = [];
+  }
+
+  /** Flush a final for everything written so far and open no new stream. */
+  finish() {
+    if (this.ended || !this.current) return;
+    this._halfClose();
+    this.current = null;
+    this.ring = [];
+  }
+
+  end() {
+    this.ended = true;
+    const streams = [...this.draining].map((c) => c.stream);
+    if (this.current) streams.push(this.current.stream);
+    this.current = null;
+    this.draining.clear();
+    this.ring = [];
+    for (const s of streams) {
+      s.removeAllListeners('data');
+      retire(s);
+    }
+  }
+
+  _halfClose() {
+    const old = this.current;
+    this.draining.add(old);
+    old.stream.once('end', () => this.draining.delete(old));
+    old.stream.once('close', () => this.draining.delete(old));
+    try { old.stream.end(); } catch (_) {}
+  }
+
+  _attach(baseMs, minEndMs) {
+    const ctx = {
+      stream: this.openStream(),
+      index: this.streamIndex,
+      openedAt: Date.now(),
+      baseMs,
+      minEndMs,
+    };
+    this.current = ctx;
+    this.rolloverPending = false;
+    // A caller waiting for the previous stream's 'drain' can write to this one.
+    if (ctx.index > 0) process.nextTick(() => this.emit('drain'));
+
+    ctx.stream
+      .on('drain', () => {
+        if (ctx === this.current) this.emit('drain');
+      })
+      .on('data', (resp) => {
+        if (ctx !== this.current && !this.draining.has(ctx)) return;
+        this._onData(resp, ctx);
+      })
+      .on('error', (err) => {
+        if (this.draining.delete(ctx)) return; // half-closed stream; its results are in
+        if (ctx !== this.current) return;
+        const age = Date.now() - ctx.openedAt;
+        if (ROLLOVER_CODES.has(err?.code) && age >= MIN_STREAM_AGE_FOR_RECOVERY_MS) {
+          this._rollover(`grpc_${err.code}`);
+          return;
+        }
+        err.streamIndex = ctx.index;
+        this.emit('error', err);
+      });
+  }
+
+  _onData(resp, ctx) {
+    const results = resp?.results || [];
+    for (const r of results) {
+      const alt = r?.alternatives?.[0];
+      const text = alt?.transcript || '';
+      if (!text) continue;
+
+      const relEnd = durationToMs(r.resultEndOffset);
+      const endMs = relEnd === null ? this.audioMs : ctx.baseMs + relEnd;
+      const isFinal = !!r.isFinal;
+
+      // Replayed audio that was already finalized by the previous stream.
+      if (endMs <= ctx.minEndMs) continue;
+
+      const endOffsetMs = Math.round(Math.max(endMs, this.lastEmittedEndMs));
+      this.lastEmittedEndMs = endOffsetMs;
+      if (isFinal) {
+        this.lastFinalEndMs = Math.max(this.lastFinalEndMs, endMs);
+        ctx.minEndMs = endMs;
+      }
+
+      const rebase = (d) => {
+        const ms = durationToMs(d);
+        return ms === null ? null : ctx.baseMs + ms;
+      };
+      this.emit('result', {
+        text,
+        isFinal,
+        languageCode: r.languageCode || null,
+        endOffsetMs,
+        // proto3 leaves unset floats at 0; interims have no confidence.
+        confidence: alt.confidence || null,
+        stability: r.stability || null,
+        words: (alt.words || []).map((w) => ({
+          word: w.word,
+          startMs: rebase(w.startOffset),
+          endMs: rebase(w.endOffset),
+          confidence: w.confidence || null,
+        })),
+        alternatives: r.alternatives.map((a) => ({ text: a.transcript, confidence: a.confidence || null })),
+      });
+
+      if (isFinal && ctx === this.current && Date.now() - ctx.openedAt >= ROLLOVER_AFTER_MS) {
+        this.rolloverPending = true;
+      }
+    }
+  }
+
+  _rollover(reason) {
+    const old = this.current;
+    this.current = null;
+    if (old) {
+      old.stream.removeAllListeners('data');
+      retire(old.stream);
+    }
+
+    // Replay everything after the last final (bounded by the ring buffer).
+    const fromMs = Math.max(this.lastFinalEndMs, this.ring.length > 0 ? this.ring[0].startMs : this.audioMs);
+    this.streamIndex += 1;
+    this._attach(fromMs, this.lastFinalEndMs);
+
+    let replayedMs = 0;
+    for (const c of this.ring) {
+      if (c.endMs <= fromMs) continue;
+      let buf = c.buf;
+      if (c.startMs < fromMs) {
+        // Cut at a sample boundary (PCM16 → even byte offset).
+        const skip = Math.floor(((fromMs - c.startMs) * this.bytesPerMs) / 2) * 2;
+        buf = buf.subarray(skip);
+      }
+      if (buf.length === 0) continue;
+      this.current.stream.write({ audio: buf });
+      replayedMs += buf.length / this.bytesPerMs;
+    }
+
+    this.emit('rollover', { reason, streamIndex: this.streamIndex, replayedMs: Math.round(replayedMs) });
+  }
+}
+
+module.exports = { RolloverStream, durationToMs };
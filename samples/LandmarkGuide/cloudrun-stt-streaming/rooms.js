@@ -0,0 +1,235 @@
+/**
+ * Live caption rooms for the /ws bridge.
+ *
+ * A socket joins a room with `"room": { "id", "role", "language", "name" }` in its config:
+ * - publisher: streams audio as usual; its results (and translations) are broadcast to the room
+ * - subscriber: sends no audio, only receives captions
+ *
+ * Every member has a language; a publisher's finals are translated into every member language
+ * (see translation.js) and each member only receives the translation for its own language.
+ *
+ * Messages to members:
+ * - { type: 'joined', roomId, memberId, role, members: [member], history: [caption] }
+ * - { type: 'presence', roomId, event: 'join'|'leave', member }
+ * - { type: 'caption', roomId, speakerId, speakerName, resultId, text, isFinal, languageCode, endOffsetMs }
+ * - { type: 'captionTranslation', roomId, speakerId, resultId, lang, text, isFinal }
+ * - { type: 'speaking', roomId, speakerId, speaking }                  (publishers with VAD)
+ *
+ * History keeps the last STT_ROOM_HISTORY_SIZE finals younger than STT_ROOM_HISTORY_MS so late
+ * joiners see recent captions. Rooms live in this instance's memory only.
+ *
+ * Only members of the app room with the same id may join (assertRoomMember): the caller's Firebase
+ * uid must be the `uid` of one of /rooms/{roomId}/users in FIREBASE_DATABASE_URL (the app writes it,
+ * see FirebaseRoomService.kt). STT_ROOM_ACCESS=open skips the check (local development only).
+ */
+
+const admin = require('firebase-admin');
+const { roomLanguage } = require('./shared/languages');
+
+const MAX_MEMBERS = Number(process.env.STT_MAX_ROOM_MEMBERS || 50);
+const MAX_LANGUAGES = Number(process.env.STT_MAX_ROOM_LANGUAGES || 6);
+const HISTORY_SIZE = Number(process.env.STT_ROOM_HISTORY_SIZE || 50);
+const HISTORY_MS = Number(process.env.STT_ROOM_HISTORY_MS || 10 * 60000);
+// A member that can't keep up (socket buffer above this) is dropped instead of buffering forever.
+const MAX_MEMBER_BUFFERED_BYTES = Number(process.env.STT_ROOM_MAX_BUFFERED_BYTES || 1024 * 1024);
+const ROOM_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const ROLES = ['publisher', 'subscriber'];
+const ROOM_ACCESS = process.env.STT_ROOM_ACCESS || 'members';
+
+class RoomError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'RoomError';
+    this.details = details;
+  }
+}
+
+const rooms = new Map();
+
+class Room {
+  constructor(id) {
+    this.id = id;
+    this.members = new Map(); // memberId → member
+    this.history = []; // [{ speakerId, speakerName, resultId, text, languageCode, endOffsetMs, at, translations }]
+  }
+
+  /** Languages every final has to be translated into. */
+  languages() {
+    return [...new Set([...this.members.values()].map((m) => m.language))];
+  }
+
+  publishResult(member, r) {
+    this.broadcast({
+      type: 'caption',
+      roomId: this.id,
+      speakerId: member.id,
+      speakerName: member.name,
+      resultId: r.resultId,
+      text: r.text,
+      isFinal: r.isFinal,
+      languageCode: r.languageCode,
+      endOffsetMs: r.endOffsetMs,
+    }, member);
+    if (!r.isFinal) return;
+    this._pruneHistory();
+    this.history.push({
+      speakerId: member.id,
+      speakerName: member.name,
+      resultId: r.resultId,
+      text: r.text,
+      languageCode: r.languageCode,
+      endOffsetMs: r.endOffsetMs,
+      at: Date.now(),
+      translations: {},
+    });
+    if (this.history.length > HISTORY_SIZE) this.history.splice(0, this.history.length - HISTORY_SIZE);
+  }
+
+  /** @param {object} t a SessionTranslator 'translation' (status 'failed' has no text) */
+  publishTranslation(member, t) {
+    const failed = t.status === 'failed';
+    // History only replays real translations to late joiners
+    if (t.isFinal && !failed) {
+      const entry = this.history.find((h) => h.speakerId === member.id && h.resultId === t.resultId);
+      if (entry) entry.translations[t.lang] = t.text;
+    }
+    const msg = {
+      type: 'captionTranslation',
+      roomId: this.id,
+      speakerId: member.id,
+      resultId: t.resultId,
+      lang: t.lang,
+      isFinal: t.isFinal,
+      status: t.status,
+    };
+    if (failed) msg.error = t.error;
+    else msg.text = t.text;
+    for (const m of this.members.values()) {
+      if (m !== member && m.language === t.lang) this._deliver(m, msg);
+    }
+  }
+
+  publishSpeaking(member, speaking) {
+    this.broadcast({ type: 'speaking', roomId: this.id, speakerId: member.id, speaking }, member);
+  }
+
+  broadcast(msg, except) {
+    for (const m of this.members.values()) {
+      if (m !== except) this._deliver(m, msg);
+    }
+  }
+
+  leave(member) {
+    if (!this.members.delete(member.id)) return;
+    this.broadcast({ type: 'presence', roomId: this.id, event: 'leave', member: describe(member) });
+    if (this.members.size === 0) rooms.delete(this.id);
+  }
+
+  _deliver(member, msg) {
+    if (member.bufferedAmount() > MAX_MEMBER_BUFFERED_BYTES) {
+      member.onOverflow();
+      return;
+    }
+    member.send(msg);
+  }
+
+  _pruneHistory() {
+    const cutoff = Date.now() - HISTORY_MS;
+    while (this.history.length > 0 && this.history[0].at < cutoff) this.history.shift();
+  }
+
+  historyFor(member) {
+    this._pruneHistory();
+    return this.history.map(({ translations, ...h }) => ({ ...h, translation: translations[member.language] || null }));
+  }
+}
+
+function describe(member) {
+  return { id: member.id, name: member.name, role: member.role, language: member.language };
+}
+
+/**
+ * Validate the `room` field of a client config.
+ * @returns {{ id: string, role: string, language: string|null, name: string|null }|null}
+ * @throws {RoomError}
+ */
+function parseRoomConfig(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object') throw new RoomError('room must be an object', '{ "id": "...", "role": "publisher" | "subscriber" }');
+  const id = String(raw.id || '');
+  if (!ROOM_ID_RE.test(id)) throw new RoomError('Invalid room id', 'Use 1-64 characters [A-Za-z0-9_-]');
+  const role = raw.role === undefined ? 'publisher' : raw.role;
+  if (!ROLES.includes(role)) throw new RoomError(`Invalid room role: ${role}`, `Supported: ${ROLES.join(', ')}`);
+  let language = null;
+  if (typeof raw.language === 'string' && raw.language.trim()) {
+    language = roomLanguage(raw.language);
+    if (!language) throw new RoomError(`Unsupported room language: ${raw.language.slice(0, 35)}`, 'See languages.js for the supported languages');
+  }
+  return {
+    id,
+    role,
+    language,
+    name: typeof raw.name === 'string' ? raw.name.slice(0, 64) : null,
+  };
+}
+
+/**
+ * Check that the caller belongs to the app room `roomId` before it gets any captions.
+ * @param {{ uid: string|null }} identity see auth.js
+ * @throws {RoomError}
+ */
+async function assertRoomMember(roomId, identity) {
+  if (ROOM_ACCESS === 'open') return;
+  if (!identity.uid) throw new RoomError('Rooms need a signed-in user', 'Connect with a Firebase ID token');
+  if (!process.env.FIREBASE_DATABASE_URL) {
+    throw new RoomError('Room membership cannot be checked', 'Set FIREBASE_DATABASE_URL (or STT_ROOM_ACCESS=open for local development)');
+  }
+  if (!admin.apps.length) admin.initializeApp();
+  const snap = await admin.app().database(process.env.FIREBASE_DATABASE_URL).ref(`/rooms/${roomId}/users`).once('value');
+  const users = snap.val() || {};
+  if (!Object.values(users).some((u) => u && typeof u === 'object' && u.uid === identity.uid)) {
+    throw new RoomError('Not a member of this room', 'Join the room in the app first');
+  }
+}
+
+/**
+ * Join (or create) a room. The joiner gets `joined`, everyone else a `presence` join.
+ * @param {object} cfg see parseRoomConfig; `language` must be set
+ * @param {object} conn { id, send(msg), bufferedAmount(), onOverflow() }
+ * @returns {{ room: Room, member: object }}
+ * @throws {RoomError}
+ */
+function joinRoom(cfg, conn) {
+  let room = rooms.get(cfg.id);
+  if (room && room.members.size >= MAX_MEMBERS) {
+    throw new RoomError('Room is full', `At most ${MAX_MEMBERS} members`);
+  }
+  if (room && !room.languages().includes(cfg.language) && room.languages().length >= MAX_LANGUAGES) {
+    throw new RoomError(`Room already uses ${MAX_LANGUAGES} languages`, `Join with one of: ${room.languages().join(', ')}`);
+  }
+  if (!room) {
+    room = new Room(cfg.id);
+    rooms.set(cfg.id, room);
+  }
+  const member = {
+    ...conn,
+    name: cfg.name,
+    role: cfg.role,
+    language: cfg.language,
+  };
+  room.broadcast({ type: 'presence', roomId: room.id, event: 'join', member: describe(member) });
+  room.members.set(member.id, member);
+  member.send({
+    type: 'joined',
+    roomId: room.id,
+    memberId: member.id,
+    role: member.role,
+    members: [...room.members.values()].map(describe),
+    history: room.historyFor(member),
+  });
+  return { room, member };
+}
+
+module.exports = {
+  joinRoom, assertRoomMember, parseRoomConfig, RoomError, MAX_MEMBER_BUFFERED_BYTES,
+};
@@ -1,35 +1,114 @@
 /**
- * Cloud Run WebSocket server that streams raw PCM16 audio to Google Speech-to-Text v2 StreamingRecognize (Chirp 3).
+ * Cloud Run WebSocket server that streams raw PCM16 audio to a speech backend
+ * (default: Google Speech-to-Text v2 StreamingRecognize, Chirp 3).
  *
  * Client protocol:
- * - Connect to: wss://<service-url>/ws
+ * - Connect to: wss://<service-url>/ws with `Authorization: Bearer <Firebase ID token>` and/or
+ *   `X-Firebase-AppCheck: <App Check token>` (see auth.js); otherwise the upgrade gets 401/403.
  * - First message (TEXT, JSON):
  *   {
+ *     "protocolVersion": 2,          // optional, default 1; see protocol.js
+ *     "maxAlternatives": 3,          // v2 only: n-best size (1-5)
+ *     "provider": "google",          // google | soniox | deepgram | local (default: STT_PROVIDER)
  *     "languageCodes": ["ko-KR", "en-US"],
  *     "location": "asia-northeast1",
- *     "model": "chirp_3",
- *     "sampleRateHertz": 8000
+ *     "model": "chirp_3",            // optional; each provider has its own default
+ *     "encoding": "LINEAR16",        // LINEAR16 | MULAW | ALAW | WAV | OGG_OPUS | OPUS (default LINEAR16)
+ *     "sampleRateHertz": 8000,       // raw formats only; WAV/Ogg carry their own
+ *     "audioChannelCount": 1,
+ *     "vad": { "suppress": "compress", "endOfUtteranceMs": 1200 },  // optional, or true/false
+ *     "capture": true,               // optional; STT_CAPTURE=opt-in and an `sttCapture` claim (see capture.js)
+ *     "targetLanguages": ["en", "ar"],  // optional inline translation (see translation.js)
+ *     "interimTranslations": { "debounceMs": 600 },  // optional provisional translations, or true
+ *     "room": { "id": "majlis-1", "role": "publisher", "name": "Ann" },  // optional caption fan-out (see rooms.js)
+ *     "phraseHints": ["Bukchon", { "value": "Gyeongbokgung", "boost": 15 }],  // optional (see vocabulary.js)
+ *     "vocabulary": { "place": "gyeongbokgung" }   // optional registry scope for place names
  *   }
- * - Subsequent messages: BINARY audio chunks (PCM16 LE, mono)
+ *   Room listeners send only `{ "room": { "id": "majlis-1", "role": "subscriber", "language": "en" } }`
+ *   and then receive `joined`, `presence`, `caption`, `captionTranslation` and `speaking` messages.
+ * - Subsequent messages: BINARY audio chunks in that encoding. The server decodes, downmixes and
+ *   resamples them for the provider (see audio/decoder.js); unsupported formats get an `error`.
+ *   Audio may be sent right after the config; what arrives before `ready` is queued.
+ * - A dropped socket can be resumed with the `resumeToken` from `ready` (see resume.js).
+ * - TEXT control messages (see control.js) may be interleaved with the audio and are applied in order:
+ *   { "type": "reconfigure", "id": 1, "languageCodes": ["en-US"] }   // at the next utterance boundary
+ *   { "type": "finalize" | "pause" | "resume" | "ping", "id": 2 }     // audio sent while paused is dropped
+ *   Each is answered with { "type": "ack", "command", "id", "ok", ... }.
  * - Server sends TEXT messages (JSON):
- *   { "type": "ready" }
- *   { "type": "result", "text": "...", "isFinal": false, "languageCode": "ko-KR" }
+ *   { "type": "ready", "provider": "google", "protocolVersion": 2, "resumeToken": "...", "captureId": "..." }   // captureId only when captured
+ *   { "type": "result", "resultId": 3, "text": "...", "isFinal": false, "languageCode": "ko-KR", "endOffsetMs": 1234 }
+ *     (v2 adds utteranceId, startOffsetMs, confidence, stability, words, alternatives)
+ *   { "type": "translation", "resultId": 3, "lang": "en", "text": "...", "isFinal": true }  // with targetLanguages
+ *   { "type": "speechStart", "offsetMs": 1200 }     // only with VAD
+ *   { "type": "speechEnd", "offsetMs": 4800 }       // only with VAD
+ *   { "type": "ack", "command": "pause", "id": 2, "ok": true, "offsetMs": 5120 }
+ *   { "type": "limit", "reason": "daily_budget", "limit": 600 }  // then the socket closes (1008)
+ *   { "type": "goaway", "reason": "shutdown" }     // SIGTERM: finals flushed, reconnect (close 1012)
  *   { "type": "error", "message": "...", "details": "..." }
+ *   Every message carries `seq`; a resumed socket first gets `resumed` and the messages it missed.
+ *
+ * HTTP: GET /healthz (liveness), /readyz (ADC + provider checks, see readiness.js), /metrics
+ * (Prometheus, see metrics.js). Every log line and message of a session carries its `correlationId`
+ * (the client's X-Correlation-Id header, else the session id).
+ *
+ * Sessions are limited per user/IP (concurrency, length, audio rate, daily minutes; see limits.js).
+ *
+ * With VAD (audio/vad.js) silence between utterances is dropped or compressed before it reaches the
+ * provider, and if no final arrives within `endOfUtteranceMs` after speechEnd the provider is asked
+ * to finalize.
+ *
+ * All providers (see providers/) produce the same messages, so the client doesn't change between vendors.
+ *
+ * Google caps a single StreamingRecognize call at ~5 minutes. The server rolls over to a fresh
+ * stream before that (see rolloverStream.js), so one socket can stay open for a whole tour.
+ * `endOffsetMs` is measured from the first audio byte of the socket and is monotonic across rollovers.
+ * It is input audio time, like the VAD events: silence the VAD kept from the provider counts
+ * (see audio/timeline.js), audio sent while paused doesn't.
  */
 
 const http = require('http');
+const crypto = require('crypto');
 const WebSocket = require('ws');
-const speech = require('@google-cloud/speech');
-const { GoogleAuth } = require('google-auth-library');
-const grpc = require('@grpc/grpc-js');
+const { createRecognizer, resolveProviderName, preferredSampleRate, PROVIDER_NAMES } = require('./providers');
+const { AudioDecoder } = require('./audio/decoder');
+const { VoiceActivityDetector, parseVadConfig } = require('./audio/vad');
+const { Timeline } = require('./audio/timeline');
+const { authenticateRequest, AuthError } = require('./auth');
+const { acquireSession, LIMITS } = require('./limits');
+const { SessionCapture, shouldCapture } = require('./capture');
+const { SessionTranslator, parseTranslationConfig } = require('./translation');
+const {
+  joinRoom, assertRoomMember, parseRoomConfig, RoomError, MAX_MEMBER_BUFFERED_BYTES,
+} = require('./rooms');
+const { baseLanguage } = require('./providers/base');
+const { roomLanguage } = require('./shared/languages');
+const { negotiateProtocol, resultMessage } = require('./protocol');
+const { parseControlMessage, ControlError } = require('./control');
+const { metrics, errorCodeLabel, renderMetrics } = require('./metrics');
+const { checkReadiness } = require('./readiness');
+const { parseVocabularyConfig, resolveVocabulary, phrasesForLanguages } = require('./vocabulary');
+const {
+  Outbox, ResumeError, registerResumable, forgetResumable, parseResumeRequest, findResumable, RESUME_GRACE_MS,
+} = require('./resume');
 
 const PORT = process.env.PORT || 8080;
 const DEFAULT_LOCATION = process.env.STT_LOCATION || 'asia-northeast1';
-const DEFAULT_MODEL = process.env.STT_MODEL || 'chirp_3';
 const DEFAULT_SR = Number(process.env.STT_SAMPLE_RATE_HZ || 8000);
-const DEFAULT_RECOGNIZER_ID = process.env.STT_RECOGNIZER_ID || 'chirp-streaming';
-// If provided, use fully-qualified recognizer name (avoids formatting issues)
-const DEFAULT_RECOGNIZER_NAME = process.env.STT_RECOGNIZER_NAME || '';
+const VAD_BY_DEFAULT = process.env.STT_VAD_ENABLED === 'true';
+// Decoded audio queued while the provider is backpressured; beyond this the session is closed.
+const MAX_PENDING_AUDIO_BYTES = Number(process.env.STT_MAX_PENDING_AUDIO_BYTES || 1024 * 1024);
+// A replaced recognizer (reconfigure/pause) keeps delivering its last results this long.
+const FINALIZE_GRACE_MS = Number(process.env.STT_FINALIZE_GRACE_MS || 3000);
+// A reconfigure waits at most this long for the current utterance's final before forcing one.
+const RECONFIGURE_MAX_WAIT_MS = Number(process.env.STT_RECONFIGURE_MAX_WAIT_MS || 5000);
+// Cloud Run sends SIGKILL 10 s after SIGTERM; sessions are flushed and told to reconnect before that.
+const DRAIN_TIMEOUT_MS = Number(process.env.STT_DRAIN_TIMEOUT_MS || 8000);
+
+const sessions = new Set(); // live sessions (attached or waiting for a resume), see drain()
+let draining = false;
+// Optional bearer token for GET /metrics (the service itself is public).
+const METRICS_TOKEN = process.env.STT_METRICS_TOKEN || '';
+const CORRELATION_ID_RE = /^[A-Za-z0-9._:-]{1,64}$/;
 
 function safeJsonSend(ws, obj) {
   if (ws.readyState === WebSocket.OPEN) {
@@ -37,167 +116,820 @@ function safeJsonSend(ws, obj) {
   }
 }
 
+/**
+ * Move a recognizer's offsets (relative to its first audio byte) onto the session clock:
+ * `toSessionMs` gets the offset shifted by the recognizer's start on the forwarded clock.
+ */
+function rebaseResult(r, baseMs, toSessionMs) {
+  const shift = (ms) => (ms === null ? null : toSessionMs(ms + baseMs));
+  return {
+    ...r,
+    endOffsetMs: shift(r.endOffsetMs),
+    words: r.words.map((w) => ({ ...w, startMs: shift(w.startMs), endMs: shift(w.endMs) })),
+  };
+}
+
+/** Client-chosen id (X-Correlation-Id) to find a session in the logs; the session id otherwise. */
+function requestCorrelationId(req) {
+  const h = req.headers['x-correlation-id'];
+  return h && CORRELATION_ID_RE.test(h) ? h : null;
+}
+
+function clientIp(req) {
+  // Cloud Run puts the caller first in X-Forwarded-For.
+  const fwd = req.headers['x-forwarded-for'];
+  return (fwd ? String(fwd).split(',')[0] : req.socket.remoteAddress || '').trim();
+}
+
 function logJson(prefix, obj) {
   // Ensure single-line logs for Cloud Run.
   // eslint-disable-next-line no-console
   console.log(`${prefix} ${JSON.stringify(obj)}`);
 }
 
+function sendMetrics(req, res) {
+  if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+    res.writeHead(401, { 'Content-Type': 'text/plain' });
+    res.end('unauthorized');
+    return;
+  }
+  let detached = 0;
+  for (const s of sessions) if (s.isDetached()) detached += 1;
+  metrics.activeSessions.set({ state: 'attached' }, sessions.size - detached);
+  metrics.activeSessions.set({ state: 'detached' }, detached);
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(renderMetrics());
+}
+
+async function sendReadiness(res) {
+  const result = draining
+    ? { ready: false, draining: true }
+    : await checkReadiness({ location: DEFAULT_LOCATION });
+  res.writeHead(result.ready ? 200 : 503, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(result));
+}
+
 const server = http.createServer((req, res) => {
-  if (req.url === '/healthz') {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === '/healthz') {
     res.writeHead(200, { 'Content-Type': 'text/plain' });
     res.end('ok');
     return;
   }
+  if (pathname === '/readyz') {
+    sendReadiness(res).catch((e) => {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ready: false, error: e.message }));
+    });
+    return;
+  }
+  if (pathname === '/metrics') {
+    sendMetrics(req, res);
+    return;
+  }
   res.writeHead(404, { 'Content-Type': 'text/plain' });
   res.end('not found');
 });
 
-const wss = new WebSocket.Server({ server, path: '/ws' });
+const wss = new WebSocket.Server({ noServer: true });
+
+function rejectUpgrade(socket, status, body) {
+  const payload = JSON.stringify(body);
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n`
+    + 'Content-Type: application/json\r\n'
+    + `Content-Length: ${Buffer.byteLength(payload)}\r\n`
+    + 'Connection: close\r\n\r\n'
+    + payload,
+  );
+}
+
+// Authenticate before accepting the WebSocket (see auth.js).
+server.on('upgrade', async (req, socket, head) => {
+  socket.on('error', () => {});
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname !== '/ws') {
+    rejectUpgrade(socket, 404, { error: 'not_found' });
+    return;
+  }
+  if (draining) {
+    rejectUpgrade(socket, 503, { error: 'draining', message: 'Instance is shutting down; retry' });
+    return;
+  }
+  let identity;
+  try {
+    identity = await authenticateRequest(req);
+  } catch (e) {
+    const status = e instanceof AuthError ? e.status : 500;
+    const code = e instanceof AuthError ? e.code : 'internal_error';
+    logJson('Rejected /ws upgrade', { correlationId: requestCorrelationId(req), status, code, message: e.message, ip: clientIp(req) });
+    rejectUpgrade(socket, status, { error: code, message: e.message });
+    return;
+  }
+  const resume = parseResumeRequest(req);
+  let resumed = null;
+  if (resume) {
+    try {
+      resumed = findResumable(resume, identity);
+    } catch (e) {
+      const status = e instanceof ResumeError ? e.status : 500;
+      const code = e instanceof ResumeError ? e.code : 'internal_error';
+      logJson('Rejected resume', { correlationId: requestCorrelationId(req), status, code, message: e.message, uid: identity.uid, ip: clientIp(req) });
+      rejectUpgrade(socket, status, { error: code, message: e.message });
+      return;
+    }
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    if (resumed) resumed.attach(ws, resume.lastSeq);
+    else wss.emit('connection', ws, req, identity);
+  });
+});
 
-wss.on('connection', async (ws) => {
-  let initialized = false;
-  let sttClient = null;
-  let sttStream = null;
-  let location = DEFAULT_LOCATION;
-  let sampleRateHertz = DEFAULT_SR;
-  let model = DEFAULT_MODEL;
-  let languageCodes = ['ko-KR'];
+wss.on('connection', async (ws, req, identity) => {
+  const sessionId = crypto.randomUUID();
+  const correlationId = requestCorrelationId(req) || sessionId;
+  const acceptedAt = Date.now();
+  let capture = null;
+  let configured = false;
+  let provider = null;
+  let protocol = null;
+  let recognizer = null;
+  let recOpts = null; // options the current (or, while paused, the next) recognizer uses
+  const retiring = new Set(); // replaced recognizers still delivering their last results
+  let decoder = null;
+  let bytesPerMs = 0;
+  let forwardedMs = 0; // audio handed to recognizers so far; recognizer offsets count this
+  const timeline = new Timeline(); // forwarded clock → input clock
+  let inputMs = 0; // audio received while listening; the session clock (VAD offsets too)
+  let streamMs = 0; // input time the queue has reached; control acks report this
+  let listening = true; // false between the client's pause and resume
+  let pendingReconfigure = null; // { changes, id, timer } waiting for the utterance to end
+  let vad = null;
+  let eouTimer = null;
+  let awaitingFinal = false; // an interim was sent and its final hasn't arrived yet
+  let nextResultId = 0;
+  let translator = null;
+  let room = null;
+  let roomMember = null;
+  let quota = null;
+  let sessionTimer = null;
+  let closed = false;
+  // Decoded audio and control commands in arrival order, run once the provider can take audio.
+  let queue = []; // [{ pcm, spans, inputEndMs } | { run }]
+  let queueBytes = 0;
+  let waitingDrain = false; // provider backpressured
+  let switching = false; // a recognizer is being started
+  // Resume (see resume.js): every message is numbered and kept for replay.
+  const outbox = new Outbox();
+  let resumeToken = null; // issued with `ready`; from then on a dropped socket doesn't end the session
+  let detached = false; // socket dropped, waiting for a resume
+  let detachTimer = null;
+  let ending = false; // the server closed the socket on purpose: no resume
+  let goingAway = false; // instance draining: client frames are ignored until `goaway`
+  let receivedBytes = 0; // client audio bytes so far; a resuming client resends from here
+  const handle = { identity, attach, drain, isDetached: () => detached };
+  sessions.add(handle);
+  // Audio-to-provider send times { ms: session clock, at: wall clock } for result latency metrics.
+  let sentMarks = [];
+  let vocabulary = Promise.resolve([]); // merged phrase hints, see vocabulary.js
+  let roomCheck = null; // membership check of the config's room; later frames wait for it
+
+  function log(prefix, obj) {
+    logJson(prefix, { correlationId, ...obj });
+  }
+
+  function send(obj) {
+    const msg = outbox.stamp({ ...obj, correlationId });
+    if (capture) capture.sent(msg);
+    safeJsonSend(ws, msg);
+  }
+
+  /** Close the socket for good (no resume). */
+  function closeSocket(code, reason) {
+    ending = true;
+    ws.resume(); // the close handshake needs the client's reply
+    ws.close(code, reason);
+  }
+
+  function ack(command, id, extra) {
+    send({ type: 'ack', command, id, ok: true, ...extra });
+  }
+
+  function nack(command, id, error, message, details) {
+    send({ type: 'ack', command, id, ok: false, error, message, details });
+  }
 
   function cleanup() {
-    try { sttStream && sttStream.end(); } catch (_) {}
-    sttStream = null;
-    try { sttClient && sttClient.close && sttClient.close(); } catch (_) {}
-    sttClient = null;
+    closed = true;
+    sessions.delete(handle);
+    forgetResumable(resumeToken);
+    clearTimeout(detachTimer);
+    clearTimeout(eouTimer);
+    clearTimeout(sessionTimer);
+    if (pendingReconfigure) clearTimeout(pendingReconfigure.timer);
+    pendingReconfigure = null;
+    vad = null;
+    if (translator) translator.close();
+    translator = null;
+    if (room) room.leave(roomMember);
+    room = null;
+    queue = [];
+    queueBytes = 0;
+    try { recognizer && recognizer.end(); } catch (_) {}
+    recognizer = null;
+    for (const rec of retiring) {
+      try { rec.end(); } catch (_) {}
+    }
+    retiring.clear();
+    try { decoder && decoder.close(); } catch (_) {}
+    decoder = null;
+    if (quota) quota.release();
+    quota = null;
+    if (capture) capture.close();
+    capture = null;
+    exitIfDrained();
   }
 
-  ws.on('close', cleanup);
-  ws.on('error', cleanup);
+  function closeForLimit(reason, limit) {
+    log('Session limit', { reason, limit, uid: identity.uid, ip: clientIp(req) });
+    metrics.limits.inc({ reason });
+    send({ type: 'limit', reason, limit });
+    closeSocket(1008, reason);
+    cleanup();
+  }
+
+  function enqueue(item) {
+    queue.push(item);
+    if (item.pcm) {
+      queueBytes += item.pcm.length;
+      if (queueBytes > MAX_PENDING_AUDIO_BYTES) {
+        closeForLimit('backpressure', MAX_PENDING_AUDIO_BYTES);
+        return;
+      }
+    }
+    pump();
+  }
 
-  ws.on('message', async (data, isBinary) => {
+  function pump() {
+    while (queue.length > 0 && !waitingDrain && !switching && !detached && !closed) {
+      const item = queue.shift();
+      if (item.run) {
+        item.run();
+        continue;
+      }
+      queueBytes -= item.pcm.length;
+      streamMs = item.inputEndMs;
+      if (!recognizer || !listening) continue; // paused: audio is dropped
+      if (item.pcm.length === 0) continue; // silence the VAD kept back
+      let at = forwardedMs;
+      for (const span of item.spans) {
+        timeline.add(at, span.inputMs);
+        at += span.ms;
+      }
+      forwardedMs += item.pcm.length / bytesPerMs;
+      markSent();
+      if (!recognizer.write(item.pcm)) {
+        // Stop reading from the client until the provider catches up.
+        waitingDrain = true;
+        ws.pause();
+      }
+    }
+  }
+
+  function markSent() {
+    const now = Date.now();
+    sentMarks.push({ ms: streamMs, at: now });
+    if (sentMarks.length > 256 && sentMarks[0].at < now - 60000) sentMarks = sentMarks.filter((m) => m.at >= now - 60000);
+  }
+
+  /** Seconds since the audio up to `endOffsetMs` went to the provider (null if unknown). */
+  function resultLatency(endOffsetMs) {
+    if (endOffsetMs === null) return null;
+    const mark = sentMarks.find((m) => m.ms >= endOffsetMs);
+    return mark ? (Date.now() - mark.at) / 1000 : null;
+  }
+
+  function observeResult(r, firstOfUtterance) {
+    const labels = { provider };
+    if (r.isFinal) metrics.timeToFinal.observe(labels, resultLatency(r.endOffsetMs));
+    else if (firstOfUtterance) metrics.timeToFirstInterim.observe(labels, resultLatency(r.endOffsetMs));
+    const language = baseLanguage(r.languageCode || recOpts.languageCodes[0]) || 'unknown';
+    metrics.results.inc({ provider, language, final: String(r.isFinal) });
+  }
+
+  function onDrain() {
+    waitingDrain = false;
+    ws.resume();
+    pump();
+  }
+
+  function onResult(rec, utterance, r) {
+    // Interims and the final of one utterance share a resultId, also while an old recognizer
+    // finishes its last utterance after a switch.
+    const first = utterance.resultId === null;
+    if (first) utterance.resultId = nextResultId++;
+    const id = utterance.resultId;
+    observeResult(r, first);
+    if (r.isFinal) utterance.resultId = null;
+    if (rec === recognizer) {
+      awaitingFinal = !r.isFinal;
+      if (r.isFinal) clearTimeout(eouTimer);
+    }
+    send(resultMessage(protocol.version, r, id, `${sessionId}.${id}`));
+    if (room) room.publishResult(roomMember, { ...r, resultId: id });
+    if (translator) translator.onResult({ ...r, resultId: id });
+    if (r.isFinal && rec === recognizer && pendingReconfigure) applyReconfigure();
+  }
+
+  /** Create, wire and start a recognizer whose offsets start at `baseMs` on the session clock. */
+  async function startRecognizer(opts, baseMs) {
+    const phrases = phrasesForLanguages(await vocabulary, opts.languageCodes);
+    const rec = createRecognizer(provider, { ...opts, phrases });
+    const utterance = { resultId: null };
+    rec
+      .on('result', (r) => onResult(rec, utterance, rebaseResult(r, baseMs, (ms) => timeline.toInput(ms))))
+      .on('error', (err) => {
+        log('STT provider error', { sessionId, provider, current: rec === recognizer, ...err });
+        metrics.errors.inc({ provider, code: errorCodeLabel(provider, err.code) });
+        if (rec !== recognizer) return; // retiring, or still starting (start() rejects)
+        send({
+          type: 'error',
+          message: err.message,
+          code: err.code,
+          details: err.details,
+        });
+        closeSocket();
+      })
+      .on('drain', () => {
+        if (rec === recognizer) onDrain();
+      });
+    try {
+      await rec.start();
+    } catch (e) {
+      rec.end();
+      throw e;
+    }
+    return rec;
+  }
+
+  function retireRecognizer(rec) {
+    if (!rec) return;
+    // Flush the last utterance; its final is still delivered for a while.
+    try { rec.retire(); } catch (_) {}
+    retiring.add(rec);
+    setTimeout(() => {
+      retiring.delete(rec);
+      try { rec.end(); } catch (_) {}
+    }, FINALIZE_GRACE_MS);
+  }
+
+  /**
+   * Replace the recognizer; audio and controls arriving meanwhile are queued for the new one.
+   * `onSwitched` / `onFailed` run before the queue moves on, so their acks stay in order.
+   * Without `onFailed` a start error is thrown.
+   */
+  async function switchRecognizer(opts, { onSwitched, onFailed } = {}) {
+    switching = true;
+    try {
+      const rec = await startRecognizer(opts, Math.round(forwardedMs));
+      if (closed) {
+        rec.end();
+        return;
+      }
+      retireRecognizer(recognizer);
+      recognizer = rec;
+      recOpts = opts;
+      awaitingFinal = false;
+      waitingDrain = false;
+      if (onSwitched) onSwitched();
+    } catch (e) {
+      if (!onFailed) throw e;
+      onFailed(e);
+    } finally {
+      switching = false;
+      pump();
+    }
+  }
+
+  function applyReconfigure() {
+    const { changes, id, timer } = pendingReconfigure;
+    pendingReconfigure = null;
+    clearTimeout(timer);
+    const opts = { ...recOpts, ...changes };
+    const done = () => {
+      if (translator && changes.languageCodes) translator.setSourceLanguage(changes.languageCodes[0]);
+      log('Session reconfigured', { sessionId, ...changes, listening });
+      ack('reconfigure', id, { ...changes, appliedAtOffsetMs: Math.round(streamMs) });
+    };
+    if (!listening || !recognizer) {
+      // Paused or detached: nothing to switch now; the next recognizer starts with the new options.
+      recOpts = opts;
+      done();
+      return;
+    }
+    switchRecognizer(opts, {
+      onSwitched: done,
+      onFailed: (e) => {
+        log('Reconfigure failed', { sessionId, ...changes, message: e.message });
+        nack('reconfigure', id, 'reconfigure_failed', e.message, e.details);
+      },
+    });
+  }
+
+  function runControl(msg) {
+    switch (msg.type) {
+      case 'ping':
+        ack('ping', msg.id, { serverTime: Date.now(), audioMs: Math.round(streamMs) });
+        break;
+      case 'finalize': {
+        const sent = recognizer && listening ? recognizer.finalize() : false;
+        ack('finalize', msg.id, { finalizeSent: !!sent });
+        break;
+      }
+      case 'pause':
+        if (listening) {
+          listening = false;
+          clearTimeout(eouTimer);
+          if (pendingReconfigure) applyReconfigure();
+          // Release the vendor stream while paused (billing, idle timeouts).
+          retireRecognizer(recognizer);
+          recognizer = null;
+          awaitingFinal = false;
+        }
+        ack('pause', msg.id, { offsetMs: Math.round(streamMs) });
+        break;
+      case 'resume':
+        if (listening) {
+          ack('resume', msg.id, { offsetMs: Math.round(streamMs) });
+          break;
+        }
+        listening = true;
+        switchRecognizer(recOpts, {
+          onSwitched: () => ack('resume', msg.id, { offsetMs: Math.round(streamMs) }),
+          onFailed: (e) => {
+            nack('resume', msg.id, 'resume_failed', e.message, e.details);
+            send({ type: 'error', message: e.message, details: e.details });
+            closeSocket();
+          },
+        });
+        break;
+      case 'reconfigure':
+        if (pendingReconfigure) {
+          clearTimeout(pendingReconfigure.timer);
+          nack('reconfigure', pendingReconfigure.id, 'superseded', 'Replaced by a later reconfigure');
+        }
+        pendingReconfigure = { changes: msg.changes, id: msg.id, timer: null };
+        if (!awaitingFinal || !listening) {
+          applyReconfigure();
+          break;
+        }
+        // Mid-utterance: switch after its final, or force one if it takes too long.
+        pendingReconfigure.timer = setTimeout(() => {
+          if (!pendingReconfigure) return;
+          // The forced final may apply it synchronously (see onResult).
+          if (recognizer) recognizer.finalize();
+          if (pendingReconfigure) applyReconfigure();
+        }, RECONFIGURE_MAX_WAIT_MS);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function onControlFrame(txt) {
+    let msg;
+    try {
+      msg = parseControlMessage(txt);
+    } catch (e) {
+      if (!(e instanceof ControlError)) throw e;
+      const reject = () => nack(e.command, e.id, e.code, e.message, e.details);
+      if (decoder) enqueue({ run: reject });
+      else reject();
+      return;
+    }
+    if (capture) capture.control(msg);
+    if (!decoder) {
+      // Room subscriber: no audio pipeline to control.
+      if (msg.type === 'ping') ack('ping', msg.id, { serverTime: Date.now() });
+      else nack(msg.type, msg.id, 'not_a_publisher', 'Only publishers can send audio controls');
+      return;
+    }
+    enqueue({ run: () => runControl(msg) });
+  }
+
+  function onSocketClose(sock, code) {
+    if (sock !== ws || closed) return; // replaced by a resumed socket
+    // 1006: the connection dropped without a close handshake, the case resuming is for.
+    if (code === 1006 && resumeToken && !ending && !draining) detach();
+    else cleanup();
+  }
+
+  function bindSocket(sock) {
+    sock.on('close', (code) => onSocketClose(sock, code));
+    sock.on('error', () => {}); // 'close' follows
+  }
+
+  /** The socket dropped: keep the session for a resume (see resume.js). */
+  function detach() {
+    detached = true;
+    log('Session detached', { sessionId, lastSeq: outbox.seq, graceMs: RESUME_GRACE_MS });
+    clearTimeout(eouTimer);
+    awaitingFinal = false;
+    waitingDrain = false;
+    // Flush the open utterance into the outbox. Queued audio stays for the recognizer started on resume.
+    retireRecognizer(recognizer);
+    recognizer = null;
+    if (pendingReconfigure) applyReconfigure();
+    detachTimer = setTimeout(() => {
+      log('Resume window expired', { sessionId });
+      cleanup();
+    }, RESUME_GRACE_MS);
+  }
+
+  /** Continue the session on `sock`: `resumed`, the messages after `lastSeq`, then live ones. */
+  function attach(sock, lastSeq) {
+    if (closed) {
+      safeJsonSend(sock, { type: 'error', code: 'resume_expired', message: 'Session ended; start a new one', correlationId });
+      sock.close(1008, 'resume_expired');
+      return;
+    }
+    const old = ws;
+    if (!detached) detach(); // the old socket hasn't noticed the drop yet
+    clearTimeout(detachTimer);
+    detached = false;
+    ws = sock;
+    bindSocket(sock);
+    sock.on('message', onMessage);
+    old.terminate();
+
+    const { messages, lost } = outbox.since(lastSeq);
+    const resumed = { type: 'resumed', sessionId, correlationId, replayed: messages.length, lost, receivedBytes };
+    if (capture) capture.sent(resumed);
+    safeJsonSend(ws, resumed);
+    for (const m of messages) safeJsonSend(ws, m);
+    log('Session resumed', { sessionId, lastSeq, replayed: messages.length, lost, receivedBytes });
+
+    if (!listening || recognizer || switching) {
+      pump();
+      return;
+    }
+    switchRecognizer(recOpts, {
+      onFailed: (e) => {
+        send({ type: 'error', message: e.message, details: e.details });
+        closeSocket();
+      },
+    });
+  }
+
+  /** SIGTERM: flush the open utterance, then tell the client to reconnect (to another instance). */
+  function drain() {
+    if (detached) {
+      cleanup();
+      return;
+    }
+    goingAway = true;
+    clearTimeout(eouTimer);
+    if (pendingReconfigure) clearTimeout(pendingReconfigure.timer);
+    pendingReconfigure = null;
+    retireRecognizer(recognizer);
+    recognizer = null;
+    const flushMs = decoder ? Math.min(FINALIZE_GRACE_MS, DRAIN_TIMEOUT_MS / 2) : 0;
+    setTimeout(() => {
+      if (closed) return;
+      send({ type: 'goaway', reason: 'shutdown', message: 'Server is shutting down; reconnect to continue' });
+      closeSocket(1012, 'shutdown');
+    }, flushMs);
+  }
+
+  bindSocket(ws);
+
+  ws.pause(); // nothing is read until the session is admitted
+  const admission = await acquireSession(identity, clientIp(req));
+  if (admission.reason) {
+    send({ type: 'limit', reason: admission.reason, limit: admission.limit });
+    log('Session limit', { reason: admission.reason, limit: admission.limit, uid: identity.uid, ip: clientIp(req) });
+    metrics.limits.inc({ reason: admission.reason });
+    closeSocket(1008, admission.reason);
+    return;
+  }
+  if (closed) {
+    admission.quota.release();
+    return;
+  }
+  quota = admission.quota;
+  if (LIMITS.maxSessionMinutes > 0) {
+    sessionTimer = setTimeout(() => closeForLimit('session_duration', LIMITS.maxSessionMinutes), LIMITS.maxSessionMinutes * 60000);
+  }
+  ws.resume();
+  ws.on('message', onMessage);
+
+  async function onMessage(data, isBinary) {
+    if (goingAway) return;
+    if (configured && roomCheck) {
+      // Keep frames that arrive during the check in order; a failed check closes the socket
+      await roomCheck.catch(() => {});
+      if (ending) return;
+    }
     try {
       // First message must be JSON config
-      if (!initialized) {
+      if (!configured) {
         if (isBinary) {
-          safeJsonSend(ws, { type: 'error', message: 'Expected JSON config as first message' });
-          ws.close();
+          send({ type: 'error', message: 'Expected JSON config as first message' });
+          closeSocket();
           return;
         }
+        configured = true;
         const txt = data.toString('utf8');
         const cfg = JSON.parse(txt);
+        if (shouldCapture(cfg, identity)) {
+          capture = new SessionCapture(sessionId, acceptedAt);
+          capture.config(cfg);
+        }
 
-        location = typeof cfg.location === 'string' ? cfg.location : DEFAULT_LOCATION;
-        model = typeof cfg.model === 'string' ? cfg.model : DEFAULT_MODEL;
-        sampleRateHertz = Number.isFinite(Number(cfg.sampleRateHertz)) ? Number(cfg.sampleRateHertz) : DEFAULT_SR;
-        languageCodes = Array.isArray(cfg.languageCodes) && cfg.languageCodes.length > 0 ? cfg.languageCodes : ['ko-KR'];
+        const roomCfg = parseRoomConfig(cfg.room);
+        if (roomCfg) {
+          roomCheck = assertRoomMember(roomCfg.id, identity);
+          await roomCheck;
+        }
+        const joinOpts = {
+          id: sessionId,
+          send,
+          bufferedAmount: () => ws.bufferedAmount,
+          onOverflow: () => closeForLimit('room_backpressure', MAX_MEMBER_BUFFERED_BYTES),
+        };
+        if (roomCfg && roomCfg.role === 'subscriber') {
+          // Listener only: no decoder or recognizer, binary frames are ignored.
+          if (!roomCfg.language) throw new RoomError('Subscribers need room.language', 'e.g. { "id": "...", "role": "subscriber", "language": "en" }');
+          ({ room, member: roomMember } = joinRoom(roomCfg, joinOpts));
+          log('Room join', { sessionId, roomId: room.id, role: roomCfg.role, language: roomCfg.language, uid: identity.uid });
+          return;
+        }
 
-        // v2 client with regional endpoint
-        const SpeechClientV2 = speech?.v2?.SpeechClient;
-        if (!SpeechClientV2) {
-          safeJsonSend(ws, { type: 'error', message: 'Missing @google-cloud/speech v2 client (SpeechClient)' });
-          ws.close();
+        provider = resolveProviderName(cfg.provider);
+        if (!provider) {
+          send({
+            type: 'error',
+            message: `Unsupported provider: ${cfg.provider}`,
+            details: `Supported: ${PROVIDER_NAMES.join(', ')}`,
+          });
+          closeSocket();
           return;
         }
 
-        sttClient = new SpeechClientV2({
-          apiEndpoint: `${location}-speech.googleapis.com`,
+        protocol = negotiateProtocol(cfg);
+
+        // Client audio format → what the provider wants (throws UnsupportedAudioError).
+        const targetRateHz = preferredSampleRate(provider);
+        decoder = new AudioDecoder({
+          encoding: cfg.encoding,
+          sampleRateHertz: cfg.sampleRateHertz === undefined ? DEFAULT_SR : Number(cfg.sampleRateHertz),
+          audioChannelCount: cfg.audioChannelCount === undefined ? 1 : Number(cfg.audioChannelCount),
+        }, targetRateHz);
+        bytesPerMs = (targetRateHz * 2) / 1000;
+
+        const opts = {
+          location: typeof cfg.location === 'string' ? cfg.location : DEFAULT_LOCATION,
+          model: typeof cfg.model === 'string' ? cfg.model : undefined,
+          sampleRateHertz: targetRateHz,
+          languageCodes: Array.isArray(cfg.languageCodes) && cfg.languageCodes.length > 0 ? cfg.languageCodes : ['ko-KR'],
+          providerOptions: cfg.providerOptions && typeof cfg.providerOptions === 'object' ? cfg.providerOptions : undefined,
+          detailedResults: protocol.version >= 2,
+          maxAlternatives: protocol.maxAlternatives,
+          correlationId,
+        };
+        const vadOpts = parseVadConfig(cfg.vad, VAD_BY_DEFAULT);
+        const translationOpts = parseTranslationConfig(cfg);
+        const vocabularyOpts = parseVocabularyConfig(cfg, roomCfg && roomCfg.id);
+        vocabulary = resolveVocabulary(vocabularyOpts, log);
+        log('Session config', {
+          sessionId,
+          capture: !!capture,
+          uid: identity.uid,
+          appId: identity.appId,
+          provider,
+          protocol,
+          audio: decoder.describe(),
+          languageCodes: opts.languageCodes,
+          vad: vadOpts,
+          translation: translationOpts,
+          room: roomCfg,
+          vocabulary: { hints: vocabularyOpts.hints.length, place: vocabularyOpts.place, room: vocabularyOpts.room },
         });
 
-        sttStream = sttClient.streamingRecognize()
-          .on('data', (resp) => {
-            const results = resp?.results || [];
-            for (const r of results) {
-              const alt = r?.alternatives?.[0];
-              const text = alt?.transcript || '';
-              if (!text) continue;
-              safeJsonSend(ws, {
-                type: 'result',
-                text,
-                isFinal: !!r.isFinal,
-                languageCode: r.languageCode || null,
-              });
+        if (roomCfg) {
+          const language = roomCfg.language || roomLanguage(opts.languageCodes[0]);
+          if (!language) throw new RoomError(`Unsupported room language: ${opts.languageCodes[0]}`, 'Set room.language to a supported language');
+          ({ room, member: roomMember } = joinRoom({ ...roomCfg, language }, joinOpts));
+          log('Room join', { sessionId, roomId: room.id, role: roomCfg.role, language: roomMember.language, uid: identity.uid });
+        }
+
+        if (translationOpts || room) {
+          const ownTargets = translationOpts ? translationOpts.targetLanguages : [];
+          translator = new SessionTranslator(
+            translationOpts || { targetLanguages: [], interimDebounceMs: 0 },
+            opts.languageCodes[0],
+            (ctx) => log('Translation', { sessionId, ...ctx }),
+          );
+          if (room) {
+            const joinedRoom = room;
+            translator.setExtraLanguages(() => joinedRoom.languages());
+          }
+          translator.on('translation', (t) => {
+            if (ownTargets.includes(t.lang)) {
+              send(protocol.version >= 2
+                ? { type: 'translation', ...t, utteranceId: `${sessionId}.${t.resultId}` }
+                : { type: 'translation', ...t });
             }
-          })
-          .on('error', (err) => {
-            const md = err?.metadata && typeof err.metadata.getMap === 'function' ? err.metadata.getMap() : undefined;
-            // eslint-disable-next-line no-console
-            console.error('STT stream error', JSON.stringify({
-              message: err?.message,
-              code: err?.code,
-              details: err?.details,
-              metadataKeys: md ? Object.keys(md) : undefined,
-              metadata: md,
-            }));
-            safeJsonSend(ws, {
-              type: 'error',
-              message: err?.message || String(err),
-              code: err?.code,
-              details: err?.details,
-            });
-            ws.close();
+            if (room) room.publishTranslation(roomMember, t);
           });
-
-        // First request: recognizer + streaming_config
-        // Derive project id via ADC (Cloud Run service account)
-        const auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
-        const projectId = await auth.getProjectId();
-        if (!projectId) {
-          safeJsonSend(ws, { type: 'error', message: 'Failed to determine project id via ADC' });
-          ws.close();
-          return;
         }
 
-        const recognizerName = DEFAULT_RECOGNIZER_NAME.startsWith('projects/')
-          ? DEFAULT_RECOGNIZER_NAME
-          : `projects/${projectId}/locations/${location}/recognizers/${DEFAULT_RECOGNIZER_ID}`;
-
-        logJson('Starting streamingRecognize', {
-          apiEndpoint: `${location}-speech.googleapis.com`,
-          recognizer: recognizerName,
-          model,
-          sampleRateHertz,
-          languageCodes,
-        });
+        if (vadOpts) {
+          vad = new VoiceActivityDetector(targetRateHz, vadOpts);
+          vad
+            .on('speechStart', (e) => {
+              clearTimeout(eouTimer);
+              send({ type: 'speechStart', offsetMs: e.offsetMs });
+              if (room) room.publishSpeaking(roomMember, true);
+            })
+            .on('speechEnd', (e) => {
+              send({ type: 'speechEnd', offsetMs: e.offsetMs });
+              if (room) room.publishSpeaking(roomMember, false);
+              if (vadOpts.endOfUtteranceMs <= 0) return;
+              // Recognizer still hasn't finalized the utterance → force it.
+              clearTimeout(eouTimer);
+              eouTimer = setTimeout(() => {
+                if (!awaitingFinal || !recognizer) return;
+                const ok = recognizer.finalize();
+                log('End-of-utterance timeout', { provider, finalizeSent: ok });
+              }, vadOpts.endOfUtteranceMs);
+            });
+        }
 
-        sttStream.write({
-          // Use a real recognizer resource (some environments reject implicit '_' for streaming)
-          recognizer: recognizerName,
-          streamingConfig: {
-            config: {
-              explicitDecodingConfig: {
-                encoding: 'LINEAR16',
-                sampleRateHertz,
-                audioChannelCount: 1,
-              },
-              languageCodes,
-              model,
-              features: {
-                enableAutomaticPunctuation: true,
-                profanityFilter: false,
-              },
-            },
-            streamingFeatures: {
-              interimResults: true,
-            },
+        // Audio and controls sent before `ready` are queued until the recognizer is up.
+        const ready = { type: 'ready', provider, protocolVersion: protocol.version };
+        if (capture) ready.captureId = sessionId;
+        await switchRecognizer(opts, {
+          onSwitched: () => {
+            resumeToken = registerResumable(handle);
+            send({ ...ready, resumeToken });
+            metrics.sessions.inc({ provider });
           },
         });
+        return;
+      }
 
-        initialized = true;
-        safeJsonSend(ws, { type: 'ready' });
+      if (!isBinary) {
+        onControlFrame(data.toString('utf8'));
         return;
       }
 
-      // Subsequent messages: audio bytes
-      if (!isBinary) return;
-      if (!sttStream) return;
+      // Audio bytes
+      if (!decoder) return;
       const buf = Buffer.isBuffer(data) ? data : Buffer.from(data);
       if (buf.length === 0) return;
-      sttStream.write({ audio: buf });
+      receivedBytes += buf.length;
+      if (capture) capture.audio(buf);
+      let pcm = decoder.decode(buf); // also while paused: container formats must stay in sync
+      metrics.audioSeconds.inc({ provider }, pcm.length / bytesPerMs / 1000);
+      // Paused audio counts against the byte rate but not the audio-minutes budget.
+      const exceeded = quota.onAudio(buf.length, listening ? pcm.length / bytesPerMs : 0);
+      if (exceeded) {
+        closeForLimit(exceeded.reason, exceeded.limit);
+        return;
+      }
+      if (!listening) return;
+      let spans = [{ inputMs, ms: pcm.length / bytesPerMs }];
+      inputMs += pcm.length / bytesPerMs;
+      if (vad) {
+        pcm = vad.process(pcm);
+        ({ spans } = vad);
+      }
+      enqueue({ pcm, spans, inputEndMs: inputMs });
     } catch (e) {
-      safeJsonSend(ws, { type: 'error', message: e?.message || String(e) });
-      ws.close();
+      send({ type: 'error', message: e?.message || String(e), details: e?.details });
+      closeSocket();
     }
-  });
+  }
+});
+
+function exitIfDrained() {
+  if (!draining || sessions.size > 0) return;
+  logJson('Drained', { pid: process.pid });
+  // Let the last usage flushes (limits.js) reach the store.
+  setTimeout(() => process.exit(0), 500);
+}
+
+// Cloud Run sends SIGTERM before stopping an instance: refuse new sockets, flush finals and send
+// every client a `goaway` so it reconnects (and lands on another instance).
+process.on('SIGTERM', () => {
+  if (draining) return;
+  draining = true;
+  logJson('SIGTERM: draining', { sessions: sessions.size, timeoutMs: DRAIN_TIMEOUT_MS });
+  server.close();
+  setTimeout(() => process.exit(0), DRAIN_TIMEOUT_MS);
+  for (const s of [...sessions]) s.drain();
+  exitIfDrained();
 });
 
 server.listen(PORT, () => {
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * Replay a session capture (see capture.js) against a running bridge and diff the transcripts.
+ *
+ *   node tools/replay.js <capture.jsonl> [options]
+ *
+ *   --url <ws url>       bridge to replay against (default ws://localhost:8080/ws)
+ *   --speed <n|max>      1 = real time (default), 4 = four times faster, max = as fast as the socket takes it
+ *   --fake               recognize with the capture's own results (bridge needs STT_ENABLE_FAKE_PROVIDER=true);
+ *                        checks decoding/VAD/finalize changes without calling a vendor
+ *   --provider <name>    replay with another provider than the captured one
+ *   --token <idToken>    Firebase ID token (default $STT_ID_TOKEN)
+ *   --app-check <token>  App Check token (default $STT_APP_CHECK_TOKEN)
+ *   --tail-ms <ms>       how long to wait for results after the last frame (default 5000)
+ *   --interim            diff interim results too, not just finals
+ *
+ * Exit code: 0 transcripts match, 1 they differ, 2 the replay failed.
+ */
+
+const WebSocket = require('ws');
+const { readCapture } = require('../capture');
+
+function parseArgs(argv) {
+  const args = {
+    file: null,
+    url: 'ws://localhost:8080/ws',
+    speed: 1,
+    fake: false,
+    provider: null,
+    token: process.env.STT_ID_TOKEN || null,
+    appCheck: process.env.STT_APP_CHECK_TOKEN || null,
+    tailMs: 5000,
+    interim: false,
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      i += 1;
+      return argv[i];
+    };
+    if (a === '--url') args.url = next();
+    else if (a === '--speed') {
+      const v = next();
+      args.speed = v === 'max' ? Infinity : Number(v);
+      if (!(args.speed > 0)) throw new Error(`Bad --speed: ${v}`);
+    } else if (a === '--fake') args.fake = true;
+    else if (a === '--provider') args.provider = next();
+    else if (a === '--token') args.token = next();
+    else if (a === '--app-check') args.appCheck = next();
+    else if (a === '--tail-ms') args.tailMs = Number(next());
+    else if (a === '--interim') args.interim = true;
+    else if (a.startsWith('--')) throw new Error(`Unknown option: ${a}`);
+    else args.file = a;
+  }
+  if (!args.file) throw new Error('Usage: node tools/replay.js <capture.jsonl> [--url ws://...] [--speed n|max] [--fake]');
+  return args;
+}
+
+function transcript(messages, withInterim) {
+  return messages
+    .filter((m) => m.type === 'result' && (withInterim || m.isFinal))
+    .map((m) => `${m.isFinal ? '' : '~ '}${m.text}`);
+}
+
+/** Line diff (LCS); returns [op, line] with op ' ', '-' (capture only) or '+' (replay only). */
+function diffLines(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push([' ', a[i]]);
+      i += 1;
+      j += 1;
+    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+      out.push(['-', a[i]]);
+      i += 1;
+    } else {
+      out.push(['+', b[j]]);
+      j += 1;
+    }
+  }
+  while (i < a.length) out.push(['-', a[i++]]);
+  while (j < b.length) out.push(['+', b[j++]]);
+  return out;
+}
+
+/** Word error rate of `hyp` against `ref` (word-level edit distance / reference length). */
+function wordErrorRate(ref, hyp) {
+  const r = ref.join(' ').split(/\s+/).filter(Boolean);
+  const h = hyp.join(' ').split(/\s+/).filter(Boolean);
+  if (r.length === 0) return h.length === 0 ? 0 : 1;
+  let prev = Array.from({ length: h.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= r.length; i += 1) {
+    const cur = [i];
+    for (let j = 1; j <= h.length; j += 1) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (r[i - 1] === h[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[h.length] / r.length;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function replay(args, capture) {
+  const config = { ...capture.config };
+  delete config.capture;
+  if (args.provider) config.provider = args.provider;
+  if (args.fake) {
+    config.provider = 'fake';
+    config.providerOptions = {
+      results: capture.sent
+        .filter((m) => m.data.type === 'result')
+        .map(({ data }) => ({ text: data.text, isFinal: data.isFinal, languageCode: data.languageCode, endOffsetMs: data.endOffsetMs })),
+    };
+  }
+
+  const headers = {};
+  if (args.token) headers.Authorization = `Bearer ${args.token}`;
+  if (args.appCheck) headers['X-Firebase-AppCheck'] = args.appCheck;
+
+  const ws = new WebSocket(args.url, { headers });
+  const received = [];
+  let failure = null;
+  let readyResolve;
+  const ready = new Promise((resolve) => { readyResolve = resolve; });
+  const closed = new Promise((resolve) => ws.once('close', resolve));
+
+  ws.on('unexpected-response', (_req, res) => {
+    failure = `Upgrade rejected: HTTP ${res.statusCode}`;
+    readyResolve(false);
+  });
+  ws.on('error', (e) => {
+    failure = failure || e.message;
+    readyResolve(false);
+  });
+  ws.on('close', () => readyResolve(false));
+  ws.on('open', () => ws.send(JSON.stringify(config)));
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) return;
+    const msg = JSON.parse(data.toString('utf8'));
+    received.push(msg);
+    if (msg.type === 'ready') readyResolve(true);
+    if (msg.type === 'error' || msg.type === 'limit') {
+      failure = failure || `${msg.type}: ${msg.message || msg.reason}${msg.details ? ` (${msg.details})` : ''}`;
+      readyResolve(false);
+    }
+  });
+
+  if (!(await ready)) return { received, failure: failure || 'Socket closed before ready' };
+
+  const t0 = capture.frames.length > 0 ? capture.frames[0].t : 0;
+  const startedAt = Date.now();
+  for (const frame of capture.frames) {
+    if (ws.readyState !== WebSocket.OPEN) break;
+    if (Number.isFinite(args.speed)) {
+      const due = startedAt + (frame.t - t0) / args.speed;
+      if (due > Date.now()) await sleep(due - Date.now());
+    }
+    // Control messages are re-sent as captured (after parsing; `changes` spread back).
+    const payload = frame.buf || JSON.stringify({ type: frame.control.type, id: frame.control.id, ...frame.control.changes });
+    await new Promise((resolve) => ws.send(payload, { binary: !!frame.buf }, resolve));
+  }
+
+  await Promise.race([closed, sleep(args.tailMs)]);
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.close(1000);
+    await Promise.race([closed, sleep(2000)]);
+  }
+  return { received, failure };
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(e.message);
+    return 2;
+  }
+  const capture = readCapture(args.file);
+  const audioBytes = capture.frames.reduce((n, f) => n + (f.buf ? f.buf.length : 0), 0);
+  // eslint-disable-next-line no-console
+  console.log(`Capture ${capture.meta ? capture.meta.sessionId : args.file}: ${capture.frames.length} frames, ${audioBytes} bytes, provider ${capture.config.provider || '(default)'}`);
+
+  const { received, failure } = await replay(args, capture);
+  if (failure) {
+    // eslint-disable-next-line no-console
+    console.error(`Replay failed: ${failure}`);
+    return 2;
+  }
+
+  const expected = transcript(capture.sent.map((m) => m.data), args.interim);
+  const actual = transcript(received, args.interim);
+  const diff = diffLines(expected, actual);
+  for (const [op, line] of diff) {
+    // eslint-disable-next-line no-console
+    console.log(`${op} ${line}`);
+  }
+  const same = diff.every(([op]) => op === ' ');
+  // eslint-disable-next-line no-console
+  console.log(`${same ? 'MATCH' : 'DIFF'}: capture ${expected.length} lines, replay ${actual.length} lines, WER ${(wordErrorRate(expected, actual) * 100).toFixed(1)}%`);
+  return same ? 0 : 1;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+}, (e) => {
+  // eslint-disable-next-line no-console
+  console.error(e.stack || e.message);
+  process.exitCode = 2;
+});
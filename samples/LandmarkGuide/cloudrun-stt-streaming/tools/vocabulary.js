@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Edit the phrase-hint registry in RTDB (see vocabulary.js) with the Admin SDK.
+ *
+ *   node tools/vocabulary.js list <scope>
+ *   node tools/vocabulary.js add <scope> <phrase> [--boost <0-20>] [--lang ko,en]
+ *   node tools/vocabulary.js remove <scope> <phrase>
+ *
+ * <scope> is `global`, `places/<placeId>` or `rooms/<roomId>`. Needs ADC and FIREBASE_DATABASE_URL.
+ * Sessions pick up changes within STT_VOCABULARY_CACHE_MS.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { normalizePhrase } = require('../shared/vocabulary');
+
+const SCOPE_RE = /^(global|places\/[A-Za-z0-9_-]{1,64}|rooms\/[A-Za-z0-9_-]{1,64})$/;
+
+function usage() {
+  return 'Usage: node tools/vocabulary.js list|add|remove <global|places/<id>|rooms/<id>> [phrase] [--boost n] [--lang ko,en]';
+}
+
+function parseArgs(argv) {
+  const args = { positional: [], boost: undefined, languageCodes: undefined };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === '--boost' || a === '--lang') {
+      if (i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      i += 1;
+      if (a === '--boost') args.boost = Number(argv[i]);
+      else args.languageCodes = argv[i].split(',').map((s) => s.trim()).filter(Boolean);
+    } else if (a.startsWith('--')) {
+      throw new Error(`Unknown option: ${a}`);
+    } else {
+      args.positional.push(a);
+    }
+  }
+  const [command, scope, ...phrase] = args.positional;
+  if (!['list', 'add', 'remove'].includes(command) || !SCOPE_RE.test(scope || '')) throw new Error(usage());
+  if (command !== 'list' && phrase.length === 0) throw new Error(usage());
+  return { ...args, command, scope, phrase: phrase.join(' ') };
+}
+
+/** Same key for the same phrase in any casing, so `add` updates and `remove` finds it. */
+function phraseKey(value) {
+  return crypto.createHash('sha1').update(value.toLowerCase()).digest('hex').slice(0, 16);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!process.env.FIREBASE_DATABASE_URL) throw new Error('Set FIREBASE_DATABASE_URL');
+  admin.initializeApp();
+  const ref = admin.app().database(process.env.FIREBASE_DATABASE_URL).ref(`/sttVocabulary/${args.scope}/phrases`);
+
+  if (args.command === 'list') {
+    const phrases = Object.values((await ref.once('value')).val() || {});
+    for (const p of phrases) {
+      // eslint-disable-next-line no-console
+      console.log(`${p.value}${p.boost !== undefined ? `  boost=${p.boost}` : ''}${p.languageCodes ? `  lang=${p.languageCodes.join(',')}` : ''}`);
+    }
+    // eslint-disable-next-line no-console
+    console.log(`${phrases.length} phrase(s) in ${args.scope}`);
+    return;
+  }
+
+  const p = normalizePhrase({ value: args.phrase, boost: args.boost, languageCodes: args.languageCodes });
+  if (!p) throw new Error('Phrase must have 1-100 characters');
+  if (args.command === 'remove') {
+    await ref.child(phraseKey(p.value)).remove();
+  } else {
+    if (args.boost !== undefined && p.boost !== args.boost) throw new Error('--boost must be between 0 and 20');
+    const entry = { value: p.value, updatedAt: admin.database.ServerValue.TIMESTAMP };
+    if (p.boost !== null) entry.boost = p.boost;
+    if (p.languageCodes) entry.languageCodes = p.languageCodes;
+    await ref.child(phraseKey(p.value)).set(entry);
+  }
+  // eslint-disable-next-line no-console
+  console.log(`${args.command === 'add' ? 'Added' : 'Removed'} "${p.value}" ${args.command === 'add' ? 'to' : 'from'} ${args.scope}`);
+}
+
+main().then(() => process.exit(0), (e) => {
+  // eslint-disable-next-line no-console
+  console.error(e.message);
+  process.exit(2);
+});
@@ -0,0 +1,157 @@
+/**
+ * Inline translation of recognition results for the /ws bridge.
+ *
+ * Goes through the same router as `onMessageCreated` (shared/translators/index.js: per-pair routes,
+ * provider fallback, splitting), so text translated here matches what RTDB listeners get.
+ *
+ * A SessionTranslator translates every final into each target language and, if enabled, sends a
+ * provisional translation of the latest interim once the interim has been stable for `debounceMs`.
+ * Finals go through the shared translation cache (translationCache.js); interims never do.
+ *
+ * Events:
+ * - 'translation' { lang, text, resultId, isFinal, status: 'done' }
+ *                 { lang, resultId, isFinal: true, status: 'failed', error }  no text, like a failed
+ *                 translationInfo entry of onMessageCreated
+ */
+
+const { EventEmitter } = require('events');
+const { baseLanguage } = require('./providers/base');
+const { translateCached } = require('./translationCache');
+const { roomLanguage } = require('./shared/languages');
+const { translate } = require('./shared/translators');
+
+const MAX_TARGET_LANGUAGES = Number(process.env.STT_MAX_TARGET_LANGUAGES || 4);
+const DEFAULT_INTERIM_DEBOUNCE_MS = Number(process.env.STT_INTERIM_TRANSLATION_DEBOUNCE_MS || 600);
+
+// Room code of a recognizer's language tag; recognizers may report languages rooms don't support.
+function sourceLanguage(code) {
+  return roomLanguage(code) || baseLanguage(code);
+}
+
+/**
+ * @param {string} text
+ * @param {string} targetLang room code, e.g. 'en', 'ar-EG' (see languages.js)
+ * @param {string} sourceLang room code, e.g. 'ko'
+ * @returns {Promise<string>}
+ */
+async function translateText(text, targetLang, sourceLang) {
+  return (await translate(text, sourceLang, targetLang)).text;
+}
+
+/**
+ * Validate `targetLanguages` / `interimTranslations` from the client config.
+ * @returns {{ targetLanguages: string[], interimDebounceMs: number }|null} null when translation is off
+ * @throws {Error} with `details` for bad input
+ */
+function parseTranslationConfig(cfg) {
+  const raw = cfg.targetLanguages;
+  if (raw === undefined || raw === null) return null;
+  if (!Array.isArray(raw) || raw.some((l) => typeof l !== 'string' || !l.trim())) {
+    const err = new Error('targetLanguages must be an array of language codes');
+    err.details = 'e.g. ["en", "ar"]';
+    throw err;
+  }
+  const unsupported = raw.filter((l) => !roomLanguage(l));
+  if (unsupported.length > 0) {
+    const err = new Error(`Unsupported targetLanguages: ${unsupported.join(', ').slice(0, 100)}`);
+    err.details = 'See languages.js for the supported languages';
+    throw err;
+  }
+  const targetLanguages = [...new Set(raw.map(roomLanguage))];
+  if (targetLanguages.length === 0) return null;
+  if (targetLanguages.length > MAX_TARGET_LANGUAGES) {
+    const err = new Error(`Too many targetLanguages (${targetLanguages.length})`);
+    err.details = `At most ${MAX_TARGET_LANGUAGES} per session`;
+    throw err;
+  }
+
+  let interimDebounceMs = 0;
+  const interim = cfg.interimTranslations;
+  if (interim === true) interimDebounceMs = DEFAULT_INTERIM_DEBOUNCE_MS;
+  else if (interim && typeof interim === 'object') {
+    const ms = Number(interim.debounceMs);
+    interimDebounceMs = Number.isFinite(ms) && ms > 0 ? ms : DEFAULT_INTERIM_DEBOUNCE_MS;
+  }
+  return { targetLanguages, interimDebounceMs };
+}
+
+class SessionTranslator extends EventEmitter {
+  /**
+   * @param {{ targetLanguages: string[], interimDebounceMs: number }} opts see parseTranslationConfig
+   * @param {string} defaultSourceLang used when a result carries no languageCode
+   * @param {(ctx: object) => void} [log]
+   */
+  constructor(opts, defaultSourceLang, log) {
+    super();
+    this.targetLanguages = opts.targetLanguages;
+    this.interimDebounceMs = opts.interimDebounceMs;
+    this.defaultSourceLang = sourceLanguage(defaultSourceLang);
+    this.log = log || (() => {});
+    this.interimTimer = null;
+    this.lastFinalResultId = -1; // results up to this id have their final translations requested
+    this.interimSeq = 0;
+    this.extraLanguages = () => [];
+    this.closed = false;
+  }
+
+  /** Source language for results without a languageCode (after a reconfigure). */
+  setSourceLanguage(code) {
+    this.defaultSourceLang = sourceLanguage(code);
+  }
+
+  /** Also translate into whatever `fn()` returns at translation time (room member languages). */
+  setExtraLanguages(fn) {
+    this.extraLanguages = fn;
+  }
+
+  /** @param {{ text: string, isFinal: boolean, languageCode: string|null, resultId: number }} result */
+  onResult(result) {
+    if (this.closed || !result.text) return;
+    clearTimeout(this.interimTimer);
+    if (result.isFinal) {
+      this.lastFinalResultId = Math.max(this.lastFinalResultId, result.resultId);
+      this._translate(result, true, null);
+      return;
+    }
+    if (this.interimDebounceMs <= 0) return;
+    const seq = ++this.interimSeq;
+    this.interimTimer = setTimeout(() => this._translate(result, false, seq), this.interimDebounceMs);
+  }
+
+  _translate(result, isFinal, seq) {
+    const sourceLang = result.languageCode ? sourceLanguage(result.languageCode) : this.defaultSourceLang;
+    for (const lang of new Set([...this.targetLanguages, ...this.extraLanguages()])) {
+      const started = Date.now();
+      let pending;
+      if (lang === sourceLang) {
+        pending = Promise.resolve({ text: result.text, cached: false });
+      } else if (!isFinal) {
+        pending = translate(result.text, sourceLang, lang).then((r) => ({ ...r, cached: false }));
+      } else {
+        pending = translateCached(result.text, sourceLang, lang, this.log);
+      }
+      pending.then(({ text, provider, cached }) => {
+        this._emit({ lang, text, resultId: result.resultId, isFinal, status: 'done' }, seq);
+        if (lang !== sourceLang) this.log({ lang, sourceLang, isFinal, resultId: result.resultId, provider, cached, ms: Date.now() - started });
+      }, (e) => {
+        this.log({ lang, sourceLang, isFinal, resultId: result.resultId, error: e.message });
+        // Like onMessageCreated: a failed status and no text, so nobody mistakes the original for a translation
+        if (isFinal) this._emit({ lang, resultId: result.resultId, isFinal, status: 'failed', error: e.code || 'translation_failed' }, seq);
+      });
+    }
+  }
+
+  _emit(translation, seq) {
+    if (this.closed) return;
+    // A provisional translation is stale once its final or a newer interim was requested.
+    if (!translation.isFinal && (seq !== this.interimSeq || translation.resultId <= this.lastFinalResultId)) return;
+    this.emit('translation', translation);
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.interimTimer);
+  }
+}
+
+module.exports = { SessionTranslator, parseTranslationConfig, translateText };
@@ -0,0 +1,143 @@
+/**
+ * The Cloud Functions' shared translation cache, used for final translations on /ws so a phrase
+ * already translated for a room message (or another session) is not paid for again.
+ *
+ * Same RTDB layout as firebase-functions/translationCache.js and the same keys
+ * (shared/translationCacheKey.js). A lookup checks every configured step of the pair's route and
+ * takes the first hit in route order. Pruning is the Cloud Function's job (pruneTranslationCache).
+ *
+ * Store: TRANSLATION_CACHE_STORE = rtdb (default when FIREBASE_DATABASE_URL is set), memory or none.
+ * Hits/misses go to /metrics (stt_translation_cache_total) and, every STATS_FLUSH_MS, to
+ * /translationCacheStats/daily like the functions' counters.
+ */
+
+const admin = require('firebase-admin');
+const { translate, configuredRoute } = require('./shared/translators');
+const { normalizeText, cacheLanguage, cacheKey } = require('./shared/translationCacheKey');
+const { metrics } = require('./metrics');
+
+const CACHE_STORE = process.env.TRANSLATION_CACHE_STORE || (process.env.FIREBASE_DATABASE_URL ? 'rtdb' : 'memory');
+const TTL_MS = Number(process.env.TRANSLATION_CACHE_TTL_MS || 30 * 24 * 60 * 60 * 1000);
+const MAX_CHARS = Number(process.env.TRANSLATION_CACHE_MAX_CHARS || 500);
+const MEMORY_ENTRIES = Number(process.env.TRANSLATION_CACHE_MEMORY_ENTRIES || 1000);
+const STATS_FLUSH_MS = 60000;
+
+const memory = new Map(); // key → entry, oldest first
+let pendingStats = {};
+let flushTimer = null;
+
+function dbRef(path) {
+  if (!admin.apps.length) admin.initializeApp();
+  return admin.app().database(process.env.FIREBASE_DATABASE_URL).ref(path);
+}
+
+function remember(key, entry) {
+  memory.delete(key);
+  memory.set(key, entry);
+  if (memory.size > MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+}
+
+function flushStats() {
+  flushTimer = null;
+  const stats = pendingStats;
+  pendingStats = {};
+  const day = new Date().toISOString().slice(0, 10);
+  const updates = {};
+  for (const [name, n] of Object.entries(stats)) updates[`${day}/${name}`] = admin.database.ServerValue.increment(n);
+  dbRef('/translationCacheStats/daily').update(updates).catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error('Translation cache stats write failed:', e.message);
+  });
+}
+
+function count(name, n = 1) {
+  if (name === 'hits' || name === 'misses') metrics.translationCache.inc({ result: name === 'hits' ? 'hit' : 'miss' });
+  if (CACHE_STORE !== 'rtdb') return;
+  pendingStats[name] = (pendingStats[name] || 0) + n;
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushStats, STATS_FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+/** First unexpired entry among `keys` in order, or null. */
+async function lookup(keys) {
+  const now = Date.now();
+  for (const key of keys) {
+    const hit = memory.get(key);
+    if (hit && hit.expiresAt > now) return hit;
+  }
+  if (CACHE_STORE !== 'rtdb') return null;
+  const snaps = await Promise.all(keys.map((key) => dbRef(`/translationCache/${key}`).once('value')));
+  for (let i = 0; i < keys.length; i += 1) {
+    const entry = snaps[i].val();
+    if (entry && entry.expiresAt > now && typeof entry.text === 'string') {
+      remember(keys[i], entry);
+      return entry;
+    }
+  }
+  return null;
+}
+
+// Not awaited: the caption is sent without waiting for the write.
+function store(key, entry, log) {
+  remember(key, entry);
+  if (CACHE_STORE !== 'rtdb') return;
+  let created = false;
+  dbRef(`/translationCache/${key}`).transaction((current) => {
+    if (current && current.expiresAt > Date.now()) return undefined;
+    created = !current;
+    return entry;
+  }, undefined, false).then(({ committed }) => {
+    if (!committed) return null;
+    count('writes');
+    return created ? dbRef('/translationCacheStats/entries').set(admin.database.ServerValue.increment(1)) : null;
+  }).catch((e) => log({ cache: 'write_failed', message: e.message }));
+}
+
+/**
+ * `translate()` (shared/translators/index.js) behind the cache; texts over
+ * TRANSLATION_CACHE_MAX_CHARS bypass it. Cache errors only cost the cache.
+ * @param {(ctx: object) => void} log
+ * @returns {Promise<{ text: string, provider: string, model: string|null, cached: boolean }>}
+ * @throws {TranslationError} as translate()
+ */
+async function translateCached(text, sourceLang, targetLang, log) {
+  const normalized = normalizeText(text);
+  const cacheable = CACHE_STORE !== 'none' && normalized.length <= MAX_CHARS;
+  const steps = cacheable ? configuredRoute(sourceLang, targetLang) : [];
+  const keys = steps.map((step) => cacheKey(step, sourceLang, targetLang, normalized));
+
+  if (cacheable) {
+    try {
+      const hit = await lookup(keys);
+      if (hit) {
+        count('hits');
+        count('charsSaved', normalized.length);
+        return { text: hit.text, provider: hit.provider, model: hit.model || null, cached: true };
+      }
+    } catch (e) {
+      log({ cache: 'read_failed', message: e.message });
+    }
+    count('misses');
+  }
+
+  const result = await translate(text, sourceLang, targetLang);
+  const i = steps.findIndex((s) => s.provider === result.provider);
+  if (i >= 0) {
+    const now = Date.now();
+    store(keys[i], {
+      text: result.text,
+      provider: result.provider,
+      model: result.model || null,
+      sourceLang: cacheLanguage(sourceLang),
+      targetLang: cacheLanguage(targetLang),
+      source: normalized,
+      createdAt: now,
+      expiresAt: now + TTL_MS,
+    }, log);
+  }
+  return { text: result.text, provider: result.provider, model: result.model, cached: false };
+}
+
+module.exports = { translateCached };
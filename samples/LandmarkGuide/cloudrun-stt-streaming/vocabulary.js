@@ -0,0 +1,79 @@
+/**
+ * Phrase hints (speech adaptation) for place names, guide names and local terms.
+ *
+ * A session's phrases are merged from
+ * - the registry in RTDB (database FIREBASE_DATABASE_URL; STT_VOCABULARY_STORE=none turns it off):
+ *     /sttVocabulary/global                 always
+ *     /sttVocabulary/places/{placeId}        config `"vocabulary": { "place": "gyeongbokgung" }`
+ *     /sttVocabulary/rooms/{roomId}          the session's room (config `room.id` or `vocabulary.room`)
+ * - the client's config `"phraseHints": ["Bukchon", { "value": "Gyeongbokgung", "boost": 15 }]`
+ *
+ * Validation and merge rules are shared with sttRecognizeV2 / onSttRequestCreated
+ * (shared/vocabulary.js), so every recognition path gets the same adaptation.
+ * tools/vocabulary.js edits the registry.
+ */
+
+const admin = require('firebase-admin');
+const {
+  VocabularyError,
+  parseVocabulary,
+  scopePaths,
+  scopePhrases,
+  mergePhrases,
+  phrasesForLanguages,
+} = require('./shared/vocabulary');
+
+// On by default wherever the bridge knows its database.
+const VOCABULARY_STORE = process.env.STT_VOCABULARY_STORE || (process.env.FIREBASE_DATABASE_URL ? 'rtdb' : 'none');
+const CACHE_MS = Number(process.env.STT_VOCABULARY_CACHE_MS || 60000);
+
+/**
+ * Validate the vocabulary fields of a client config.
+ * @returns {{ hints: object[], place: string|null, room: string|null }}
+ * @throws {VocabularyError}
+ */
+function parseVocabularyConfig(cfg, roomId) {
+  const voc = parseVocabulary(cfg.phraseHints === undefined ? [] : cfg.phraseHints, cfg.vocabulary);
+  return { ...voc, room: voc.room || roomId || null };
+}
+
+const cache = new Map(); // RTDB path → { at, phrases }
+
+function registryRef(path) {
+  if (!admin.apps.length) admin.initializeApp();
+  return admin.app().database(process.env.FIREBASE_DATABASE_URL).ref(path);
+}
+
+async function readScope(path) {
+  const hit = cache.get(path);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.phrases;
+  const snap = await registryRef(path).child('phrases').once('value');
+  const phrases = scopePhrases(snap.val());
+  if (cache.size >= 1000) {
+    for (const [k, v] of cache) if (Date.now() - v.at >= CACHE_MS) cache.delete(k);
+  }
+  cache.set(path, { at: Date.now(), phrases });
+  return phrases;
+}
+
+/**
+ * The client's hints plus the registry phrases of the session's scopes. Never rejects: a registry
+ * outage only loses the registry phrases (logged via `log`).
+ * @param {{ hints: object[], place: string|null, room: string|null }} voc see parseVocabularyConfig
+ * @param {(prefix: string, obj: object) => void} log
+ */
+async function resolveVocabulary(voc, log) {
+  const paths = VOCABULARY_STORE === 'rtdb' ? scopePaths(voc) : [];
+  const lists = await Promise.all(paths.map((path) => readScope(path).catch((e) => {
+    log('Vocabulary read failed', { path, message: e.message });
+    return [];
+  })));
+  return mergePhrases([voc.hints, ...lists]);
+}
+
+module.exports = {
+  parseVocabularyConfig,
+  resolveVocabulary,
+  phrasesForLanguages,
+  VocabularyError,
+};
@@ -0,0 +1,130 @@
+/**
+ * Caller verification for the STT functions.
+ *
+ * HTTPS (sttRecognizeV2): a Firebase ID token (`Authorization: Bearer <idToken>`) or an App Check
+ * token (`X-Firebase-AppCheck`) is required. Missing/invalid → 401, valid but not allowed → 403.
+ *
+ * RTDB trigger (onSttRequestCreated): the writer's identity comes from `context.auth`; only
+ * signed-in users (or the Admin SDK) may create requests.
+ *
+ * The STT entry points use verifySttCaller()/verifySttWriter(), which follow STT_AUTH_MODE:
+ * 'required' (default) rejects callers without valid credentials; 'warn' lets them through
+ * unverified with a log line, an explicit opt-in while app versions from before anonymous sign-in
+ * are still in use. Room APIs (roomGlossary, roomTranscript) always use the strict checks.
+ */
+
+const admin = require('firebase-admin');
+
+const ALLOWED_APP_IDS = (process.env.STT_ALLOWED_APP_IDS || '').split(',').map((s) => s.trim()).filter(Boolean);
+const ALLOWED_ORIGINS = (process.env.STT_ALLOWED_ORIGINS || '').split(',').map((s) => s.trim()).filter(Boolean);
+const STT_AUTH_MODE = process.env.STT_AUTH_MODE || 'required';
+
+class AuthError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Verify the caller of an HTTPS function.
+ * @returns {Promise<{ uid: string|null, appId: string|null }>}
+ * @throws {AuthError}
+ */
+async function verifyHttpsCaller(req) {
+  const authHeader = req.get('Authorization') || '';
+  const match = /^Bearer\s+(.+)$/i.exec(authHeader);
+  const idToken = match ? match[1].trim() : null;
+  const appCheckToken = req.get('X-Firebase-AppCheck') || null;
+
+  if (!idToken && !appCheckToken) {
+    throw new AuthError(401, 'unauthenticated', 'Missing Firebase ID token (Authorization: Bearer) or App Check token (X-Firebase-AppCheck).');
+  }
+
+  const caller = { uid: null, appId: null };
+  if (idToken) {
+    try {
+      const decoded = await admin.auth().verifyIdToken(idToken);
+      caller.uid = decoded.uid;
+    } catch (e) {
+      throw new AuthError(401, 'invalid_id_token', `Invalid Firebase ID token: ${e.code || e.message}`);
+    }
+  }
+  if (appCheckToken) {
+    try {
+      const decoded = await admin.appCheck().verifyToken(appCheckToken);
+      caller.appId = decoded.appId;
+    } catch (e) {
+      throw new AuthError(401, 'invalid_app_check_token', `Invalid App Check token: ${e.code || e.message}`);
+    }
+    if (ALLOWED_APP_IDS.length > 0 && !ALLOWED_APP_IDS.includes(caller.appId)) {
+      throw new AuthError(403, 'app_not_allowed', `App ${caller.appId} is not allowed.`);
+    }
+  }
+  return caller;
+}
+
+/**
+ * Verify the writer of a Realtime Database trigger (Gen 1 `context`).
+ * @returns {{ uid: string|null, admin: boolean }}
+ * @throws {AuthError}
+ */
+function verifyDatabaseWriter(context) {
+  if (context.authType === 'ADMIN') return { uid: null, admin: true };
+  if (context.authType === 'USER' && context.auth && context.auth.uid) {
+    return { uid: context.auth.uid, admin: false };
+  }
+  throw new AuthError(401, 'unauthenticated', 'Request must be written by a signed-in user.');
+}
+
+/**
+ * verifyHttpsCaller() for sttRecognizeV2; under STT_AUTH_MODE=warn a failed check yields an
+ * unverified caller `{ uid: null, appId: null, unverified: <code> }` instead.
+ */
+async function verifySttCaller(req) {
+  try {
+    return await verifyHttpsCaller(req);
+  } catch (e) {
+    if (STT_AUTH_MODE !== 'warn' || !(e instanceof AuthError)) throw e;
+    console.warn(`⚠️ Unverified STT caller let through (STT_AUTH_MODE=warn): ${e.code}`);
+    return { uid: null, appId: null, unverified: e.code };
+  }
+}
+
+/**
+ * verifyDatabaseWriter() for onSttRequestCreated; under STT_AUTH_MODE=warn an unauthenticated
+ * writer yields `{ uid: null, admin: false, unverified: <code> }` instead.
+ */
+function verifySttWriter(context) {
+  try {
+    return verifyDatabaseWriter(context);
+  } catch (e) {
+    if (STT_AUTH_MODE !== 'warn' || !(e instanceof AuthError)) throw e;
+    console.warn(`⚠️ Unverified STT request let through (STT_AUTH_MODE=warn): ${e.code}`);
+    return { uid: null, admin: false, unverified: e.code };
+  }
+}
+
+/**
+ * CORS for browser callers: only echo origins from STT_ALLOWED_ORIGINS (native apps send none).
+ */
+function applyCors(req, res) {
+  const origin = req.get('Origin');
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Vary', 'Origin');
+  }
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Firebase-AppCheck');
+}
+
+module.exports = {
+  AuthError,
+  verifyHttpsCaller,
+  verifyDatabaseWriter,
+  verifySttCaller,
+  verifySttWriter,
+  applyCors,
+};
@@ -0,0 +1,128 @@
+/**
+ * Translations of earlier messages for a language that joins a room later: a new member, or one
+ * who switched `language` (FirebaseRoomService.updateLanguage). onMessageCreated only translates
+ * into the languages present when a message is created.
+ *
+ * Looks at the room's last TRANSLATION_BACKFILL_MESSAGES messages no older than
+ * TRANSLATION_BACKFILL_MAX_AGE_MS (TRANSLATION_BACKFILL_MESSAGES=0 turns it off). A message that
+ * already has the room language's translation (another member speaks it) just gets it copied to
+ * the user's key; others are translated like in onMessageCreated (cache, glossary, retries), a few
+ * at a time. Entries are only ever added: existing translatedTexts/translationInfo keys are kept.
+ */
+
+const { roomLanguage } = require('./shared/languages');
+const { translateCached } = require('./translationCache');
+const { readGlossary, matchGlossary } = require('./glossary');
+const { withRetries } = require('./translationJob');
+
+const BACKFILL_MESSAGES = Number(process.env.TRANSLATION_BACKFILL_MESSAGES ?? 20);
+const BACKFILL_MAX_AGE_MS = Number(process.env.TRANSLATION_BACKFILL_MAX_AGE_MS || 24 * 60 * 60 * 1000);
+const BACKFILL_CONCURRENCY = Number(process.env.TRANSLATION_BACKFILL_CONCURRENCY || 4);
+
+/** Run `fn` over `items`, at most `limit` at a time. */
+async function mapLimit(items, limit, fn) {
+  const results = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next;
+      next += 1;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/** Add `value` under each of `keys` that `child` of the message doesn't have yet. */
+async function addMissing(messageRef, child, keys, value, replaceable = () => false) {
+  await messageRef.child(child).transaction((current) => {
+    const next = current || {};
+    const missing = keys.filter((key) => next[key] == null || replaceable(next[key]));
+    if (missing.length === 0) return undefined;
+    missing.forEach((key) => {
+      next[key] = value;
+    });
+    return next;
+  });
+}
+
+/**
+ * Backfill one message.
+ * @returns {Promise<'copied'|'translated'|'failed'|'skipped'>}
+ */
+async function backfillMessage(messageRef, message, lang, keys, glossaryEntries) {
+  const texts = message.translatedTexts || {};
+  if (keys.every((key) => typeof texts[key] === 'string')) return 'skipped';
+
+  const info = message.translationInfo || {};
+  let text;
+  let entry;
+  const existing = typeof texts[lang] === 'string' && (!info[lang] || info[lang].status !== 'failed');
+  const sourceLang = message.sourceLanguage || roomLanguage(message.senderLanguage);
+  if (existing) {
+    text = texts[lang];
+    entry = info[lang] || { status: 'done' };
+  } else if (!sourceLang) {
+    return 'skipped';
+  } else if (sourceLang === lang) {
+    text = message.originalText;
+    entry = { status: 'done', original: true };
+  } else {
+    try {
+      const { result, attempts } = await withRetries(() => translateCached(message.originalText, sourceLang, lang, {
+        glossary: matchGlossary(glossaryEntries, message.originalText, lang),
+      }), `backfill ${messageRef.key} → ${lang}`);
+      text = result.text;
+      entry = { status: 'done', provider: result.provider, ms: result.ms, backfill: true };
+      if (result.model) entry.model = result.model;
+      if (result.cached) entry.cached = true;
+      if (result.glossaryMissing) entry.glossaryMissing = result.glossaryMissing;
+      if (attempts > 1) entry.attempts = attempts;
+    } catch (e) {
+      console.error(`❌ Backfill of ${messageRef.key} → ${lang} failed:`, e.code || '-', e.message);
+      await addMissing(messageRef, 'translationInfo', keys, { status: 'failed', error: e.code || 'translation_failed', backfill: true });
+      return 'failed';
+    }
+  }
+
+  await addMissing(messageRef, 'translatedTexts', keys, text);
+  // A 'pending' or 'failed' status from onMessageCreated gives way to the translation we now have
+  await addMissing(messageRef, 'translationInfo', keys, entry, (current) => current.status !== 'done');
+  return existing ? 'copied' : 'translated';
+}
+
+/**
+ * Translate the room's recent history into `language`.
+ * @param {object} roomRef /rooms/{roomId}
+ * @param {string} roomId
+ * @param {string} language the user's `language` value (translatedTexts key)
+ * @returns {Promise<object>} counts per outcome, for the log
+ */
+async function backfillLanguage(roomRef, roomId, language) {
+  const lang = roomLanguage(language);
+  if (BACKFILL_MESSAGES <= 0 || !lang) return { skipped: 'off_or_unsupported' };
+  const keys = [...new Set([lang, language])];
+
+  const snap = await roomRef.child('messages').orderByKey().limitToLast(BACKFILL_MESSAGES).once('value');
+  const now = Date.now();
+  const messages = Object.entries(snap.val() || {})
+    .filter(([, m]) => m && typeof m.originalText === 'string' && m.originalText.trim())
+    .filter(([, m]) => !m.timestamp || now - Number(m.timestamp) <= BACKFILL_MAX_AGE_MS);
+  if (messages.length === 0) return { messages: 0 };
+
+  const glossaryEntries = await readGlossary(roomId).catch((e) => {
+    console.error(`❌ Glossary read failed:`, e.message);
+    return [];
+  });
+  const outcomes = await mapLimit(messages, BACKFILL_CONCURRENCY, ([messageId, message]) => (
+    backfillMessage(roomRef.child('messages').child(messageId), message, lang, keys, glossaryEntries)
+  ));
+  const counts = { messages: messages.length };
+  outcomes.forEach((o) => {
+    counts[o] = (counts[o] || 0) + 1;
+  });
+  return counts;
+}
+
+module.exports = { backfillLanguage };
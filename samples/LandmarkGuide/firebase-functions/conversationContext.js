@@ -0,0 +1,67 @@
+/**
+ * Earlier messages of a room as translation context for onMessageCreated, so pronouns, short
+ * replies and names are translated consistently within a conversation.
+ *
+ * Takes the last TRANSLATION_CONTEXT_MESSAGES messages before the new one (push ids sort by
+ * creation), skipping those more than TRANSLATION_CONTEXT_MAX_AGE_MS older than it, and keeps at
+ * most TRANSLATION_CONTEXT_MAX_CHARS of their text (newest first). TRANSLATION_CONTEXT_MESSAGES=0
+ * turns context off.
+ */
+
+const { roomLanguage } = require('./shared/languages');
+
+const CONTEXT_MESSAGES = Number(process.env.TRANSLATION_CONTEXT_MESSAGES ?? 5);
+const CONTEXT_MAX_AGE_MS = Number(process.env.TRANSLATION_CONTEXT_MAX_AGE_MS || 10 * 60 * 1000);
+const CONTEXT_MAX_CHARS = Number(process.env.TRANSLATION_CONTEXT_MAX_CHARS || 1500);
+
+/**
+ * @param {object} messagesRef /rooms/{roomId}/messages
+ * @param {string} messageId the new message
+ * @param {object} message its data (`timestamp`)
+ * @returns {Promise<object[]>} raw earlier messages, oldest first; [] when context is off or unreadable
+ */
+async function readConversationContext(messagesRef, messageId, message) {
+  if (CONTEXT_MESSAGES <= 0) return [];
+  let snap;
+  try {
+    snap = await messagesRef.orderByKey().endBefore(messageId).limitToLast(CONTEXT_MESSAGES).once('value');
+  } catch (e) {
+    console.error('Conversation context read failed:', e.message);
+    return [];
+  }
+  const now = Number(message.timestamp) || Date.now();
+  const earlier = Object.values(snap.val() || {})
+    .filter((m) => m && typeof m.originalText === 'string' && m.originalText.trim())
+    .filter((m) => !m.timestamp || now - Number(m.timestamp) <= CONTEXT_MAX_AGE_MS);
+
+  const kept = [];
+  let chars = 0;
+  for (const m of earlier.reverse()) {
+    chars += m.originalText.length;
+    if (chars > CONTEXT_MAX_CHARS) break;
+    kept.unshift(m);
+  }
+  return kept;
+}
+
+/**
+ * Context hints for one target language (see translators/base.js).
+ * @returns {{ speaker: string, text: string, translation?: string }[]}
+ */
+function contextFor(messages, targetLang) {
+  const lang = roomLanguage(targetLang);
+  return messages.map((m) => {
+    const item = { speaker: m.senderName || 'Speaker', text: m.originalText.trim() };
+    const translated = m.translatedTexts && m.translatedTexts[lang];
+    const info = m.translationInfo && m.translationInfo[lang];
+    const failed = info && info.status === 'failed';
+    const source = m.sourceLanguage || roomLanguage(m.senderLanguage);
+    if (typeof translated === 'string' && !failed && source !== lang) item.translation = translated;
+    return item;
+  });
+}
+
+module.exports = {
+  readConversationContext,
+  contextFor,
+};
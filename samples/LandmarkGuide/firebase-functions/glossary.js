@@ -0,0 +1,179 @@
+/**
+ * Per-room translation glossary: terms with a fixed rendering per language, applied by
+ * onMessageCreated and edited through the roomGlossary function.
+ *
+ *   /rooms/{roomId}/glossary/{key} = { term, translations: { en: "Gyeongbokgung Palace", ar: "..." },
+ *                                      caseSensitive?, updatedAt, updatedBy }
+ *   /rooms/{roomId}/glossaryEditors/{uid} = true   optional; when present only these users may edit,
+ *                                                  otherwise the room's members and creator (roomAccess.js)
+ *
+ * `key` is derived from the lowercased term, so setting a term again replaces its entry.
+ * A term matches anywhere in the source text (Latin-script terms only as whole words, since
+ * Korean/Arabic attach particles and clitics to nouns).
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { termRegExp } = require('./shared/translators/base');
+const { findLanguage, roomLanguage } = require('./shared/languages');
+const { readRoomAccess } = require('./roomAccess');
+
+const CACHE_MS = Number(process.env.TRANSLATION_GLOSSARY_CACHE_MS || 30000);
+const MAX_ENTRIES = Number(process.env.TRANSLATION_GLOSSARY_MAX_ENTRIES || 200);
+const MAX_TERM_CHARS = 100;
+const MAX_RENDERING_CHARS = 200;
+const ROOM_ID_RE = /^[^.#$[\]/]{1,128}$/;
+
+class GlossaryError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'GlossaryError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function glossaryKey(term) {
+  return crypto.createHash('sha1').update(term.toLowerCase()).digest('hex').slice(0, 16);
+}
+
+function cleanText(v) {
+  return typeof v === 'string' ? v.trim().replace(/\s+/g, ' ') : '';
+}
+
+function parseRoomId(v) {
+  if (typeof v !== 'string' || !ROOM_ID_RE.test(v)) throw new GlossaryError(400, 'invalid_glossary', 'Missing or invalid roomId');
+  return v;
+}
+
+/**
+ * Validate a `set` request's entry.
+ * @returns {{ term: string, translations: object, caseSensitive: boolean }}
+ * @throws {GlossaryError}
+ */
+function parseGlossaryEntry(body) {
+  const term = cleanText(body.term);
+  if (!term || term.length > MAX_TERM_CHARS) {
+    throw new GlossaryError(400, 'invalid_glossary', 'Invalid term', `1-${MAX_TERM_CHARS} characters`);
+  }
+  if (!body.translations || typeof body.translations !== 'object' || Array.isArray(body.translations)) {
+    throw new GlossaryError(400, 'invalid_glossary', 'translations must be an object', '{ "en": "Gyeongbokgung Palace" }');
+  }
+  const translations = {};
+  for (const [lang, value] of Object.entries(body.translations)) {
+    const code = roomLanguage(lang);
+    const rendering = cleanText(value);
+    if (!code) throw new GlossaryError(400, 'invalid_glossary', `Unsupported language: ${lang}`, 'See languages.js');
+    if (!rendering || rendering.length > MAX_RENDERING_CHARS) {
+      throw new GlossaryError(400, 'invalid_glossary', `Invalid translations.${lang}`, `1-${MAX_RENDERING_CHARS} characters`);
+    }
+    translations[code] = rendering;
+  }
+  if (Object.keys(translations).length === 0) {
+    throw new GlossaryError(400, 'invalid_glossary', 'translations is empty', '{ "en": "Gyeongbokgung Palace" }');
+  }
+  return { term, translations, caseSensitive: body.caseSensitive === true };
+}
+
+function glossaryRef(roomId) {
+  return admin.database().ref(`/rooms/${roomId}/glossary`);
+}
+
+const cache = new Map(); // roomId → { at, entries }
+
+/** The room's entries (cached for TRANSLATION_GLOSSARY_CACHE_MS per instance). */
+async function readGlossary(roomId) {
+  const hit = cache.get(roomId);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.entries;
+  const raw = (await glossaryRef(roomId).once('value')).val() || {};
+  const entries = Object.values(raw).filter((e) => e && typeof e.term === 'string' && e.translations);
+  if (cache.size >= 1000) cache.clear();
+  cache.set(roomId, { at: Date.now(), entries });
+  return entries;
+}
+
+/**
+ * Entries that occur in `text` and have a rendering for `targetLang` (a variant's own rendering,
+ * else its base language's: an `ar` rendering also applies to ar-EG).
+ * @returns {{ term: string, rendering: string, caseSensitive: boolean }[]} longest terms first
+ */
+function matchGlossary(entries, text, targetLang) {
+  const lang = findLanguage(targetLang);
+  if (!lang) return [];
+  const rendering = (e) => (typeof e.translations[lang.code] === 'string' ? e.translations[lang.code] : e.translations[lang.base]);
+  return entries
+    .filter((e) => typeof rendering(e) === 'string')
+    .filter((e) => termRegExp(e).test(text))
+    .map((e) => ({ term: e.term, rendering: rendering(e), caseSensitive: !!e.caseSensitive }))
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+/** The room's `glossaryEditors` if it has a list, else its members and creator. */
+async function assertGlossaryEditor(roomId, caller) {
+  const editors = (await admin.database().ref(`/rooms/${roomId}/glossaryEditors`).once('value')).val();
+  if (editors) {
+    if (!caller.uid || editors[caller.uid] !== true) {
+      throw new GlossaryError(403, 'not_glossary_editor', 'Only the room\'s glossary editors may change it');
+    }
+    return;
+  }
+  const access = await readRoomAccess(roomId, caller.uid);
+  if (!access.member && !access.creator) {
+    throw new GlossaryError(403, 'not_room_member', 'Only the room\'s members may change its glossary');
+  }
+}
+
+/**
+ * Run a roomGlossary request.
+ * @param {{ action: 'list'|'set'|'delete', roomId: string, term?: string, translations?: object, caseSensitive?: boolean }} body
+ * @param {{ uid: string|null, appId: string|null }} caller see auth.js
+ * @returns {Promise<object>} response body
+ * @throws {GlossaryError}
+ */
+async function handleGlossaryRequest(body, caller) {
+  const roomId = parseRoomId(body.roomId);
+  const room = await admin.database().ref(`/rooms/${roomId}`).orderByKey().limitToFirst(1).once('value');
+  if (!room.exists()) throw new GlossaryError(404, 'room_not_found', `Room ${roomId} not found`);
+
+  if (body.action === 'list') {
+    const raw = (await glossaryRef(roomId).once('value')).val() || {};
+    return { roomId, entries: Object.values(raw) };
+  }
+  if (body.action !== 'set' && body.action !== 'delete') {
+    throw new GlossaryError(400, 'invalid_glossary', 'action must be list, set or delete');
+  }
+  if (!caller.uid) throw new GlossaryError(401, 'unauthenticated', 'Editing the glossary needs a Firebase ID token');
+  await assertGlossaryEditor(roomId, caller);
+
+  if (body.action === 'delete') {
+    const term = cleanText(body.term);
+    if (!term) throw new GlossaryError(400, 'invalid_glossary', 'Missing term');
+    await glossaryRef(roomId).child(glossaryKey(term)).remove();
+    cache.delete(roomId);
+    return { roomId, deleted: term };
+  }
+
+  const entry = parseGlossaryEntry(body);
+  const key = glossaryKey(entry.term);
+  const { committed } = await glossaryRef(roomId).transaction((current) => {
+    const entries = current || {};
+    if (!entries[key] && Object.keys(entries).length >= MAX_ENTRIES) return undefined;
+    return {
+      ...entries,
+      [key]: { ...entry, updatedAt: Date.now(), updatedBy: caller.uid },
+    };
+  });
+  if (!committed) {
+    throw new GlossaryError(409, 'glossary_full', `The room already has ${MAX_ENTRIES} glossary entries`);
+  }
+  cache.delete(roomId);
+  return { roomId, entry };
+}
+
+module.exports = {
+  GlossaryError,
+  readGlossary,
+  matchGlossary,
+  handleGlossaryRequest,
+};
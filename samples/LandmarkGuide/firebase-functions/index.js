@@ -2,9 +2,16 @@
  * Firebase Cloud Functions for Majlis Real-time Translation
  * 
  * When a new message is added to /rooms/{roomId}/messages/{messageId}:
- * 1. Get all users in the room and their preferred languages
+ * 1. Get all users in the room and their preferred languages, and check the sender's language
+ *    against the text (languages.js, languageDetection.js)
  * 2. Translate the original text to each user's language in parallel
- * 3. Update the message with translatedTexts field
+ *    (OpenAI / Google Translation v3 / DeepL / local engine, routed per language pair; see translators/),
+ *    with the room's recent messages as context and its glossary enforced (conversationContext.js,
+ *    glossary.js), reusing earlier translations from the shared cache (translationCache.js)
+ * 3. Write each language as it is ready: translatedTexts and translationInfo
+ *    ({ lang: { status: 'pending' | 'done' | 'failed', provider, model, error } }); failed and
+ *    unsupported languages get no text. Runs are idempotent and transient errors retried (translationJob.js)
+ * 4. Synthesize each language's text once into Cloud Storage and add translatedAudio (tts.js)
  * 
  * This eliminates client-side translation delay - users receive
  * pre-translated text and only need to play TTS.
@@ -12,8 +19,32 @@
 
 const functions = require('firebase-functions/v1');
 const admin = require('firebase-admin');
-const OpenAI = require('openai');
-const { GoogleAuth } = require('google-auth-library');
+const {
+  AuthError, verifyHttpsCaller, verifySttCaller, verifySttWriter, applyCors,
+} = require('./auth');
+const { VocabularyError } = require('./vocabulary');
+const { translateCached, flushCacheStats, pruneCache } = require('./translationCache');
+const { readConversationContext, contextFor } = require('./conversationContext');
+const { LanguageError, roomLanguage } = require('./shared/languages');
+const { resolveSenderLanguage } = require('./languageDetection');
+const { synthesizeMessageAudio, willSynthesize, deleteMessageAudio } = require('./tts');
+const { backfillLanguage } = require('./backfill');
+const {
+  SttError, parseRecognitionOptions, recognize, runUploadJob, resumeBatchJobs, expireSttData, withExpiry, errorFields,
+} = require('./stt');
+const {
+  JOB_TIMEOUT_SECONDS, claimTranslationJob, finishTranslationJob, releaseTranslationJob, abandonTranslationJob,
+  shouldRetryEvent, withRetries,
+} = require('./translationJob');
+const {
+  GlossaryError, readGlossary, matchGlossary, handleGlossaryRequest,
+} = require('./glossary');
+const { TranscriptError, handleTranscriptRequest } = require('./transcript');
+const { runRoomLifecycle } = require('./roomLifecycle');
+const {
+  readModerationPolicy, redactPii, checkProfanity, moderationRecord, placeholderGlossary,
+  saveModerationOriginal, deleteModerationOriginal,
+} = require('./moderation');
 
 // Initialize Firebase Admin (Gen 1 functions use default credentials)
 // For Gen 1, admin.initializeApp() uses default credentials automatically
@@ -23,57 +54,11 @@ if (!admin.apps.length) {
   });
 }
 
-// Helper function to get OpenAI client (called at runtime)
-// Gen 1에서는 환경 변수를 process.env로 접근
-function getOpenAIClient() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY environment variable is not set. Please set it in Firebase Console → Functions → Configuration → Environment variables.');
-  }
-  return new OpenAI({
-    apiKey: apiKey
-  });
-}
+// Projects (besides our own) that sttRecognizeV2 callers may bill via `projectId`
+const ALLOWED_STT_PROJECT_IDS = (process.env.STT_ALLOWED_PROJECT_IDS || '').split(',').map((s) => s.trim()).filter(Boolean);
 
-// Language code mapping
-const LANGUAGE_CODES = {
-  'ko': 'Korean',
-  'en': 'English',
-  'ar': 'Saudi Arabic',
-  'es': 'Castilian Spanish'
-};
-
-/**
- * Translate text using OpenAI GPT-3.5-turbo (fastest model)
- */
-async function translateText(text, targetLang, sourceLang) {
-  try {
-    const openai = getOpenAIClient();
-    const targetLangName = LANGUAGE_CODES[targetLang] || 'English';
-    const sourceLangName = LANGUAGE_CODES[sourceLang] || 'Korean';
-    
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        {
-          role: 'system',
-          content: `You are a professional translator. Translate the user's message from ${sourceLangName} to ${targetLangName}. Return ONLY the translation, no explanations or additional text.`
-        },
-        {
-          role: 'user',
-          content: text
-        }
-      ],
-      max_tokens: 100,
-      temperature: 0.1
-    });
-    
-    return response.choices[0]?.message?.content?.trim() || text;
-  } catch (error) {
-    console.error(`Translation error (${sourceLang} → ${targetLang}):`, error.message);
-    return text; // Fallback to original text
-  }
-}
+// Characters RTDB keys can't contain; such `language` values can't key translatedTexts
+const INVALID_KEY_RE = /[.#$[\]/]/;
 
 /**
  * Cloud Function: Triggered when a new message is added
@@ -82,136 +67,408 @@ async function translateText(text, targetLang, sourceLang) {
  */
 exports.onMessageCreated = functions
   .runWith({
-    timeoutSeconds: 540,  // 9분 (최대값)
-    memory: '256MB'
+    timeoutSeconds: JOB_TIMEOUT_SECONDS,  // 9분 (최대값), also the job lease (translationJob.js)
+    memory: '256MB',
+    // Redeliver the event when a run throws; translationJob.js keeps runs from overlapping
+    failurePolicy: true,
   })
   .database
   .ref('/rooms/{roomId}/messages/{messageId}')
   .onCreate(async (snapshot, context) => {
     const messageData = snapshot.val();
+    const messageRef = snapshot.ref;
     const roomId = context.params.roomId;
     const messageId = context.params.messageId;
     
-    // Skip if already translated (prevents infinite loop)
+    // Skip messages the client already translated
     if (messageData.translatedTexts) {
       console.log(`Message ${messageId} already has translations, skipping`);
       return null;
     }
     
-    const originalText = messageData.originalText;
-    const senderLanguage = messageData.senderLanguage || 'en';
+    let originalText = messageData.originalText;
     
     if (!originalText || originalText.trim() === '') {
       console.log(`Message ${messageId} has no text, skipping`);
       return null;
     }
     
-    console.log(`🔄 Processing new message: "${originalText.substring(0, 30)}..." (${senderLanguage})`);
+    // Events arrive at least once: one run per message at a time (see translationJob.js)
+    const job = await claimTranslationJob(messageRef, context.eventId);
+    if (!job.claimed) {
+      console.log(`Message ${messageId} is ${job.job ? job.job.state : 'taken'} elsewhere, skipping`);
+      return null;
+    }
     
     try {
-      console.log(`📋 Getting users for room: ${roomId}`);
+      // The room's moderation policy, before the text goes anywhere (see moderation.js); a failed
+      // read throws, so the message is retried rather than translated unredacted
+      const moderationPolicy = await readModerationPolicy(roomId);
+      const redaction = moderationPolicy ? redactPii(originalText, moderationPolicy) : null;
+      if (redaction) originalText = redaction.text;
       
-      // Get all users in the room
-      // Use snapshot.ref.parent to get room reference
-      const roomRef = snapshot.ref.parent.parent;
-      const usersRef = roomRef.child('users');
+      console.log(`🔄 Processing new message: "${originalText.substring(0, 30)}..." (${messageData.senderLanguage || '-'}, attempt ${job.attempt})`);
       
-      console.log(`🔍 Reading from: ${usersRef.toString()}`);
+      // An earlier run may have finished some languages already
+      const previousInfo = job.attempt > 1
+        ? (await messageRef.child('translationInfo').once('value')).val() || {}
+        : {};
       
-      let users = {};
-      try {
-        const usersSnapshot = await usersRef.once('value');
-        users = usersSnapshot.val() || {};
-        console.log(`👥 Found ${Object.keys(users).length} users in room:`, Object.keys(users));
-      } catch (dbError) {
-        console.error(`❌ Database read error:`, dbError.message);
-        // Fallback: use sender's language only
-        console.log(`⚠️ Using fallback: only sender's language`);
-        await snapshot.ref.child('translatedTexts').set({
-          [senderLanguage]: originalText
-        });
-        return null;
-      }
-      
-      const userLanguages = new Set();
+      // Get all users in the room
+      const usersSnapshot = await messageRef.parent.parent.child('users').once('value');
+      const users = usersSnapshot.val() || {};
+      console.log(`👥 Found ${Object.keys(users).length} users in room:`, Object.keys(users));
       
-      // Collect unique languages (excluding sender's language)
+      // Room languages of the members (see languages.js), each with the raw `language` values
+      // users are keyed by ('ar', 'ar-SA' and 'ar_sa' all read the 'ar' translation)
+      const targets = new Map(); // room code → Set of translatedTexts keys
+      const unsupported = new Set();
       Object.values(users).forEach(user => {
-        if (user.language && user.language !== senderLanguage) {
-          userLanguages.add(user.language);
+        if (!user.language || typeof user.language !== 'string' || INVALID_KEY_RE.test(user.language)) return;
+        const code = roomLanguage(user.language);
+        if (!code) {
+          unsupported.add(user.language);
+          return;
         }
+        if (!targets.has(code)) targets.set(code, new Set([code]));
+        targets.get(code).add(user.language);
       });
       
+      // senderLanguage may be missing or wrong; check it against the text (see languageDetection.js)
+      let source = null;
+      try {
+        source = await resolveSenderLanguage(originalText, messageData.senderLanguage, Array.from(targets.keys()));
+      } catch (e) {
+        if (!(e instanceof LanguageError)) throw e;
+        console.warn(`⚠️ ${e.message}`);
+      }
+      const sourceLang = source ? source.code : null;
+      
+      // Profanity lists are per language, so after detection
+      let moderation = null;
+      if (moderationPolicy) {
+        const profanity = checkProfanity(originalText, sourceLang, moderationPolicy);
+        originalText = profanity.text;
+        moderation = moderationRecord(redaction, profanity);
+        if (moderation.status !== 'clean') console.log(`🛡️ Moderation ${messageId}:`, JSON.stringify(moderation));
+      }
+      
       // Also include sender's language (for same-language users)
-      userLanguages.add(senderLanguage);
+      if (sourceLang && !targets.has(sourceLang)) targets.set(sourceLang, new Set([sourceLang]));
       
-      console.log(`📋 Translating to ${userLanguages.size} languages:`, Array.from(userLanguages));
+      // Languages an earlier run finished keep their result
+      const todo = Array.from(targets.keys()).filter((lang) => !Array.from(targets.get(lang))
+        .every((key) => previousInfo[key] && previousInfo[key].status === 'done'));
       
-      if (userLanguages.size === 0) {
-        console.log(`⚠️ No languages to translate to, using original text only`);
-        await snapshot.ref.child('translatedTexts').set({
-          [senderLanguage]: originalText
-        });
-        return null;
+      console.log(`📋 Translating from ${sourceLang || '?'} (${source ? source.method : 'unknown'}) to ${todo.length} languages:`, todo);
+      if (unsupported.size > 0) console.warn(`⚠️ Unsupported user languages:`, Array.from(unsupported));
+      
+      // Status first, so the app can show which languages are on their way
+      const pending = {};
+      todo.forEach((lang) => targets.get(lang).forEach((key) => {
+        pending[`translationInfo/${key}`] = { status: 'pending' };
+      }));
+      // No text for unsupported languages, only the reason
+      unsupported.forEach((key) => {
+        pending[`translationInfo/${key}`] = { status: 'failed', error: 'unsupported_language' };
+      });
+      if (sourceLang) pending.sourceLanguage = sourceLang;
+      if (moderation) pending.moderation = moderation;
+      if (originalText !== messageData.originalText) {
+        // Keep the unredacted text where only the Admin SDK reads it, before it is overwritten
+        await saveModerationOriginal(roomId, messageId, messageData);
+        pending.originalText = originalText;
       }
+      if (source && source.method !== 'declared') {
+        pending.languageDetection = { method: source.method };
+        if (messageData.senderLanguage) pending.languageDetection.declared = String(messageData.senderLanguage);
+      }
+      if (Object.keys(pending).length > 0) await messageRef.update(pending);
       
-      // Translate to all languages in parallel with timeout
-      const translationPromises = Array.from(userLanguages).map(async (targetLang) => {
-        if (targetLang === senderLanguage) {
+      // Earlier messages and the room glossary, shared by every target language
+      const [contextMessages, glossaryEntries] = await Promise.all([
+        readConversationContext(messageRef.parent, messageId, messageData),
+        readGlossary(roomId).catch((e) => {
+          console.error(`❌ Glossary read failed:`, e.message);
+          return [];
+        }),
+      ]);
+      
+      // Translate one language; transient provider errors are retried with backoff
+      const translateTo = async (targetLang) => {
+        if (!sourceLang) {
+          return { lang: targetLang, info: { status: 'failed', error: 'unsupported_source_language' } };
+        }
+        if (targetLang === sourceLang) {
           // Same language - no translation needed
-          return { lang: targetLang, text: originalText };
+          return { lang: targetLang, text: originalText, info: { status: 'done', original: true } };
         }
         
         try {
-          const translatedText = await Promise.race([
-            translateText(originalText, targetLang, senderLanguage),
-            new Promise((_, reject) => 
-              setTimeout(() => reject(new Error('Translation timeout')), 15000)
-            )
-          ]);
-          return { lang: targetLang, text: translatedText };
+          const { result, attempts } = await withRetries(() => translateCached(originalText, sourceLang, targetLang, {
+            context: contextFor(contextMessages, targetLang),
+            glossary: matchGlossary(glossaryEntries, originalText, targetLang).concat(placeholderGlossary(originalText)),
+          }), `${messageId} → ${targetLang}`);
+          const info = { status: 'done', provider: result.provider, ms: result.ms };
+          if (result.model) info.model = result.model;
+          if (result.cached) info.cached = true;
+          if (result.glossaryMissing) info.glossaryMissing = result.glossaryMissing;
+          if (result.failed.length > 0) info.fallbackFrom = result.failed.map((f) => f.provider);
+          if (attempts > 1) info.attempts = attempts;
+          return { lang: targetLang, text: result.text, info };
         } catch (error) {
-          console.error(`❌ Translation failed for ${targetLang}:`, error.message);
-          // Fallback to original text
-          return { lang: targetLang, text: originalText };
+          console.error(`❌ Translation failed for ${targetLang}:`, error.code || '-', error.message);
+          // No text: the app shows the original itself and knows it isn't a translation
+          const info = { status: 'failed', error: error.code || 'translation_failed', attempts: error.attempts || 1 };
+          if (error.transient) info.transient = true;
+          return { lang: targetLang, info };
         }
-      });
-      
-      const translations = await Promise.all(translationPromises);
-      
-      // Build translatedTexts object
-      const translatedTexts = {};
-      translations.forEach(({ lang, text }) => {
-        translatedTexts[lang] = text;
-      });
+      };
       
-      console.log(`✅ Translations ready:`, Object.keys(translatedTexts));
+      // All languages in parallel, each written under every key users of that language read as soon as it is ready
+      const translations = await Promise.all(todo.map(async (targetLang) => {
+        const outcome = await translateTo(targetLang);
+        const update = {};
+        const audioPending = outcome.text !== undefined && willSynthesize(targetLang);
+        targets.get(targetLang).forEach((key) => {
+          if (outcome.text !== undefined) update[`translatedTexts/${key}`] = outcome.text;
+          update[`translationInfo/${key}`] = outcome.info;
+          // The app waits for the stored file instead of speaking the text itself
+          if (audioPending) update[`translatedAudio/${key}`] = { pending: true };
+        });
+        await messageRef.update(update);
+        return outcome;
+      }));
       
-      // Update message with translations with timeout
-      await Promise.race([
-        snapshot.ref.child('translatedTexts').set(translatedTexts),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Database write timeout')), 10000)
-        )
-      ]);
+      await finishTranslationJob(messageRef);
+      console.log(`✅ Translations complete for message ${messageId}:`, JSON.stringify(translations.map(({ lang, info }) => [lang, info.status])));
       
-      console.log(`✅ Translations complete for message ${messageId}:`, Object.keys(translatedTexts));
+      // Speech once per language for every listener, after the text is out (see tts.js)
+      await synthesizeMessageAudio(messageRef, roomId, messageId, translations
+        .filter(({ info }) => info.status === 'done')
+        .map(({ lang, text }) => ({ lang, text, keys: Array.from(targets.get(lang)) })));
       
       return null;
     } catch (error) {
       console.error(`❌ Error processing message ${messageId}:`, error.message);
       console.error(`❌ Error stack:`, error.stack);
       
-      // Try to update with at least original text to prevent retry loop
-      try {
-        await snapshot.ref.child('translatedTexts').set({
-          [senderLanguage]: originalText
-        });
-      } catch (updateError) {
-        console.error(`❌ Failed to update message:`, updateError.message);
+      // Database hiccups and the like: hand the job to the next delivery of the event
+      if (shouldRetryEvent(context)) {
+        await releaseTranslationJob(messageRef, error);
+        throw error;
       }
-      
+      await abandonTranslationJob(messageRef, error);
       return null;
+    } finally {
+      await flushCacheStats();
+    }
+  });
+
+/**
+ * Cloud Function: translations of recent history for a user's new language (see backfill.js)
+ * Fires when /rooms/{roomId}/users/{userId}/language is set (join) or changed (updateLanguage),
+ * not on other user fields such as lastSeen.
+ */
+exports.onRoomUserLanguageWritten = functions
+  .runWith({
+    timeoutSeconds: 300,
+    memory: '256MB'
+  })
+  .database
+  .ref('/rooms/{roomId}/users/{userId}/language')
+  .onWrite(async (change, context) => {
+    const roomId = context.params.roomId;
+    const before = change.before.val();
+    const language = change.after.val();
+    if (typeof language !== 'string' || !language || language === before || INVALID_KEY_RE.test(language)) return null;
+    
+    try {
+      const roomRef = change.after.ref.parent.parent.parent;
+      const result = await backfillLanguage(roomRef, roomId, language);
+      console.log(`📚 Backfill ${roomId} → ${language} (user ${context.params.userId}):`, JSON.stringify(result));
+    } catch (error) {
+      console.error(`❌ Backfill ${roomId} → ${language} failed:`, error.message);
+    } finally {
+      await flushCacheStats();
+    }
+    return null;
+  });
+
+/**
+ * Cloud Function: delete a message's TTS audio from Storage (see tts.js) and its unredacted text
+ * (see moderation.js) when the message is deleted. Also fires for each message of a deleted room.
+ */
+exports.onMessageDeleted = functions
+  .runWith({
+    timeoutSeconds: 60,
+    memory: '256MB'
+  })
+  .database
+  .ref('/rooms/{roomId}/messages/{messageId}')
+  .onDelete(async (snapshot, context) => {
+    const { roomId, messageId } = context.params;
+    try {
+      await deleteMessageAudio(roomId, messageId, snapshot.val());
+    } catch (error) {
+      console.error(`❌ Failed to delete TTS audio of ${roomId}/${messageId}:`, error.message);
+    }
+    try {
+      await deleteModerationOriginal(roomId, messageId, snapshot.val());
+    } catch (error) {
+      console.error(`❌ Failed to delete moderation original of ${roomId}/${messageId}:`, error.message);
+    }
+    return null;
+  });
+
+/**
+ * Cloud Function: daily translation cache cleanup (see translationCache.js)
+ * Deletes expired entries, then the oldest ones above TRANSLATION_CACHE_MAX_ENTRIES.
+ */
+exports.pruneTranslationCache = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '256MB'
+  })
+  .pubsub
+  .schedule('every 24 hours')
+  .onRun(async () => {
+    const result = await pruneCache();
+    console.log('Translation cache pruned:', JSON.stringify(result));
+    return null;
+  });
+
+/**
+ * Cloud Function: room lifecycle and retention (see roomLifecycle.js)
+ * Marks inactive users offline and removes them later, archives or deletes idle rooms and trims
+ * message history, per room policy; each run leaves an audit record in /retentionAudit.
+ */
+exports.roomLifecycle = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .pubsub
+  .schedule('every 15 minutes')
+  .onRun(async () => {
+    const audit = await runRoomLifecycle();
+    console.log('Room lifecycle:', JSON.stringify({
+      roomsScanned: audit.roomsScanned,
+      totals: audit.totals,
+      errors: Object.keys(audit.errors).length,
+      incomplete: !!audit.incomplete,
+    }));
+    return null;
+  });
+
+/**
+ * Cloud Function: room glossary management (see glossary.js)
+ *
+ * POST { action: "list", roomId }
+ * POST { action: "set", roomId, term, translations: { en: "...", ar: "..." }, caseSensitive? }
+ * POST { action: "delete", roomId, term }
+ *
+ * Callers need a Firebase ID token or App Check token like sttRecognizeV2; `set`/`delete` need an
+ * ID token, and only the room's `glossaryEditors` when it lists any.
+ */
+exports.roomGlossary = functions
+  .runWith({
+    timeoutSeconds: 30,
+    memory: '256MB',
+  })
+  .https
+  .onRequest(async (req, res) => {
+    applyCors(req, res);
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.status(405).json({ error: 'Method not allowed. Use POST.' });
+      return;
+    }
+
+    let caller;
+    try {
+      caller = await verifyHttpsCaller(req);
+    } catch (e) {
+      const status = e instanceof AuthError ? e.status : 500;
+      console.warn('roomGlossary rejected:', status, e.message);
+      res.status(status).json({ error: e instanceof AuthError ? e.code : 'internal_error', message: e.message });
+      return;
+    }
+
+    try {
+      const result = await handleGlossaryRequest(req.body || {}, caller);
+      console.log(`roomGlossary ${req.body.action} ok (uid=${caller.uid || '-'}, room=${result.roomId})`);
+      res.status(200).json(result);
+    } catch (e) {
+      if (e instanceof GlossaryError) {
+        res.status(e.status).json({ error: e.code, message: e.message, details: e.details });
+        return;
+      }
+      console.error('roomGlossary failed:', e && e.stack ? e.stack : e);
+      res.status(500).json({ error: 'internal_error', message: String(e && e.message ? e.message : e) });
+    }
+  });
+
+/**
+ * Cloud Function: room transcript export and summary (see transcript.js)
+ *
+ * POST { action: "export", roomId, format: "json" | "markdown" | "srt" | "vtt", language?, timeZone?, since?, until? }
+ *   → the file (Content-Disposition: attachment)
+ * POST { action: "summarize", roomId, languages?, since?, until? }
+ *   → { roomId, summary }, also stored at /rooms/{roomId}/summary
+ *
+ * Callers need a Firebase ID token of a room member or the room creator (see transcript.js).
+ */
+exports.roomTranscript = functions
+  .runWith({
+    timeoutSeconds: 300,
+    memory: '512MB',
+  })
+  .https
+  .onRequest(async (req, res) => {
+    applyCors(req, res);
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.status(405).json({ error: 'Method not allowed. Use POST.' });
+      return;
+    }
+
+    let caller;
+    try {
+      caller = await verifyHttpsCaller(req);
+    } catch (e) {
+      const status = e instanceof AuthError ? e.status : 500;
+      console.warn('roomTranscript rejected:', status, e.message);
+      res.status(status).json({ error: e instanceof AuthError ? e.code : 'internal_error', message: e.message });
+      return;
+    }
+
+    const body = req.body || {};
+    try {
+      const result = await handleTranscriptRequest(body, caller);
+      console.log(`roomTranscript ${body.action} ok (uid=${caller.uid || '-'}, room=${body.roomId})`);
+      if (result.file) {
+        res.set('Content-Type', result.file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${encodeURIComponent(result.file.filename)}"`);
+        res.status(200).send(result.file.content);
+        return;
+      }
+      res.status(200).json({ roomId: body.roomId, summary: result.summary });
+    } catch (e) {
+      if (e instanceof TranscriptError) {
+        res.status(e.status).json({ error: e.code, message: e.message, details: e.details });
+        return;
+      }
+      console.error('roomTranscript failed:', e && e.stack ? e.stack : e);
+      res.status(500).json({ error: 'internal_error', message: String(e && e.message ? e.message : e) });
     }
   });
 
@@ -222,6 +479,16 @@ exports.onMessageCreated = functions
  * will fail with `speech.recognizers.recognize` permission denied. This function runs with
  * the Cloud Functions service account (ADC) and calls STT v2 on behalf of the client.
  *
+ * Callers must send a Firebase ID token or App Check token (401/403 otherwise). `projectId` may only
+ * name this project or one listed in STT_ALLOWED_PROJECT_IDS.
+ *
+ * Optional `phraseHints` ([string | { value, boost }]) and `vocabulary` ({ place, room }) are merged
+ * with the /sttVocabulary registry into the request's adaptation (see vocabulary.js).
+ *
+ * `languageCodes` may be room codes or STT tags ('ko', 'ar-EG', 'ko-KR'; 'auto' passes through);
+ * languages missing from languages.js get 400 unsupported_language. The response's `roomLanguage`
+ * is the detected `languageCode` as a room code (null if unsupported).
+ *
  * Docs:
  * - Chirp 3 API methods (v2 only): https://docs.cloud.google.com/speech-to-text/docs/models/chirp-3#api_methods
  * - V1 → V2 migration (recognizer + auto_decoding_config): https://docs.cloud.google.com/speech-to-text/docs/migration
@@ -233,10 +500,8 @@ exports.sttRecognizeV2 = functions
   })
   .https
   .onRequest(async (req, res) => {
-    // CORS (simple, allow local testing)
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    // CORS only for allow-listed web origins (STT_ALLOWED_ORIGINS)
+    applyCors(req, res);
     if (req.method === 'OPTIONS') {
       res.status(204).send('');
       return;
@@ -247,107 +512,67 @@ exports.sttRecognizeV2 = functions
       return;
     }
 
+    // Firebase ID token or App Check token required, or only logged during the rollout (see auth.js)
+    let caller;
+    try {
+      caller = await verifySttCaller(req);
+    } catch (e) {
+      const status = e instanceof AuthError ? e.status : 500;
+      console.warn('sttRecognizeV2 rejected:', status, e.message);
+      res.status(status).json({ error: e instanceof AuthError ? e.code : 'internal_error', message: e.message });
+      return;
+    }
+
     try {
-      const {
-        audioContentBase64,
-        languageCodes,
-        model,
-        location,
-        projectId,
-        sampleRateHertz,
-      } = req.body || {};
+      const { audioContentBase64, projectId } = req.body || {};
 
       if (!audioContentBase64 || typeof audioContentBase64 !== 'string') {
         res.status(400).json({ error: 'Missing audioContentBase64 (base64 encoded LINEAR16).' });
         return;
       }
 
-      const project = (projectId && String(projectId)) || process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+      // The recognize call is billed to `project`; callers may only pick an allow-listed one.
+      const ownProject = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+      if (projectId && String(projectId) !== ownProject && !ALLOWED_STT_PROJECT_IDS.includes(String(projectId))) {
+        res.status(403).json({ error: 'project_not_allowed', message: `projectId ${projectId} is not allowed.` });
+        return;
+      }
+      const project = (projectId && String(projectId)) || ownProject;
       if (!project) {
         res.status(500).json({ error: 'Server misconfigured: missing project id (GCLOUD_PROJECT).' });
         return;
       }
 
-      // Chirp 3 is available in specific regions; asia-northeast1 is GA and good for KR latency.
-      const loc = (location && String(location)) || 'asia-northeast1';
-      const endpoint = `https://${loc}-speech.googleapis.com/v2/projects/${project}/locations/${loc}/recognizers/_:recognize`;
-
-      const langs = Array.isArray(languageCodes) && languageCodes.length > 0
-        ? languageCodes.map(String)
-        : ['ko-KR'];
-
-      const sttModel = (model && String(model)) || 'chirp_3';
-      const srHz = Number.isFinite(Number(sampleRateHertz)) ? Number(sampleRateHertz) : 8000;
-
-      const body = {
-        recognizer: `projects/${project}/locations/${loc}/recognizers/_`,
-        config: {
-          // IMPORTANT: We send raw PCM16 bytes (no container headers), so autoDecodingConfig can't infer.
-          // Use explicitDecodingConfig for LINEAR16.
-          explicitDecodingConfig: {
-            encoding: 'LINEAR16',
-            sampleRateHertz: srHz,
-            audioChannelCount: 1,
-          },
-          languageCodes: langs,
-          model: sttModel,
-          features: {
-            enableAutomaticPunctuation: true,
-            profanityFilter: false,
-          },
-        },
-        content: audioContentBase64,
-      };
-
-      // ADC token (Cloud Functions service account)
-      const auth = new GoogleAuth({
-        scopes: ['https://www.googleapis.com/auth/cloud-platform'],
-      });
-      const client = await auth.getClient();
-      const tokenResponse = await client.getAccessToken();
-      const accessToken = tokenResponse && tokenResponse.token ? tokenResponse.token : tokenResponse;
-
-      if (!accessToken) {
-        res.status(500).json({ error: 'Failed to obtain access token (ADC).' });
-        return;
+      // Room codes ('ko', 'ar-EG') or STT tags, mapped to STT tags (see languages.js), and phrase hints
+      let options;
+      try {
+        options = parseRecognitionOptions(req.body || {});
+      } catch (e) {
+        if (e instanceof LanguageError) {
+          res.status(400).json({ error: e.code, message: e.message, details: e.details });
+          return;
+        }
+        if (e instanceof VocabularyError) {
+          res.status(400).json({ error: 'invalid_vocabulary', message: e.message, details: e.details });
+          return;
+        }
+        throw e;
       }
 
-      const apiResp = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${accessToken}`,
-        },
-        body: JSON.stringify(body),
-      });
-
-      const text = await apiResp.text();
-      if (!apiResp.ok) {
-        console.error('STT v2 error:', apiResp.status, text);
-        res.status(apiResp.status).json({ error: 'stt_v2_error', status: apiResp.status, details: text });
+      let result;
+      try {
+        result = await recognize(project, options, { content: audioContentBase64 }, true);
+      } catch (e) {
+        if (!(e instanceof SttError)) throw e;
+        res.status(e.status || 500).json({ error: e.code, status: e.status, details: e.message });
         return;
       }
 
-      const json = JSON.parse(text || '{}');
-      const results = Array.isArray(json.results) ? json.results : [];
-
-      let transcript = '';
-      let detectedLanguageCode = null;
-      if (results.length > 0) {
-        for (const r of results) {
-          if (!detectedLanguageCode && r.languageCode) detectedLanguageCode = r.languageCode;
-          if (r.alternatives && r.alternatives.length > 0 && r.alternatives[0].transcript) {
-            transcript += r.alternatives[0].transcript;
-          }
-        }
-        transcript = transcript.trim();
-      }
-
+      console.log(`sttRecognizeV2 ok (uid=${caller.uid || '-'}, appId=${caller.appId || '-'}, project=${project})`);
       res.status(200).json({
-        transcript,
-        languageCode: detectedLanguageCode,
-        model: sttModel,
-        location: loc,
+        ...result,
+        model: options.model,
+        location: options.location,
       });
     } catch (e) {
       console.error('sttRecognizeV2 failed:', e && e.stack ? e.stack : e);
@@ -361,14 +586,20 @@ exports.sttRecognizeV2 = functions
  * Why: Some org policies forbid public HTTPS invocation (allUsers). A DB trigger avoids needing
  * Cloud Functions Invoker changes and still uses the function's service account IAM to call STT v2.
  *
- * Client writes:
- *   /sttRequests/{requestId} = { audioContentBase64, languageCodes[], model, location, createdAt }
+ * Client writes (must be signed in; `context.auth` is checked), either a short clip inline:
+ *   /sttRequests/{requestId} = { audioContentBase64, languageCodes[], model, location, createdAt,
+ *                                phraseHints?, vocabulary? }   (as in sttRecognizeV2)
+ * or, for audio of any length, after uploading it to Storage under stt-uploads/{uid}/:
+ *   /sttRequests/{requestId} = { storagePath, durationMs?, sampleRateHertz?, languageCodes[], ... }
  * Function writes:
- *   /sttResponses/{requestId} = { transcript, languageCode, model, location, error?, details? }
+ *   /sttResponses/{requestId} = { state, transcript, languageCode, roomLanguage, model, location,
+ *                                 expiresAt, error?, details? }
+ * Upload requests go through sync or batch recognition by duration and report progress in the
+ * response as they run (see stt.js).
  */
 exports.onSttRequestCreated = functions
   .runWith({
-    timeoutSeconds: 60,
+    timeoutSeconds: 540,
     memory: '512MB',
   })
   .database
@@ -377,106 +608,81 @@ exports.onSttRequestCreated = functions
     const requestId = context.params.requestId;
     const data = snapshot.val() || {};
 
-    const audioContentBase64 = data.audioContentBase64;
-    const languageCodes = Array.isArray(data.languageCodes) ? data.languageCodes : null;
-    const model = typeof data.model === 'string' ? data.model : 'chirp_3';
-    const location = typeof data.location === 'string' ? data.location : 'asia-northeast1';
-    const sampleRateHertz = Number.isFinite(Number(data.sampleRateHertz)) ? Number(data.sampleRateHertz) : 8000;
-
     const respRef = admin.database().ref(`/sttResponses/${requestId}`);
 
-    if (!audioContentBase64 || typeof audioContentBase64 !== 'string') {
-      await respRef.set({ error: 'bad_request', details: 'Missing audioContentBase64' });
+    let writer;
+    try {
+      writer = verifySttWriter(context);
+    } catch (e) {
+      console.warn(`onSttRequestCreated rejected ${requestId}:`, e.message);
+      await respRef.set(withExpiry({ state: 'failed', error: e.code, status: e.status, details: e.message }));
+      await snapshot.ref.remove();
+      return null;
+    }
+
+    const upload = typeof data.storagePath === 'string' && data.storagePath !== '';
+    const audioContentBase64 = data.audioContentBase64;
+    if (!upload && (!audioContentBase64 || typeof audioContentBase64 !== 'string')) {
+      await respRef.set(withExpiry({ state: 'failed', error: 'bad_request', details: 'Missing audioContentBase64 or storagePath' }));
       return null;
     }
 
     const project = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
     if (!project) {
-      await respRef.set({ error: 'server_misconfigured', details: 'Missing GCLOUD_PROJECT' });
+      await respRef.set(withExpiry({ state: 'failed', error: 'server_misconfigured', details: 'Missing GCLOUD_PROJECT' }));
       return null;
     }
 
-    const langs = (languageCodes && languageCodes.length > 0)
-      ? languageCodes.map(String)
-      : ['ko-KR'];
-
-    const endpoint = `https://${location}-speech.googleapis.com/v2/projects/${project}/locations/${location}/recognizers/_:recognize`;
-    const body = {
-      recognizer: `projects/${project}/locations/${location}/recognizers/_`,
-      config: {
-        // Raw PCM16 bytes (no headers) → must use explicitDecodingConfig.
-        explicitDecodingConfig: {
-          encoding: 'LINEAR16',
-          sampleRateHertz,
-          audioChannelCount: 1,
-        },
-        languageCodes: langs,
-        model,
-        features: {
-          enableAutomaticPunctuation: true,
-          profanityFilter: false,
-        },
-      },
-      content: audioContentBase64,
-    };
-
+    let options;
     try {
-      const auth = new GoogleAuth({
-        scopes: ['https://www.googleapis.com/auth/cloud-platform'],
-      });
-      const client = await auth.getClient();
-      const tokenResponse = await client.getAccessToken();
-      const accessToken = tokenResponse && tokenResponse.token ? tokenResponse.token : tokenResponse;
-
-      if (!accessToken) {
-        await respRef.set({ error: 'auth_error', details: 'Failed to obtain access token (ADC)' });
-        return null;
-      }
-
-      const apiResp = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${accessToken}`,
-        },
-        body: JSON.stringify(body),
-      });
+      options = parseRecognitionOptions(data);
+    } catch (e) {
+      if (!(e instanceof LanguageError) && !(e instanceof VocabularyError)) throw e;
+      const error = e instanceof LanguageError ? e.code : 'bad_request';
+      await respRef.set(withExpiry({ state: 'failed', error, details: `${e.message}${e.details ? ` (${e.details})` : ''}` }));
+      return null;
+    }
+    const { model, location } = options;
 
-      const text = await apiResp.text();
-      if (!apiResp.ok) {
-        console.error('STT v2 error:', apiResp.status, text);
-        await respRef.set({ error: 'stt_v2_error', status: apiResp.status, details: text, model, location });
+    if (upload) {
+      // Uploads live under stt-uploads/{uid}/, so they always need a signed-in writer
+      if (!writer.admin && !writer.uid) {
+        await respRef.set(withExpiry({ state: 'failed', error: 'unauthenticated', status: 401, details: 'Upload requests must be written by a signed-in user.' }));
+        await snapshot.ref.remove();
         return null;
       }
+      await runUploadJob(respRef, data, writer.uid, project, options);
+      return null;
+    }
 
-      const json = JSON.parse(text || '{}');
-      const results = Array.isArray(json.results) ? json.results : [];
-
-      let transcript = '';
-      let detectedLanguageCode = null;
-      if (results.length > 0) {
-        for (const r of results) {
-          if (!detectedLanguageCode && r.languageCode) detectedLanguageCode = r.languageCode;
-          if (r.alternatives && r.alternatives.length > 0 && r.alternatives[0].transcript) {
-            transcript += r.alternatives[0].transcript;
-          }
-        }
-        transcript = transcript.trim();
-      }
-
-      await respRef.set({
-        transcript,
-        languageCode: detectedLanguageCode,
-        model,
-        location,
-      });
+    try {
+      const result = await recognize(project, options, { content: audioContentBase64 }, true);
+      await respRef.set(withExpiry({ state: 'done', ...result, model, location }));
 
       // Optional cleanup: keep requests small
       await snapshot.ref.remove();
       return null;
     } catch (e) {
-      console.error('onSttRequestCreated failed:', e && e.stack ? e.stack : e);
-      await respRef.set({ error: 'internal_error', details: String(e && e.message ? e.message : e), model, location });
+      if (!(e instanceof SttError)) console.error('onSttRequestCreated failed:', e && e.stack ? e.stack : e);
+      await respRef.set(withExpiry({ state: 'failed', ...errorFields(e), model, location }));
       return null;
     }
   });
+
+/**
+ * Cloud Function: finishes long STT batch jobs and expires STT data (see stt.js)
+ * Uploaded audio after STT_AUDIO_TTL_MS, /sttResponses and /sttRequests after STT_RESULT_TTL_MS.
+ */
+exports.sttMaintenance = functions
+  .runWith({
+    timeoutSeconds: 300,
+    memory: '256MB'
+  })
+  .pubsub
+  .schedule('every 5 minutes')
+  .onRun(async () => {
+    const jobs = await resumeBatchJobs();
+    const expired = await expireSttData();
+    console.log('STT maintenance:', JSON.stringify({ jobs, expired }));
+    return null;
+  });
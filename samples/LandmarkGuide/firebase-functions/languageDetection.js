@@ -0,0 +1,85 @@
+/**
+ * Sender language for onMessageCreated. `senderLanguage` can be missing (old clients), unsupported
+ * or wrong (a Korean-UI user typing English), so it is checked against the text:
+ *
+ * 1. The declared language stands if the text's writing system fits it (no API call).
+ * 2. Otherwise the writing system decides if only one supported language uses it (Hangul → ko),
+ *    or only one of the room's languages does (Latin text in a ko/en room → en).
+ * 3. Otherwise Google Translation v3 detection (off with TRANSLATION_LANGUAGE_DETECTION=script),
+ *    if it names a supported language with at least TRANSLATION_DETECTION_MIN_CONFIDENCE.
+ * 4. Otherwise the declared language; without one, LanguageError('unsupported_language').
+ *
+ * A detected base language takes the declared or a room member's variant: Arabic text in a room
+ * with ar-EG members is Egyptian Arabic.
+ */
+
+const { GoogleTranslator } = require('./shared/translators/google');
+const {
+  LanguageError, findLanguage, scriptOf, languagesForScript,
+} = require('./shared/languages');
+
+const DETECTION = process.env.TRANSLATION_LANGUAGE_DETECTION || 'google';
+const DETECTION_TIMEOUT_MS = Number(process.env.TRANSLATION_DETECTION_TIMEOUT_MS || 3000);
+const MIN_CONFIDENCE = Number(process.env.TRANSLATION_DETECTION_MIN_CONFIDENCE || 0.5);
+
+const detector = new GoogleTranslator({ provider: 'google' });
+
+/** Room code for base language `base`: the declared or a room member's variant, else the base itself. */
+function variantFor(base, declared, roomLanguages) {
+  if (declared && declared.base === base) return declared.code;
+  return roomLanguages.find((code) => findLanguage(code).base === base) || base;
+}
+
+/** Supported language Google is confident about, or null (detection errors are logged, not thrown). */
+async function detectWithGoogle(text) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DETECTION_TIMEOUT_MS);
+  try {
+    const result = await detector.detect(text, controller.signal);
+    if (!result || result.confidence < MIN_CONFIDENCE) return null;
+    return findLanguage(result.languageCode);
+  } catch (e) {
+    console.error('Language detection failed:', e.code || '-', e.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {string} [declaredTag] the message's senderLanguage
+ * @param {string[]} roomLanguages room codes of the room's members
+ * @returns {Promise<{ code: string, method: 'declared'|'script'|'detected' }>}
+ * @throws {LanguageError} when no supported language fits
+ */
+async function resolveSenderLanguage(text, declaredTag, roomLanguages) {
+  const declared = declaredTag ? findLanguage(declaredTag) : null;
+  const script = scriptOf(text);
+  if (declared && (!script || declared.scripts.includes(script))) return { code: declared.code, method: 'declared' };
+
+  if (script) {
+    const bases = languagesForScript(script);
+    const inRoom = bases.filter((b) => roomLanguages.some((code) => findLanguage(code).base === b));
+    let only = null;
+    if (bases.length === 1) [only] = bases;
+    else if (inRoom.length === 1) [only] = inRoom;
+    if (only) return { code: variantFor(only, declared, roomLanguages), method: 'script' };
+  }
+
+  if (DETECTION !== 'script') {
+    const detected = await detectWithGoogle(text);
+    if (detected) {
+      const code = detected.code !== detected.base ? detected.code : variantFor(detected.base, declared, roomLanguages);
+      return { code, method: 'detected' };
+    }
+  }
+
+  if (declared) return { code: declared.code, method: 'declared' };
+  throw new LanguageError(
+    'unsupported_language',
+    declaredTag ? `Unsupported sender language: ${String(declaredTag).slice(0, 35)}` : 'Could not determine the sender language',
+  );
+}
+
+module.exports = { resolveSenderLanguage };
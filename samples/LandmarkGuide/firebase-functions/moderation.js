@@ -0,0 +1,293 @@
+/**
+ * Optional moderation of messages before onMessageCreated translates them: personal data is masked
+ * and profanity flagged or masked, so translations (and everything else that reads originalText:
+ * backfill, context, transcripts) are built from the redacted text.
+ *
+ *   /rooms/{roomId}/moderationPolicy = {
+ *     pii: true | false | ['phone', 'email', 'card', 'address', 'room'],
+ *     profanity: 'off' | 'flag' | 'mask' | { ko: 'mask', en: 'flag', default: 'off' },
+ *     words: { ko: ['...'], en: ['...'] }   extra profanity per language
+ *   }
+ *
+ * Rooms without a policy use MODERATION_PII ('all', a comma list of categories, or empty for off)
+ * and MODERATION_PROFANITY. Masked spans become placeholders ("[phone]", "[email]") that
+ * translators are told to keep; profanity becomes asterisks. When anything is masked the message's
+ * originalText is replaced (the unredacted text is kept at /moderationOriginals/{roomId}/{messageId},
+ * which only the Admin SDK can read), and every moderated message gets
+ *
+ *   moderation = { status: 'clean' | 'redacted' | 'flagged', pii?: { phone: 2 },
+ *                  profanity?: { action: 'masked' | 'flagged', count }, checkedAt }
+ *
+ * PII detection is pattern based: digits (ASCII, Arabic-Indic, Devanagari, Thai, fullwidth) as
+ * phone numbers of 7-15 digits (not dates or year ranges) and Luhn-valid card numbers, emails,
+ * street addresses (Korean road name plus building number, English/Spanish street forms) and hotel
+ * room numbers. Numbers spoken as words are not caught. Profanity is matched inside words (Korean
+ * attaches particles), except in the words of PROFANITY_EXCEPTIONS (시발역, 시발점).
+ */
+
+const admin = require('firebase-admin');
+const { termRegExp } = require('./shared/translators/base');
+const { findLanguage } = require('./shared/languages');
+
+const CACHE_MS = Number(process.env.MODERATION_POLICY_CACHE_MS || 30000);
+const PII_CATEGORIES = ['card', 'email', 'phone', 'address', 'room'];
+const PROFANITY_ACTIONS = ['off', 'flag', 'mask'];
+// 2024-05-01, 2024. 5. 1., 01.05.2024 and 2004-2010: the phone pattern matches these too
+const DATE_RE = /^(?:\d{4}[-./]\s?\d{1,2}[-./]\s?\d{1,2}\.?|\d{1,2}[-./]\s?\d{1,2}[-./]\s?\d{4})$/;
+const YEAR_RANGE_RE = /^(1[89]\d\d|20\d\d)\s?[-–~]\s?(1[89]\d\d|20\d\d)$/;
+
+// Zero of each digit block we read numbers in
+const DIGIT_ZEROS = [0x30, 0x660, 0x6f0, 0x966, 0xe50, 0xff10];
+const D = '[0-9\\u0660-\\u0669\\u06F0-\\u06F9\\u0966-\\u096F\\u0E50-\\u0E59\\uFF10-\\uFF19]';
+
+// Counters after a number that make "X로 10분" / "X로 2번 출구" directions, not a building number
+const KO_COUNTERS = '분|번(?!지)|시|초|명|개|층|일|월|년|원|살|배|달|주|회|차|정거장|미터|킬로|km';
+// Adverbs and phrases ending in 로 (바로 3층, 그대로 2개 are caught by the counters; these aren't)
+const KO_NOT_ROADS = new Set(['바로', '서로', '새로', '별로', '주로', '따로', '홀로', '절로', '대로', '그대로', '이대로', '저대로',
+  '여기로', '거기로', '저기로', '이리로', '그리로', '저리로', '위로', '뒤로', '아래로', '어디로', '이쪽로']);
+
+// In this order: a card number is not a phone number, and a room number inside an address is the address
+const PII_PATTERNS = {
+  email: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+  card: new RegExp(`(?<!${D})${D}(?:[ -]?${D}){12,18}(?!${D})`, 'gu'),
+  phone: new RegExp(`(?:\\+|(?<!${D}))${D}[${D.slice(1, -1)} ().-]{5,}${D}(?!${D})`, 'gu'),
+  address: new RegExp([
+    // 세종대로 175, 북촌로5길 12-3, 중앙로 123번길 4: a road name (not the particle (으)로) and a building number
+    `(?<![가-힣])[가-힣][가-힣${D.slice(1, -1)}]*(?<!으)(?:로|길)(?:\\s?${D}{1,5}번?길)?\\s?${D}{1,5}(?:-${D}{1,5})?(?!${D}|-)(?:\\s?번지)?(?!\\s?(?:${KO_COUNTERS}))`,
+    // 123 Main Street, 5 Baker St
+    `${D}+\\s+(?:[\\p{Lu}][\\p{L}'-]*\\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Way|Place|Pl)\\.?(?![\\p{L}])`,
+    // Calle Mayor 12, Avenida de la Paz 3
+    `(?:Calle|Avenida|Av\\.|Paseo|Plaza)\\s+(?:[\\p{L}'-]+\\s+){1,4}${D}+`,
+  ].join('|'), 'gu'),
+  room: new RegExp([
+    `(?<![\\p{L}])(?:room|rm\\.?|habitación|habitacion)\\s*(?:no\\.?|number|número|#)?\\s*${D}{2,5}`,
+    `${D}{2,5}\\s?호(?:실)?`,
+    `(?:غرفة|الغرفة)\\s*(?:رقم\\s*)?${D}{2,5}`,
+  ].join('|'), 'giu'),
+};
+
+// A few common terms per base language; rooms add their own in `words`. Korean terms match inside
+// words (씨발놈), so PROFANITY_EXCEPTIONS lists innocent words that contain one.
+const PROFANITY = {
+  en: ['fuck', 'fucking', 'fucked', 'shit', 'bullshit', 'bitch', 'asshole', 'bastard', 'cunt', 'motherfucker'],
+  es: ['mierda', 'puta', 'puto', 'cabrón', 'cabron', 'joder', 'coño', 'pendejo', 'gilipollas'],
+  ko: ['씨발', '시발', '씨바', '개새끼', '병신', '지랄', '좆같'],
+  ar: ['شرموطة', 'منيوك', 'عرص', 'كس امك', 'ابن الكلب'],
+};
+
+const PROFANITY_EXCEPTIONS = {
+  ko: ['시발역', '시발점', '시발택시', '병신년', '병신생'],
+};
+
+const cache = new Map(); // roomId → { at, policy }
+
+function envPii() {
+  const raw = (process.env.MODERATION_PII || '').trim();
+  if (raw === 'all') return PII_CATEGORIES;
+  return raw.split(',').map((s) => s.trim()).filter((c) => PII_CATEGORIES.includes(c));
+}
+
+function envProfanity() {
+  const action = process.env.MODERATION_PROFANITY || 'off';
+  if (PROFANITY_ACTIONS.includes(action)) return { default: action };
+  console.warn(`⚠️ MODERATION_PROFANITY must be one of: ${PROFANITY_ACTIONS.join(', ')}`);
+  return { default: 'off' };
+}
+
+/**
+ * Normalize a room's moderationPolicy; invalid parts fall back to the defaults.
+ * @returns {{ pii: string[], profanity: object, words: object, invalid: string[] }}
+ */
+function parsePolicy(raw) {
+  const policy = { pii: envPii(), profanity: envProfanity(), words: {}, invalid: [] };
+  if (!raw || typeof raw !== 'object') return policy;
+
+  if (raw.pii === true) policy.pii = PII_CATEGORIES;
+  else if (raw.pii === false) policy.pii = [];
+  else if (raw.pii !== undefined) {
+    const list = Array.isArray(raw.pii) ? raw.pii : Object.values(raw.pii || {});
+    if (list.every((c) => PII_CATEGORIES.includes(c))) policy.pii = PII_CATEGORIES.filter((c) => list.includes(c));
+    else policy.invalid.push('pii');
+  }
+
+  if (typeof raw.profanity === 'string') {
+    if (PROFANITY_ACTIONS.includes(raw.profanity)) policy.profanity = { default: raw.profanity };
+    else policy.invalid.push('profanity');
+  } else if (raw.profanity && typeof raw.profanity === 'object') {
+    const entries = Object.entries(raw.profanity);
+    if (entries.every(([, a]) => PROFANITY_ACTIONS.includes(a))) policy.profanity = { ...policy.profanity, ...raw.profanity };
+    else policy.invalid.push('profanity');
+  }
+
+  if (raw.words && typeof raw.words === 'object') {
+    for (const [lang, list] of Object.entries(raw.words)) {
+      const words = (Array.isArray(list) ? list : Object.values(list || {}))
+        .filter((w) => typeof w === 'string' && w.trim())
+        .map((w) => w.trim());
+      if (words.length > 0) policy.words[lang] = words;
+    }
+  }
+  return policy;
+}
+
+/**
+ * The room's policy (cached for MODERATION_POLICY_CACHE_MS per instance), null when it moderates
+ * nothing.
+ */
+async function readModerationPolicy(roomId) {
+  const hit = cache.get(roomId);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.policy;
+  const raw = (await admin.database().ref(`/rooms/${roomId}/moderationPolicy`).once('value')).val();
+  const { invalid, ...parsed } = parsePolicy(raw);
+  if (invalid.length > 0) console.warn(`⚠️ Invalid moderationPolicy in ${roomId}:`, invalid);
+  const active = parsed.pii.length > 0 || Object.values(parsed.profanity).some((a) => a !== 'off');
+  const policy = active ? parsed : null;
+  if (cache.size >= 1000) cache.clear();
+  cache.set(roomId, { at: Date.now(), policy });
+  return policy;
+}
+
+function digitValue(ch) {
+  const cp = ch.codePointAt(0);
+  const zero = DIGIT_ZEROS.find((z) => cp >= z && cp <= z + 9);
+  return zero === undefined ? null : cp - zero;
+}
+
+function digitsOf(s) {
+  return [...s].map(digitValue).filter((d) => d !== null);
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  digits.slice().reverse().forEach((d, i) => {
+    const v = i % 2 === 1 ? d * 2 : d;
+    sum += v > 9 ? v - 9 : v;
+  });
+  return sum % 10 === 0;
+}
+
+/** Whether a pattern match really is that kind of data. */
+function accept(category, match) {
+  if (category === 'card') {
+    const digits = digitsOf(match);
+    return digits.length >= 13 && digits.length <= 19 && luhnValid(digits);
+  }
+  if (category === 'phone') {
+    const count = digitsOf(match).length;
+    const ascii = [...match].map((ch) => (digitValue(ch) === null ? ch : String(digitValue(ch)))).join('').trim();
+    return count >= 7 && count <= 15 && !DATE_RE.test(ascii) && !YEAR_RANGE_RE.test(ascii);
+  }
+  if (category === 'address') {
+    const road = /^[가-힣]+(?=로\s?[^가-힣])/u.exec(match);
+    return !road || !KO_NOT_ROADS.has(`${road[0]}로`);
+  }
+  return true;
+}
+
+/**
+ * Mask personal data.
+ * @returns {{ text: string, pii: object }} pii: masked spans per category
+ */
+function redactPii(text, policy) {
+  let out = text;
+  const pii = {};
+  for (const category of PII_CATEGORIES) {
+    if (!policy.pii.includes(category)) continue;
+    out = out.replace(PII_PATTERNS[category], (match) => {
+      if (!accept(category, match)) return match;
+      pii[category] = (pii[category] || 0) + 1;
+      return `[${category}]`;
+    });
+  }
+  return { text: out, pii };
+}
+
+/**
+ * Flag or mask profanity of source language `lang`.
+ * @returns {{ text: string, action: 'off'|'flag'|'mask', count: number }}
+ */
+function checkProfanity(text, lang, policy) {
+  const language = lang ? findLanguage(lang) : null;
+  const action = (language && (policy.profanity[language.code] || policy.profanity[language.base]))
+    || policy.profanity.default || 'off';
+  if (action === 'off' || !language) return { text, action: 'off', count: 0 };
+
+  const words = [
+    ...(PROFANITY[language.base] || []),
+    ...(policy.words[language.base] || []),
+    ...(language.code !== language.base ? policy.words[language.code] || [] : []),
+  ].sort((a, b) => b.length - a.length);
+  // Spans of innocent words that contain a term (the same in the masked text: masking keeps lengths)
+  const allowed = [];
+  for (const word of PROFANITY_EXCEPTIONS[language.base] || []) {
+    for (const m of text.matchAll(new RegExp(termRegExp({ term: word }).source, 'giu'))) {
+      allowed.push([m.index, m.index + m[0].length]);
+    }
+  }
+  let count = 0;
+  let out = text;
+  for (const term of words) {
+    const re = new RegExp(termRegExp({ term, caseSensitive: false }).source, 'giu');
+    out = out.replace(re, (match, offset) => {
+      if (allowed.some(([from, to]) => offset >= from && offset + match.length <= to)) return match;
+      count += 1;
+      return action === 'mask' ? '*'.repeat([...match].length) : match;
+    });
+  }
+  return { text: out, action, count };
+}
+
+/** The message's `moderation` field. */
+function moderationRecord(redaction, profanity) {
+  const record = { status: 'clean', checkedAt: Date.now() };
+  if (Object.keys(redaction.pii).length > 0) {
+    record.pii = redaction.pii;
+    record.status = 'redacted';
+  }
+  if (profanity.count > 0) {
+    record.profanity = { action: profanity.action === 'mask' ? 'masked' : 'flagged', count: profanity.count };
+    if (profanity.action === 'mask') record.status = 'redacted';
+    else if (record.status === 'clean') record.status = 'flagged';
+  }
+  return record;
+}
+
+/**
+ * Glossary entries that keep the placeholders in `text` as they are in every translation (see
+ * translators/base.js).
+ */
+function placeholderGlossary(text) {
+  return PII_CATEGORIES
+    .map((category) => `[${category}]`)
+    .filter((placeholder) => text.includes(placeholder))
+    .map((placeholder) => ({ term: placeholder, rendering: placeholder, caseSensitive: true }));
+}
+
+/**
+ * Keep the unredacted text of a message whose originalText moderation replaced. database.rules.json
+ * gives clients no access to /moderationOriginals; keep it that way.
+ */
+async function saveModerationOriginal(roomId, messageId, message) {
+  await admin.database().ref(`/moderationOriginals/${roomId}/${messageId}`).set({
+    originalText: message.originalText,
+    senderId: message.senderId || null,
+    timestamp: message.timestamp || null,
+    savedAt: Date.now(),
+  });
+}
+
+/** Drop the unredacted text with its message (only redacted messages have one). */
+async function deleteModerationOriginal(roomId, messageId, message) {
+  if (!message || !message.moderation || message.moderation.status !== 'redacted') return;
+  await admin.database().ref(`/moderationOriginals/${roomId}/${messageId}`).remove();
+}
+
+module.exports = {
+  readModerationPolicy,
+  redactPii,
+  checkProfanity,
+  moderationRecord,
+  placeholderGlossary,
+  saveModerationOriginal,
+  deleteModerationOriginal,
+};
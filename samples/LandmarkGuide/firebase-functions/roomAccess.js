@@ -0,0 +1,35 @@
+/**
+ * Who belongs to a room, for the room APIs (roomGlossary, roomTranscript).
+ *
+ *   /rooms/{roomId}/createdBy = uid              the first signed-in user who joined (the app sets it once)
+ *   /rooms/{roomId}/members/{uid} = joinedAt     every signed-in user who joined; unlike users/ it
+ *                                                stays when they leave, so past members keep access
+ *   /rooms/{roomId}/users/{userId}/uid           who is in the room now (see FirebaseRoomService.kt)
+ *
+ * Database rules should only let a user write `members/{auth.uid}` and `createdBy` (once, as
+ * auth.uid); database.rules.json does.
+ */
+
+const admin = require('firebase-admin');
+
+/**
+ * @param {string} roomId
+ * @param {string|null} uid verified Firebase uid of the caller
+ * @returns {Promise<{ creator: boolean, member: boolean }>} member: is or was in the room
+ */
+async function readRoomAccess(roomId, uid) {
+  if (!uid) return { creator: false, member: false };
+  const room = admin.database().ref(`/rooms/${roomId}`);
+  const [createdBy, joinedAt, users] = await Promise.all([
+    room.child('createdBy').once('value'),
+    room.child(`members/${uid}`).once('value'),
+    room.child('users').once('value'),
+  ]);
+  const present = Object.values(users.val() || {}).some((u) => u && typeof u === 'object' && u.uid === uid);
+  return {
+    creator: createdBy.val() === uid,
+    member: joinedAt.exists() || present,
+  };
+}
+
+module.exports = { readRoomAccess };
@@ -0,0 +1,300 @@
+/**
+ * Room lifecycle and data retention for the scheduled roomLifecycle function. Per room:
+ *
+ * 1. Presence: a user with no activity (lastSeen, partialText or a message of theirs) for
+ *    `userOfflineMs` is marked { online: false, offlineAt } and loses partialText/isSpeaking; after
+ *    `userRemoveMs` the entry is removed. The app refreshes lastSeen every minute while it is in
+ *    the room (FirebaseRoomService HEARTBEAT_MS), so only crashed or killed clients go stale.
+ * 2. Idle rooms: no activity for `idleMs` → `idleAction` 'archive' (the room as JSON in Storage at
+ *    room-archives/{roomId}/{time}.json plus an /archivedRooms/{roomId} stub) or 'delete'; either
+ *    way the room and its TTS audio are removed.
+ * 3. History: messages older than `messageMaxAgeMs` or beyond the newest `messageMaxCount` are
+ *    deleted with their TTS audio; ttsPlayingBy/ttsPlayedBy are dropped from messages older than
+ *    `playbackMaxAgeMs`.
+ *
+ * Policy: ROOM_* environment defaults, overridden per room by /rooms/{roomId}/retention
+ * (0 turns a rule off; invalid values fall back to the default and are noted in the audit).
+ * The rules that delete data (userRemoveMs, idleMs, messageMaxAgeMs, messageMaxCount) default to
+ * 0, so a deployment only removes rooms, users or messages once it opts in:
+ *   { userOfflineMs, userRemoveMs, idleMs, idleAction: 'archive' | 'delete', messageMaxAgeMs,
+ *     messageMaxCount, playbackMaxAgeMs }
+ *
+ * Every run writes /retentionAudit/{runId} = { startedAt, finishedAt, dryRun, roomsScanned, totals,
+ * rooms: { roomId: what changed }, errors, incomplete? }. A run stops paging through rooms at
+ * ROOM_LIFECYCLE_BUDGET_MS and the next one continues after the last room it saw.
+ * ROOM_LIFECYCLE_DRY_RUN=true only writes the audit. /sttRequests and /sttResponses expire in
+ * sttMaintenance (stt.js).
+ */
+
+const admin = require('firebase-admin');
+
+const DEFAULT_POLICY = {
+  // Several missed heartbeats (the app writes lastSeen every minute)
+  userOfflineMs: Number(process.env.ROOM_USER_OFFLINE_MS ?? 5 * 60 * 1000),
+  // Destructive rules: off unless configured
+  userRemoveMs: Number(process.env.ROOM_USER_REMOVE_MS ?? 0),
+  idleMs: Number(process.env.ROOM_IDLE_MS ?? 0),
+  idleAction: process.env.ROOM_IDLE_ACTION || 'archive',
+  messageMaxAgeMs: Number(process.env.ROOM_MESSAGE_MAX_AGE_MS ?? 0),
+  messageMaxCount: Number(process.env.ROOM_MESSAGE_MAX_COUNT ?? 0),
+  playbackMaxAgeMs: Number(process.env.ROOM_PLAYBACK_MAX_AGE_MS ?? 60 * 60 * 1000),
+};
+const IDLE_ACTIONS = ['archive', 'delete'];
+if (!IDLE_ACTIONS.includes(DEFAULT_POLICY.idleAction)) throw new Error(`ROOM_IDLE_ACTION must be one of: ${IDLE_ACTIONS.join(', ')}`);
+
+const DRY_RUN = process.env.ROOM_LIFECYCLE_DRY_RUN === 'true';
+const PAGE_SIZE = Number(process.env.ROOM_LIFECYCLE_PAGE_SIZE || 20);
+const BUDGET_MS = Number(process.env.ROOM_LIFECYCLE_BUDGET_MS || 7 * 60 * 1000);
+const AUDIT_TTL_MS = Number(process.env.ROOM_AUDIT_TTL_MS || 30 * 24 * 60 * 60 * 1000);
+// Paths per multi-location update
+const UPDATE_CHUNK = 500;
+
+const TOTAL_KEYS = ['usersMarkedOffline', 'usersRemoved', 'messagesDeleted', 'playbackCleared', 'roomsArchived', 'roomsDeleted'];
+
+/**
+ * The room's effective policy.
+ * @returns {{ policy: object, invalid: string[] }} invalid: keys of /retention that were ignored
+ */
+function policyFor(retention) {
+  const policy = { ...DEFAULT_POLICY };
+  const invalid = [];
+  if (!retention || typeof retention !== 'object') return { policy, invalid };
+  for (const [key, value] of Object.entries(retention)) {
+    if (key === 'idleAction') {
+      if (IDLE_ACTIONS.includes(value)) policy.idleAction = value;
+      else invalid.push(key);
+    } else if (key in DEFAULT_POLICY && typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+      policy[key] = value;
+    } else {
+      invalid.push(key);
+    }
+  }
+  return { policy, invalid };
+}
+
+/** Whether `ms` of inactivity breaks a rule of `limit` (0: off). */
+function exceeds(limit, ms) {
+  return limit > 0 && ms > limit;
+}
+
+function storageBucket(envName) {
+  const name = process.env[envName] || JSON.parse(process.env.FIREBASE_CONFIG || '{}').storageBucket;
+  if (!name) throw new Error(`No Storage bucket (set ${envName})`);
+  return admin.storage().bucket(name);
+}
+
+async function deleteTtsAudio(prefix) {
+  await storageBucket('TTS_BUCKET').deleteFiles({ prefix, force: true });
+}
+
+/** Apply a multi-location update in chunks (no-op on dry runs). */
+async function applyUpdates(updates) {
+  if (DRY_RUN) return;
+  const entries = Object.entries(updates);
+  for (let i = 0; i < entries.length; i += UPDATE_CHUNK) {
+    await admin.database().ref().update(Object.fromEntries(entries.slice(i, i + UPDATE_CHUNK)));
+  }
+}
+
+/** Latest activity of each user, and of the room as a whole (a glossary edit or summary counts). */
+function roomActivity(room, users, messages) {
+  const byUser = {};
+  let latest = Math.max(
+    0,
+    Number(room.summary && room.summary.generatedAt) || 0,
+    ...Object.values(room.glossary || {}).map((g) => Number(g && g.updatedAt) || 0),
+  );
+  for (const m of messages) {
+    latest = Math.max(latest, m.timestamp);
+    if (m.senderId) byUser[m.senderId] = Math.max(byUser[m.senderId] || 0, m.timestamp);
+  }
+  for (const [userId, user] of Object.entries(users)) {
+    const seen = Math.max(
+      Number(user && user.lastSeen) || 0,
+      Number(user && user.partialText && user.partialText.timestamp) || 0,
+      byUser[userId] || 0,
+    );
+    byUser[userId] = seen;
+    latest = Math.max(latest, seen);
+  }
+  return { byUser, room: latest };
+}
+
+async function archiveRoom(roomId, room, now, lastActivity) {
+  const path = `room-archives/${roomId}/${new Date(now).toISOString().replace(/[:.]/g, '-')}.json`;
+  const bucket = storageBucket('ROOM_ARCHIVE_BUCKET');
+  if (!DRY_RUN) {
+    await bucket.file(path).save(JSON.stringify({ roomId, archivedAt: now, room }), {
+      resumable: false,
+      contentType: 'application/json',
+    });
+  }
+  return {
+    archivedAt: now,
+    lastActivity,
+    bucket: bucket.name,
+    path,
+    messageCount: Object.keys(room.messages || {}).length,
+  };
+}
+
+/**
+ * Apply the room's policy.
+ * @returns {Promise<object|null>} what changed (for the audit), null if nothing did
+ */
+async function processRoom(roomId, room, now) {
+  const { policy, invalid } = policyFor(room.retention);
+  const users = room.users && typeof room.users === 'object' ? room.users : {};
+  const messages = Object.entries(room.messages || {})
+    .filter(([, m]) => m && typeof m === 'object')
+    .map(([id, m]) => ({ ...m, id, timestamp: Number(m.timestamp) || 0 }))
+    .sort((a, b) => a.timestamp - b.timestamp || (a.id < b.id ? -1 : 1));
+  const activity = roomActivity(room, users, messages);
+  const changes = invalid.length > 0 ? { invalidPolicy: invalid } : {};
+
+  if (exceeds(policy.idleMs, now - activity.room)) {
+    const updates = { [`rooms/${roomId}`]: null };
+    if (policy.idleAction === 'archive') {
+      const stub = await archiveRoom(roomId, room, now, activity.room);
+      updates[`archivedRooms/${roomId}`] = stub;
+      changes.archived = stub.path;
+    } else {
+      changes.deleted = true;
+    }
+    changes.lastActivity = activity.room;
+    await applyUpdates(updates);
+    if (!DRY_RUN) await deleteTtsAudio(`tts/${roomId}/`);
+    return changes;
+  }
+
+  const updates = {};
+  const usersMarkedOffline = [];
+  const usersRemoved = [];
+  for (const [userId, user] of Object.entries(users)) {
+    if (!user || typeof user !== 'object') continue;
+    const idle = now - activity.byUser[userId];
+    const userPath = `rooms/${roomId}/users/${userId}`;
+    if (exceeds(policy.userRemoveMs, idle)) {
+      updates[userPath] = null;
+      usersRemoved.push(userId);
+    } else if (exceeds(policy.userOfflineMs, idle)) {
+      if (user.online !== false) {
+        updates[`${userPath}/online`] = false;
+        updates[`${userPath}/offlineAt`] = now;
+        updates[`${userPath}/partialText`] = null;
+        updates[`${userPath}/isSpeaking`] = null;
+        usersMarkedOffline.push(userId);
+      }
+    } else if (user.online === false) {
+      // Active again (a message or partial text since)
+      updates[`${userPath}/online`] = null;
+      updates[`${userPath}/offlineAt`] = null;
+    }
+  }
+  if (usersMarkedOffline.length > 0) changes.usersMarkedOffline = usersMarkedOffline;
+  if (usersRemoved.length > 0) changes.usersRemoved = usersRemoved;
+
+  const excess = policy.messageMaxCount > 0 ? Math.max(0, messages.length - policy.messageMaxCount) : 0;
+  const deleted = messages.filter((m, i) => i < excess || exceeds(policy.messageMaxAgeMs, now - m.timestamp));
+  const deletedIds = new Set(deleted.map((m) => m.id));
+  deleted.forEach((m) => {
+    updates[`rooms/${roomId}/messages/${m.id}`] = null;
+  });
+  let playbackCleared = 0;
+  messages.forEach((m) => {
+    if (deletedIds.has(m.id) || !exceeds(policy.playbackMaxAgeMs, now - m.timestamp)) return;
+    if (!m.ttsPlayingBy && !m.ttsPlayedBy) return;
+    updates[`rooms/${roomId}/messages/${m.id}/ttsPlayingBy`] = null;
+    updates[`rooms/${roomId}/messages/${m.id}/ttsPlayedBy`] = null;
+    playbackCleared += 1;
+  });
+  if (deleted.length > 0) {
+    changes.messagesDeleted = deleted.length;
+    changes.messagesDeletedUntil = deleted[deleted.length - 1].timestamp;
+  }
+  if (playbackCleared > 0) changes.playbackCleared = playbackCleared;
+
+  if (Object.keys(updates).length === 0) return Object.keys(changes).length > 0 ? changes : null;
+  await applyUpdates(updates);
+  if (!DRY_RUN) {
+    for (const m of deleted.filter((d) => d.translatedAudio)) {
+      await deleteTtsAudio(`tts/${roomId}/${m.id}/`).catch((e) => {
+        console.error(`❌ Failed to delete TTS audio of ${roomId}/${m.id}:`, e.message);
+      });
+    }
+  }
+  return changes;
+}
+
+/** Drop audit records older than ROOM_AUDIT_TTL_MS. */
+async function pruneAudit(now) {
+  const ref = admin.database().ref('/retentionAudit');
+  const snap = await ref.orderByChild('startedAt').endAt(now - AUDIT_TTL_MS).limitToFirst(UPDATE_CHUNK).once('value');
+  const updates = {};
+  snap.forEach((child) => {
+    updates[child.key] = null;
+  });
+  if (Object.keys(updates).length > 0) await ref.update(updates);
+  return Object.keys(updates).length;
+}
+
+/**
+ * One roomLifecycle run.
+ * @returns {Promise<object>} the audit record
+ */
+async function runRoomLifecycle() {
+  const db = admin.database();
+  const startedAt = Date.now();
+  const audit = {
+    startedAt,
+    dryRun: DRY_RUN,
+    roomsScanned: 0,
+    totals: Object.fromEntries(TOTAL_KEYS.map((k) => [k, 0])),
+    rooms: {},
+    errors: {},
+  };
+
+  const stateRef = db.ref('/roomLifecycleState/cursor');
+  let cursor = (await stateRef.once('value')).val();
+  for (;;) {
+    if (Date.now() - startedAt > BUDGET_MS) {
+      audit.incomplete = true;
+      break;
+    }
+    let query = db.ref('/rooms').orderByKey();
+    if (cursor) query = query.startAfter(cursor);
+    const snap = await query.limitToFirst(PAGE_SIZE).once('value');
+    const page = [];
+    snap.forEach((child) => {
+      page.push([child.key, child.val()]);
+    });
+
+    for (const [roomId, room] of page) {
+      audit.roomsScanned += 1;
+      try {
+        const changes = room && typeof room === 'object' ? await processRoom(roomId, room, Date.now()) : null;
+        if (!changes) continue;
+        audit.rooms[roomId] = changes;
+        if (changes.usersMarkedOffline) audit.totals.usersMarkedOffline += changes.usersMarkedOffline.length;
+        if (changes.usersRemoved) audit.totals.usersRemoved += changes.usersRemoved.length;
+        audit.totals.messagesDeleted += changes.messagesDeleted || 0;
+        audit.totals.playbackCleared += changes.playbackCleared || 0;
+        if (changes.archived) audit.totals.roomsArchived += 1;
+        if (changes.deleted) audit.totals.roomsDeleted += 1;
+      } catch (e) {
+        console.error(`❌ Room lifecycle of ${roomId} failed:`, e.message);
+        audit.errors[roomId] = String(e.message).slice(0, 200);
+      }
+    }
+    cursor = page.length === PAGE_SIZE ? page[page.length - 1][0] : null;
+    if (!cursor) break;
+  }
+  await stateRef.set(cursor);
+
+  audit.finishedAt = Date.now();
+  audit.auditPruned = await pruneAudit(audit.finishedAt);
+  await db.ref('/retentionAudit').push(audit);
+  return audit;
+}
+
+module.exports = { runRoomLifecycle };
@@ -0,0 +1,443 @@
+/**
+ * Speech-to-Text v2 (Chirp 3) for sttRecognizeV2 and onSttRequestCreated: request options,
+ * recognition config, the API calls and result parsing, plus the Storage upload path.
+ *
+ * Audio comes either inline (`audioContentBase64`, raw LINEAR16; short clips) or as an object the
+ * client uploaded to Cloud Storage under stt-uploads/{uid}/ (`storagePath`; raw PCM as .pcm/.raw,
+ * anything else — WAV, FLAC, MP3, OGG/Opus, WebM — is decoded by the API). Uploaded audio up to
+ * STT_SYNC_MAX_MS long is recognized with :recognize; longer audio, or audio whose length isn't
+ * known (no header to read and no `durationMs` from the client), with :batchRecognize, a
+ * long-running operation polled every STT_BATCH_POLL_MS. Upload jobs report progress in
+ * /sttResponses/{requestId}:
+ *
+ *   { state: 'queued' | 'recognizing' | 'done' | 'failed', method: 'sync' | 'batch', progress: 0-100,
+ *     operation?, storagePath, durationMs, transcript?, languageCode?, roomLanguage?, error?, details?,
+ *     model, location, startedAt, finishedAt?, expiresAt, audioExpiresAt? }
+ *
+ * onSttRequestCreated waits for a batch job up to STT_BATCH_WAIT_MS; sttMaintenance picks up what is
+ * still running after that, fails jobs older than STT_BATCH_MAX_MS and expires data: uploaded audio
+ * STT_AUDIO_TTL_MS after its job finished, responses (with their requests) after STT_RESULT_TTL_MS.
+ */
+
+const admin = require('firebase-admin');
+const { GoogleAuth } = require('google-auth-library');
+const { parseVocabularyRequest, buildAdaptation } = require('./vocabulary');
+const { roomLanguage, sttLanguageTags } = require('./shared/languages');
+
+const SYNC_MAX_MS = Number(process.env.STT_SYNC_MAX_MS || 55 * 1000);
+const BATCH_POLL_MS = Number(process.env.STT_BATCH_POLL_MS || 5000);
+const BATCH_WAIT_MS = Number(process.env.STT_BATCH_WAIT_MS || 7 * 60 * 1000);
+const BATCH_MAX_MS = Number(process.env.STT_BATCH_MAX_MS || 2 * 60 * 60 * 1000);
+const RESULT_TTL_MS = Number(process.env.STT_RESULT_TTL_MS || 24 * 60 * 60 * 1000);
+const AUDIO_TTL_MS = Number(process.env.STT_AUDIO_TTL_MS ?? 60 * 60 * 1000);
+// Google's own masking (first letter kept); rooms can moderate transcripts per language instead (see moderation.js)
+const PROFANITY_FILTER = process.env.STT_PROFANITY_FILTER === 'true';
+
+const UPLOAD_PREFIX = 'stt-uploads';
+// Headerless 16-bit PCM; the API can't detect its sample rate, so it gets explicitDecodingConfig
+const RAW_EXTENSIONS = ['pcm', 'raw', 'l16'];
+const RAW_CONTENT_TYPES = ['audio/l16', 'audio/pcm', 'audio/x-pcm'];
+// Rows per sttMaintenance query
+const MAINTENANCE_BATCH = 200;
+
+class SttError extends Error {
+  /**
+   * @param {string} code snake_case, e.g. 'bad_request', 'audio_not_found', 'stt_v2_error'
+   * @param {string} message
+   * @param {number} [status] HTTP status (of the API response for 'stt_v2_error')
+   */
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'SttError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Options shared by the HTTP body and /sttRequests nodes.
+ * @param {object} data
+ * @returns {{ languageCodes: string[], model: string, location: string, sampleRateHertz: number,
+ *             vocabulary: object }}
+ * @throws {LanguageError|VocabularyError}
+ */
+function parseRecognitionOptions(data) {
+  const languageCodes = Array.isArray(data.languageCodes) && data.languageCodes.length > 0
+    ? sttLanguageTags(data.languageCodes)
+    : ['ko-KR'];
+  return {
+    languageCodes,
+    model: (data.model && String(data.model)) || 'chirp_3',
+    // Chirp 3 is available in specific regions; asia-northeast1 is GA and good for KR latency.
+    location: (data.location && String(data.location)) || 'asia-northeast1',
+    sampleRateHertz: Number(data.sampleRateHertz) > 0 ? Number(data.sampleRateHertz) : 8000,
+    vocabulary: parseVocabularyRequest(data),
+  };
+}
+
+function recognizerName(project, location) {
+  return `projects/${project}/locations/${location}/recognizers/_`;
+}
+
+/**
+ * RecognitionConfig for `options`. `raw` audio is headerless PCM16 (what the app records), which
+ * the API can't decode by itself; everything else uses autoDecodingConfig.
+ */
+async function recognitionConfig(options, raw) {
+  return {
+    ...(raw
+      ? { explicitDecodingConfig: { encoding: 'LINEAR16', sampleRateHertz: options.sampleRateHertz, audioChannelCount: 1 } }
+      : { autoDecodingConfig: {} }),
+    languageCodes: options.languageCodes,
+    model: options.model,
+    features: {
+      enableAutomaticPunctuation: true,
+      profanityFilter: PROFANITY_FILTER,
+    },
+    adaptation: await buildAdaptation(options.vocabulary, options.languageCodes),
+  };
+}
+
+let auth = null;
+
+/**
+ * Call the regional STT v2 endpoint with the function's service account (ADC): POST `path` with
+ * `body`, or GET it without one.
+ * @throws {SttError}
+ */
+async function speechApi(location, path, body) {
+  if (!auth) auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+  const client = await auth.getClient();
+  const tokenResponse = await client.getAccessToken();
+  const accessToken = tokenResponse && tokenResponse.token ? tokenResponse.token : tokenResponse;
+  if (!accessToken) throw new SttError('auth_error', 'Failed to obtain access token (ADC)', 500);
+
+  const resp = await fetch(`https://${location}-speech.googleapis.com/v2/${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${accessToken}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    console.error('STT v2 error:', resp.status, text);
+    throw new SttError('stt_v2_error', text, resp.status);
+  }
+  return JSON.parse(text || '{}');
+}
+
+/**
+ * Transcript of v2 `results` and the first language STT reported.
+ * @returns {{ transcript: string, languageCode: string|null, roomLanguage: string|null }}
+ */
+function parseResults(results) {
+  let transcript = '';
+  let languageCode = null;
+  for (const r of Array.isArray(results) ? results : []) {
+    if (!languageCode && r.languageCode) languageCode = r.languageCode;
+    if (r.alternatives && r.alternatives.length > 0 && r.alternatives[0].transcript) {
+      transcript += r.alternatives[0].transcript;
+    }
+  }
+  return {
+    transcript: transcript.trim(),
+    languageCode,
+    roomLanguage: languageCode ? roomLanguage(languageCode) : null,
+  };
+}
+
+/**
+ * Synchronous recognition (up to about a minute of audio).
+ * @param {string} project
+ * @param {object} options parseRecognitionOptions()
+ * @param {{ content: string }|{ uri: string }} audio base64 bytes or a gs:// URI
+ * @param {boolean} raw see recognitionConfig()
+ * @throws {SttError}
+ */
+async function recognize(project, options, audio, raw) {
+  const recognizer = recognizerName(project, options.location);
+  const json = await speechApi(options.location, `${recognizer}:recognize`, {
+    recognizer,
+    config: await recognitionConfig(options, raw),
+    ...audio,
+  });
+  return parseResults(json.results);
+}
+
+/**
+ * Start batch recognition of a gs:// URI, results inline in the operation.
+ * @returns {Promise<string>} operation name
+ * @throws {SttError}
+ */
+async function startBatchRecognize(project, options, uri, raw) {
+  const recognizer = recognizerName(project, options.location);
+  const op = await speechApi(options.location, `${recognizer}:batchRecognize`, {
+    recognizer,
+    config: await recognitionConfig(options, raw),
+    files: [{ uri }],
+    recognitionOutputConfig: { inlineResponseConfig: {} },
+  });
+  if (!op.name) throw new SttError('stt_v2_error', 'batchRecognize returned no operation');
+  return op.name;
+}
+
+/**
+ * @returns {Promise<{ done: boolean, progress: number, result?: object }>} result: see parseResults()
+ * @throws {SttError} when the operation or the file failed
+ */
+async function pollBatchRecognize(location, operation, uri) {
+  const op = await speechApi(location, operation);
+  const progress = Number(op.metadata && op.metadata.progressPercent) || 0;
+  if (!op.done) return { done: false, progress };
+  if (op.error) throw new SttError('stt_batch_error', op.error.message || 'Batch recognition failed');
+  const file = op.response && op.response.results && op.response.results[uri];
+  if (!file) throw new SttError('stt_batch_error', 'No result for the audio file');
+  if (file.error && file.error.code) throw new SttError('stt_batch_error', file.error.message || `Error ${file.error.code}`);
+  const transcript = (file.inlineResult && file.inlineResult.transcript) || file.transcript || {};
+  return { done: true, progress: 100, result: parseResults(transcript.results) };
+}
+
+function storageBucket() {
+  const name = process.env.STT_BUCKET || JSON.parse(process.env.FIREBASE_CONFIG || '{}').storageBucket;
+  if (!name) throw new SttError('server_misconfigured', 'No Storage bucket (set STT_BUCKET)');
+  return admin.storage().bucket(name);
+}
+
+/**
+ * Check an uploaded object and decide how to recognize it.
+ * @param {string} storagePath object path; must be under stt-uploads/{uid}/ (any uid for admin writes)
+ * @param {string|null} uid the request's writer, null for admin
+ * @param {object} options parseRecognitionOptions()
+ * @param {number} [declaredMs] the request's `durationMs`, for formats whose length we can't read
+ * @returns {Promise<{ uri: string, raw: boolean, durationMs: number|null, method: 'sync'|'batch' }>}
+ * @throws {SttError}
+ */
+async function inspectUpload(storagePath, uid, options, declaredMs) {
+  const prefix = uid ? `${UPLOAD_PREFIX}/${uid}/` : `${UPLOAD_PREFIX}/`;
+  if (typeof storagePath !== 'string' || !storagePath.startsWith(prefix) || storagePath.split('/').includes('..')) {
+    throw new SttError('forbidden', `storagePath must be under ${prefix}`, 403);
+  }
+  const bucket = storageBucket();
+  const file = bucket.file(storagePath);
+  let metadata;
+  try {
+    [metadata] = await file.getMetadata();
+  } catch (e) {
+    if (e.code === 404) throw new SttError('audio_not_found', `No object at ${storagePath}`, 404);
+    throw e;
+  }
+
+  const size = Number(metadata.size) || 0;
+  const ext = storagePath.includes('.') ? storagePath.split('.').pop().toLowerCase() : '';
+  const contentType = String(metadata.contentType || '').toLowerCase();
+  const raw = RAW_EXTENSIONS.includes(ext) || RAW_CONTENT_TYPES.some((t) => contentType.startsWith(t));
+
+  let durationMs = null;
+  if (raw) {
+    durationMs = Math.round((size / (options.sampleRateHertz * 2)) * 1000);
+  } else if (ext === 'wav' || contentType.includes('wav')) {
+    // RIFF header: byte rate at offset 28; the data chunk is (nearly) the whole file
+    const [header] = await file.download({ start: 0, end: 43 });
+    const byteRate = header.length >= 32 ? header.readUInt32LE(28) : 0;
+    if (byteRate > 0) durationMs = Math.round(((size - 44) / byteRate) * 1000);
+  }
+  if (durationMs === null && Number(declaredMs) > 0) durationMs = Number(declaredMs);
+
+  return {
+    uri: `gs://${bucket.name}/${storagePath}`,
+    raw,
+    durationMs,
+    method: durationMs !== null && durationMs <= SYNC_MAX_MS ? 'sync' : 'batch',
+  };
+}
+
+/** `value` with the response TTL (see sttMaintenance). */
+function withExpiry(value) {
+  return { ...value, expiresAt: Date.now() + RESULT_TTL_MS };
+}
+
+/** Response fields for an error. */
+function errorFields(e) {
+  if (e instanceof SttError) {
+    return { error: e.code, details: e.message, ...(e.status ? { status: e.status } : {}) };
+  }
+  return { error: 'internal_error', details: String(e && e.message ? e.message : e) };
+}
+
+async function finishUploadJob(respRef, fields) {
+  const now = Date.now();
+  await respRef.update(withExpiry({
+    ...fields,
+    finishedAt: now,
+    audioExpiresAt: now + AUDIO_TTL_MS,
+  }));
+}
+
+/**
+ * Poll a batch operation until it is done or `deadline`, writing progress as it changes.
+ * @returns {Promise<boolean>} whether the job finished (done or failed)
+ */
+async function waitForBatch(respRef, job, deadline) {
+  let progress = job.progress || 0;
+  for (;;) {
+    let poll;
+    try {
+      poll = await pollBatchRecognize(job.location, job.operation, job.uri);
+    } catch (e) {
+      if (e instanceof SttError && e.code === 'stt_v2_error' && e.status >= 500) {
+        // The operation may still finish; keep polling (or let sttMaintenance do it)
+        console.warn(`STT batch poll failed (${e.status}), will retry`);
+        poll = { done: false, progress };
+      } else {
+        await finishUploadJob(respRef, { state: 'failed', ...errorFields(e) });
+        return true;
+      }
+    }
+    if (poll.done) {
+      await finishUploadJob(respRef, { state: 'done', progress: 100, ...poll.result });
+      return true;
+    }
+    if (poll.progress !== progress) {
+      progress = poll.progress;
+      await respRef.update({ progress, updatedAt: Date.now() });
+    }
+    if (Date.now() + BATCH_POLL_MS > deadline) return false;
+    await sleep(BATCH_POLL_MS);
+  }
+}
+
+/**
+ * Recognize an uploaded object for /sttRequests/{requestId} and keep /sttResponses/{requestId}
+ * up to date. A second delivery of the same request does nothing.
+ * @param {object} respRef /sttResponses/{requestId}
+ * @param {object} request the /sttRequests node
+ * @param {string|null} uid see inspectUpload()
+ * @param {string} project
+ * @param {object} options parseRecognitionOptions()
+ */
+async function runUploadJob(respRef, request, uid, project, options) {
+  const { model, location } = options;
+  const startedAt = Date.now();
+  const claim = await respRef.transaction((current) => (current ? undefined : withExpiry({
+    state: 'queued', progress: 0, storagePath: request.storagePath, model, location, startedAt,
+  })));
+  if (!claim.committed) return;
+
+  let upload;
+  try {
+    upload = await inspectUpload(request.storagePath, uid, options, request.durationMs);
+  } catch (e) {
+    // Nothing was recognized; the audio (if any) expires like a finished job's
+    await finishUploadJob(respRef, { state: 'failed', ...errorFields(e) });
+    return;
+  }
+  const { method, durationMs } = upload;
+  console.log(`STT upload ${respRef.key}: ${method}, ${durationMs === null ? 'unknown length' : `${durationMs}ms`}`);
+
+  try {
+    if (method === 'sync') {
+      await respRef.update({ state: 'recognizing', method, durationMs });
+      const result = await recognize(project, options, { uri: upload.uri }, upload.raw);
+      await finishUploadJob(respRef, { state: 'done', progress: 100, ...result });
+      return;
+    }
+    const operation = await startBatchRecognize(project, options, upload.uri, upload.raw);
+    await respRef.update({ state: 'recognizing', method, durationMs, operation, uri: upload.uri });
+    const finished = await waitForBatch(respRef, { location, operation, uri: upload.uri }, startedAt + BATCH_WAIT_MS);
+    if (!finished) console.log(`STT upload ${respRef.key}: still running, sttMaintenance will finish it`);
+  } catch (e) {
+    if (!(e instanceof SttError)) console.error('STT upload job failed:', e && e.stack ? e.stack : e);
+    await finishUploadJob(respRef, { state: 'failed', ...errorFields(e) });
+  }
+}
+
+/**
+ * Poll batch jobs onSttRequestCreated stopped waiting for; fail those older than STT_BATCH_MAX_MS.
+ * @returns {Promise<{ finished: number, running: number }>}
+ */
+async function resumeBatchJobs() {
+  const snap = await admin.database().ref('/sttResponses')
+    .orderByChild('state').equalTo('recognizing').limitToFirst(MAINTENANCE_BATCH).once('value');
+  const counts = { finished: 0, running: 0 };
+  const jobs = [];
+  snap.forEach((child) => {
+    jobs.push(child);
+  });
+  for (const child of jobs) {
+    const job = child.val();
+    const respRef = child.ref;
+    if (Date.now() - Number(job.startedAt || 0) > BATCH_MAX_MS) {
+      await finishUploadJob(respRef, { state: 'failed', error: 'timeout', details: `Not finished after ${BATCH_MAX_MS}ms` });
+      counts.finished += 1;
+    } else if (job.operation && job.uri) {
+      // One poll per run; the next run comes soon enough
+      const finished = await waitForBatch(respRef, job, 0);
+      counts[finished ? 'finished' : 'running'] += 1;
+    } else {
+      counts.running += 1;
+    }
+  }
+  return counts;
+}
+
+async function deleteUpload(storagePath) {
+  if (!storagePath) return;
+  try {
+    await storageBucket().file(storagePath).delete({ ignoreNotFound: true });
+  } catch (e) {
+    console.error(`❌ Failed to delete ${storagePath}:`, e.message);
+  }
+}
+
+/**
+ * Delete uploaded audio past audioExpiresAt, responses past expiresAt (with their request), and
+ * requests that never got a response within STT_RESULT_TTL_MS of createdAt.
+ * @returns {Promise<{ audio: number, responses: number, requests: number }>}
+ */
+async function expireSttData() {
+  const db = admin.database();
+  const now = Date.now();
+  const expired = (path, field, until) => db.ref(path)
+    .orderByChild(field).startAt(1).endAt(until).limitToFirst(MAINTENANCE_BATCH).once('value')
+    .then((snap) => Object.entries(snap.val() || {}));
+
+  const audio = await expired('/sttResponses', 'audioExpiresAt', now);
+  for (const [id, resp] of audio) {
+    await deleteUpload(resp.storagePath);
+    await db.ref(`/sttResponses/${id}`).update({ audioExpiresAt: null, audioDeletedAt: now });
+  }
+
+  const responses = await expired('/sttResponses', 'expiresAt', now);
+  const updates = {};
+  for (const [id, resp] of responses) {
+    if (resp.audioExpiresAt) await deleteUpload(resp.storagePath);
+    updates[`sttResponses/${id}`] = null;
+    updates[`sttRequests/${id}`] = null;
+  }
+
+  const requests = await expired('/sttRequests', 'createdAt', now - RESULT_TTL_MS);
+  for (const [id, req] of requests) {
+    await deleteUpload(req.storagePath);
+    updates[`sttRequests/${id}`] = null;
+  }
+
+  if (Object.keys(updates).length > 0) await db.ref().update(updates);
+  return { audio: audio.length, responses: responses.length, requests: requests.length };
+}
+
+module.exports = {
+  SttError,
+  parseRecognitionOptions,
+  recognize,
+  runUploadJob,
+  resumeBatchJobs,
+  expireSttData,
+  withExpiry,
+  errorFields,
+};
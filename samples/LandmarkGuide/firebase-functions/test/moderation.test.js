@@ -0,0 +1,68 @@
+/**
+ * Pattern tests for moderation.js: what must be masked, and everyday text that must not be.
+ * Run with `npm test` (node:test, no network or database).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redactPii, checkProfanity } = require('../moderation');
+
+const policy = {
+  pii: ['card', 'email', 'phone', 'address', 'room'],
+  profanity: { default: 'mask' },
+  words: {},
+};
+
+const redacted = (text) => redactPii(text, policy).text;
+
+test('masks personal data', () => {
+  assert.equal(redacted('제 번호는 010-1234-5678 입니다'), '제 번호는 [phone] 입니다');
+  assert.equal(redacted('Call +966 50 123 4567'), 'Call [phone]');
+  assert.equal(redacted('mail kim.s@example.co.kr'), 'mail [email]');
+  assert.equal(redacted('Card 4111 1111 1111 1111'), 'Card [card]');
+  assert.equal(redacted('세종대로 175, 1204호로 와주세요'), '[address], [room]로 와주세요');
+  assert.equal(redacted('북촌로5길 12-3에서 만나요'), '[address]에서 만나요');
+  assert.equal(redacted('중앙로 123번길 4'), '[address]');
+  assert.equal(redacted('테헤란로 427번지'), '[address]');
+  assert.equal(redacted('I am at 123 Main Street'), 'I am at [address]');
+  assert.equal(redacted('Estoy en la habitación 12'), 'Estoy en la [room]');
+});
+
+test('leaves directions with the particle (으)로 alone', () => {
+  for (const text of [
+    '앞으로 10분 걸어가세요',
+    '오른쪽으로 2번 출구로 나가세요',
+    '학교로 3시에 와',
+    '서울로 2번 갈아타요',
+    '바로 3 정거장',
+    '여기로 5 오세요',
+  ]) {
+    assert.equal(redacted(text), text);
+  }
+});
+
+test('leaves dates and year ranges alone', () => {
+  for (const text of [
+    'The palace was rebuilt 2004-2010',
+    'open 1995 – 2001',
+    'meet on 2024-05-01',
+    '2024. 12. 25 행사',
+    '01.05.2024 at noon',
+  ]) {
+    assert.equal(redacted(text), text);
+  }
+});
+
+test('masks Korean profanity but not words that contain it', () => {
+  assert.deepEqual(checkProfanity('이 시발 진짜', 'ko', policy), { text: '이 ** 진짜', action: 'mask', count: 1 });
+  assert.equal(checkProfanity('씨발놈아', 'ko', policy).count, 1);
+  for (const text of ['시발역에서 만나요', '여기가 시발점이에요', '병신년 이야기']) {
+    assert.deepEqual(checkProfanity(text, 'ko', policy), { text, action: 'mask', count: 0 });
+  }
+  assert.equal(checkProfanity('시발역 시발', 'ko', policy).text, '시발역 **');
+});
+
+test('matches Latin terms only as whole words', () => {
+  assert.equal(checkProfanity('shitake mushrooms', 'en', policy).count, 0);
+  assert.equal(checkProfanity('what the fuck', 'en-US', policy).text, 'what the ****');
+});
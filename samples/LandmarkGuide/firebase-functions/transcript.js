@@ -0,0 +1,421 @@
+/**
+ * Room transcripts for the roomTranscript function: a room's conversation exported in one
+ * language, and an LLM summary with action items in each participant's language.
+ *
+ * export     JSON, Markdown, SRT or WebVTT of /rooms/{roomId}/messages, oldest first, with speaker
+ *            names and times. Each message is shown in `language`: its translatedTexts entry, or the
+ *            original when the sender spoke that language. Messages without a usable translation
+ *            keep the original text and are marked untranslated. Without `language`, all originals.
+ * summarize  writes and returns
+ *              /rooms/{roomId}/summary = { generatedAt, generatedBy, messageCount, from, to, model,
+ *                languages: { ko: { summary, actionItems: [{ task, owner }] } | { error } } }
+ *            in the request's `languages`, or else every language spoken or translated into in the
+ *            room (members have usually left by the time the session is over).
+ *
+ * Both need a Firebase ID token of the room's creator or of a user who is or was in the room
+ * (roomAccess.js).
+ *
+ * Both read the latest TRANSCRIPT_MAX_MESSAGES messages (optionally only those between `since` and
+ * `until`); the summary prompt keeps the latest SUMMARY_MAX_CHARS of the conversation.
+ */
+
+const admin = require('firebase-admin');
+const OpenAI = require('openai');
+const { findLanguage, roomLanguage, languageName } = require('./shared/languages');
+const { readRoomAccess } = require('./roomAccess');
+
+const MAX_MESSAGES = Number(process.env.TRANSCRIPT_MAX_MESSAGES || 2000);
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL || 'gpt-4o-mini';
+const SUMMARY_MAX_CHARS = Number(process.env.SUMMARY_MAX_CHARS || 60000);
+const SUMMARY_MAX_LANGUAGES = Number(process.env.SUMMARY_MAX_LANGUAGES || 8);
+const SUMMARY_TIMEOUT_MS = Number(process.env.SUMMARY_TIMEOUT_MS || 60000);
+
+const ROOM_ID_RE = /^[^.#$[\]/]{1,128}$/;
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+};
+// Subtitle cues without a translatedAudio length: reading time, within these bounds
+const CUE_MS_PER_CHAR = 70;
+const CUE_MIN_MS = 1500;
+const CUE_MAX_MS = 8000;
+
+class TranscriptError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'TranscriptError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function parseRoomId(v) {
+  if (typeof v !== 'string' || !ROOM_ID_RE.test(v)) throw new TranscriptError(400, 'invalid_request', 'Missing or invalid roomId');
+  return v;
+}
+
+function parseLanguage(tag) {
+  const code = roomLanguage(tag);
+  if (!code) throw new TranscriptError(400, 'unsupported_language', `Unsupported language: ${String(tag).slice(0, 35)}`);
+  return code;
+}
+
+function parseTime(v, name) {
+  if (v === undefined || v === null) return null;
+  const ms = typeof v === 'number' ? v : Date.parse(v);
+  if (!Number.isFinite(ms)) throw new TranscriptError(400, 'invalid_request', `Invalid ${name}`, 'Epoch milliseconds or an ISO 8601 date');
+  return ms;
+}
+
+function parseTimeZone(v) {
+  const timeZone = v ? String(v) : 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+  } catch (e) {
+    throw new TranscriptError(400, 'invalid_request', `Invalid timeZone: ${timeZone.slice(0, 64)}`, 'An IANA time zone such as "Asia/Seoul"');
+  }
+  return timeZone;
+}
+
+/**
+ * The room's messages with text, oldest first.
+ * @returns {Promise<object[]>} raw messages with `id`
+ * @throws {TranscriptError} 404 when the room doesn't exist
+ */
+async function readMessages(roomId, since, until) {
+  const roomRef = admin.database().ref(`/rooms/${roomId}`);
+  const room = await roomRef.orderByKey().limitToFirst(1).once('value');
+  if (!room.exists()) throw new TranscriptError(404, 'room_not_found', `Room ${roomId} not found`);
+
+  const snap = await roomRef.child('messages').orderByChild('timestamp').limitToLast(MAX_MESSAGES).once('value');
+  return Object.entries(snap.val() || {})
+    .map(([id, m]) => ({ ...m, id, timestamp: Number(m && m.timestamp) || 0 }))
+    .filter((m) => typeof m.originalText === 'string' && m.originalText.trim())
+    .filter((m) => (since === null || m.timestamp >= since) && (until === null || m.timestamp <= until))
+    .sort((a, b) => a.timestamp - b.timestamp || (a.id < b.id ? -1 : 1));
+}
+
+function sourceOf(m) {
+  return m.sourceLanguage || roomLanguage(m.senderLanguage);
+}
+
+/**
+ * A message's text in room language `lang` (null: the original).
+ * @returns {{ text: string, translated: boolean, untranslated?: true }}
+ */
+function messageText(m, lang) {
+  const original = m.originalText.trim();
+  if (!lang || sourceOf(m) === lang) return { text: original, translated: false };
+  const translated = m.translatedTexts && m.translatedTexts[lang];
+  const info = m.translationInfo && m.translationInfo[lang];
+  const failed = info && info.status === 'failed';
+  if (typeof translated === 'string' && !failed) return { text: translated.trim(), translated: true };
+  return { text: original, translated: false, untranslated: true };
+}
+
+function clock(ms, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone, hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+  }).format(new Date(ms));
+}
+
+function day(ms, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+  }).format(new Date(ms));
+}
+
+/** HH:MM:SS<sep>mmm from the start of the conversation. */
+function cueTime(ms, separator) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Subtitle cues: each message from its timestamp for the length of its translatedAudio (or
+ * reading time), cut short by the next message.
+ */
+function cues(items) {
+  const start0 = items[0].timestamp;
+  return items.map((item, i) => {
+    const start = item.timestamp - start0;
+    const length = item.audioMs
+      || Math.min(CUE_MAX_MS, Math.max(CUE_MIN_MS, item.text.length * CUE_MS_PER_CHAR));
+    const next = i + 1 < items.length ? items[i + 1].timestamp - start0 : Infinity;
+    return { ...item, start, end: Math.max(start + 500, Math.min(start + length, next)) };
+  });
+}
+
+function renderJson(meta, items) {
+  return JSON.stringify({
+    ...meta,
+    messages: items.map((item) => ({
+      id: item.id,
+      speaker: item.speaker,
+      senderId: item.senderId,
+      timestamp: item.timestamp,
+      time: new Date(item.timestamp).toISOString(),
+      sourceLanguage: item.sourceLanguage,
+      text: item.text,
+      ...(item.translated ? { originalText: item.originalText } : {}),
+      ...(item.untranslated ? { untranslated: true } : {}),
+    })),
+  }, null, 2);
+}
+
+function renderMarkdown(meta, items) {
+  const first = items[0].timestamp;
+  const last = items[items.length - 1].timestamp;
+  const lines = [
+    `# Majlis room ${meta.roomId}`,
+    '',
+    `${meta.language ? `${meta.languageName} (${meta.language})` : 'Original languages'} · `
+      + `${day(first, meta.timeZone)} ${clock(first, meta.timeZone)}–${clock(last, meta.timeZone)} (${meta.timeZone}) · `
+      + `${items.length} messages`,
+    '',
+  ];
+  for (const item of items) {
+    const mark = item.untranslated ? ' _(untranslated)_' : '';
+    lines.push(`**${clock(item.timestamp, meta.timeZone)} ${item.speaker}:** ${item.text}${mark}`, '');
+  }
+  return lines.join('\n');
+}
+
+function renderSrt(items) {
+  return cues(items).map((cue, i) => [
+    String(i + 1),
+    `${cueTime(cue.start, ',')} --> ${cueTime(cue.end, ',')}`,
+    `${cue.speaker}: ${cue.text}`,
+    '',
+  ].join('\n')).join('\n');
+}
+
+function renderVtt(items) {
+  // Cue text can't contain "-->" or start a tag
+  const escape = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const body = cues(items).map((cue) => [
+    `${cueTime(cue.start, '.')} --> ${cueTime(cue.end, '.')}`,
+    `<v ${escape(cue.speaker)}>${escape(cue.text)}`,
+    '',
+  ].join('\n')).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * @param {{ roomId, language?, format?, since?, until?, timeZone? }} body
+ * @returns {Promise<{ contentType: string, filename: string, content: string, messageCount: number }>}
+ * @throws {TranscriptError}
+ */
+async function exportTranscript(body) {
+  const roomId = parseRoomId(body.roomId);
+  const format = body.format ? String(body.format).toLowerCase() : 'json';
+  if (!FORMATS[format]) {
+    throw new TranscriptError(400, 'invalid_request', `Unsupported format: ${format.slice(0, 20)}`, `One of ${Object.keys(FORMATS).join(', ')}`);
+  }
+  const lang = body.language ? parseLanguage(body.language) : null;
+  const timeZone = parseTimeZone(body.timeZone);
+  const messages = await readMessages(roomId, parseTime(body.since, 'since'), parseTime(body.until, 'until'));
+
+  const items = messages.map((m) => {
+    const audio = lang && m.translatedAudio && m.translatedAudio[lang];
+    return {
+      id: m.id,
+      speaker: m.senderName || 'Unknown',
+      senderId: m.senderId || null,
+      timestamp: m.timestamp,
+      sourceLanguage: sourceOf(m) || null,
+      originalText: m.originalText.trim(),
+      audioMs: (audio && Number(audio.durationMs)) || 0,
+      ...messageText(m, lang),
+    };
+  });
+  const meta = {
+    roomId,
+    language: lang,
+    languageName: lang ? languageName(lang) : null,
+    timeZone,
+    exportedAt: new Date().toISOString(),
+  };
+
+  let content;
+  if (format === 'json') content = renderJson(meta, items);
+  else if (items.length === 0) content = format === 'vtt' ? 'WEBVTT\n' : '';
+  else if (format === 'markdown') content = renderMarkdown(meta, items);
+  else if (format === 'srt') content = renderSrt(items);
+  else content = renderVtt(items);
+
+  return {
+    contentType: FORMATS[format].contentType,
+    filename: `${roomId}-${lang || 'original'}.${FORMATS[format].extension}`,
+    content,
+    messageCount: items.length,
+  };
+}
+
+/** Languages to summarize in: the request's, or those spoken or translated into in the room. */
+async function summaryLanguages(roomId, messages, requested) {
+  if (Array.isArray(requested) && requested.length > 0) {
+    const langs = [...new Set(requested.map(parseLanguage))];
+    if (langs.length > SUMMARY_MAX_LANGUAGES) {
+      throw new TranscriptError(400, 'invalid_request', 'Too many languages', `At most ${SUMMARY_MAX_LANGUAGES}`);
+    }
+    return langs;
+  }
+  const users = (await admin.database().ref(`/rooms/${roomId}/users`).once('value')).val() || {};
+  const counts = new Map();
+  const add = (code) => {
+    if (code) counts.set(code, (counts.get(code) || 0) + 1);
+  };
+  Object.values(users).forEach((u) => add(u && typeof u.language === 'string' ? roomLanguage(u.language) : null));
+  messages.forEach((m) => {
+    add(sourceOf(m));
+    // translatedTexts is keyed by room codes and by users' raw `language` values; count the codes
+    Object.keys(m.translatedTexts || {}).forEach((key) => add(roomLanguage(key) === key ? key : null));
+  });
+  return [...counts.keys()]
+    .sort((a, b) => counts.get(b) - counts.get(a))
+    .slice(0, SUMMARY_MAX_LANGUAGES);
+}
+
+/** The conversation for the prompt: originals with speaker, time and language, newest kept. */
+function promptTranscript(messages) {
+  const lines = [];
+  let chars = 0;
+  for (const m of [...messages].reverse()) {
+    const source = sourceOf(m);
+    const line = `[${clock(m.timestamp, 'UTC')}] ${m.senderName || 'Unknown'}${source ? ` (${languageName(source)})` : ''}: ${m.originalText.trim()}`;
+    chars += line.length + 1;
+    if (chars > SUMMARY_MAX_CHARS) {
+      lines.unshift('(earlier messages omitted)');
+      break;
+    }
+    lines.unshift(line);
+  }
+  return lines.join('\n');
+}
+
+let openaiClient = null;
+
+/**
+ * Summary and action items in room language `lang`.
+ * @returns {Promise<{ summary: string, actionItems: { task: string, owner: string|null }[] }>}
+ * @throws {TranscriptError}
+ */
+async function summarizeIn(transcript, lang) {
+  if (!process.env.OPENAI_API_KEY) throw new TranscriptError(500, 'not_configured', 'OPENAI_API_KEY is not set');
+  if (!openaiClient) openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 1 });
+  const language = findLanguage(lang);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SUMMARY_TIMEOUT_MS);
+  let response;
+  try {
+    response = await openaiClient.chat.completions.create({
+      model: SUMMARY_MODEL,
+      messages: [
+        {
+          role: 'system',
+          content: [
+            'You summarize a multilingual conversation between people in a shared room. Each line is "[time UTC] speaker (language): text".',
+            `Write everything in ${language.name} (${language.nativeName}), whatever languages the conversation uses. Keep people's and places' names as spoken.`,
+            'Reply with JSON only: {"summary": string, "actionItems": [{"task": string, "owner": string or null}]}.',
+            'summary: 3 to 6 sentences on the topics, decisions and open questions.',
+            'actionItems: concrete follow-ups someone agreed to or was asked to do, with the speaker responsible as owner; [] if there are none.',
+          ].join('\n'),
+        },
+        { role: 'user', content: transcript },
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0.2,
+    }, { signal: controller.signal });
+  } catch (e) {
+    if (controller.signal.aborted) throw new TranscriptError(504, 'timeout', `Summary timed out after ${SUMMARY_TIMEOUT_MS}ms`);
+    if (e instanceof OpenAI.APIError && e.status) throw new TranscriptError(502, `http_${e.status}`, `openai: ${e.message}`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(response.choices[0]?.message?.content || '');
+  } catch (e) {
+    throw new TranscriptError(502, 'invalid_summary', 'The model did not return JSON');
+  }
+  if (!parsed || typeof parsed.summary !== 'string' || !parsed.summary.trim()) {
+    throw new TranscriptError(502, 'invalid_summary', 'The model returned no summary');
+  }
+  const actionItems = (Array.isArray(parsed.actionItems) ? parsed.actionItems : [])
+    .filter((a) => a && typeof a.task === 'string' && a.task.trim())
+    .map((a) => ({ task: a.task.trim(), owner: typeof a.owner === 'string' && a.owner.trim() ? a.owner.trim() : null }));
+  return { summary: parsed.summary.trim(), actionItems };
+}
+
+/**
+ * @param {{ roomId, languages?, since?, until? }} body
+ * @param {{ uid: string|null }} caller
+ * @returns {Promise<object>} the stored summary
+ * @throws {TranscriptError}
+ */
+async function summarizeRoom(body, caller) {
+  const roomId = parseRoomId(body.roomId);
+  const messages = await readMessages(roomId, parseTime(body.since, 'since'), parseTime(body.until, 'until'));
+  if (messages.length === 0) throw new TranscriptError(409, 'no_messages', 'The room has no messages to summarize');
+  const langs = await summaryLanguages(roomId, messages, body.languages);
+  if (langs.length === 0) throw new TranscriptError(409, 'no_languages', 'No supported language to summarize in');
+
+  const transcript = promptTranscript(messages);
+  const results = await Promise.all(langs.map(async (lang) => {
+    try {
+      return [lang, await summarizeIn(transcript, lang)];
+    } catch (e) {
+      console.error(`❌ Summary of ${roomId} in ${lang} failed:`, e.code || '-', e.message);
+      return [lang, { error: e.code || 'summary_failed' }];
+    }
+  }));
+  if (results.every(([, r]) => r.error)) {
+    throw new TranscriptError(502, results[0][1].error, 'Summary failed in every language');
+  }
+
+  const summary = {
+    generatedAt: Date.now(),
+    generatedBy: caller.uid,
+    messageCount: messages.length,
+    from: messages[0].timestamp,
+    to: messages[messages.length - 1].timestamp,
+    model: SUMMARY_MODEL,
+    languages: Object.fromEntries(results),
+  };
+  await admin.database().ref(`/rooms/${roomId}/summary`).set(summary);
+  return summary;
+}
+
+/**
+ * Run a roomTranscript request.
+ * @param {{ action: 'export'|'summarize', roomId: string }} body see exportTranscript / summarizeRoom
+ * @param {{ uid: string|null, appId: string|null }} caller see auth.js
+ * @returns {Promise<{ file?: object, summary?: object }>}
+ * @throws {TranscriptError}
+ */
+async function handleTranscriptRequest(body, caller) {
+  if (body.action !== 'export' && body.action !== 'summarize') {
+    throw new TranscriptError(400, 'invalid_request', 'action must be export or summarize');
+  }
+  if (!caller.uid) throw new TranscriptError(401, 'unauthenticated', 'Transcripts need a Firebase ID token');
+  const access = await readRoomAccess(parseRoomId(body.roomId), caller.uid);
+  if (!access.member && !access.creator) {
+    throw new TranscriptError(403, 'not_room_member', 'Only the room\'s members may read its transcript');
+  }
+  if (body.action === 'export') return { file: await exportTranscript(body) };
+  return { summary: await summarizeRoom(body, caller) };
+}
+
+module.exports = {
+  TranscriptError,
+  handleTranscriptRequest,
+};
@@ -0,0 +1,206 @@
+/**
+ * Translation cache shared by every room and message (and by the Cloud Run bridge, see
+ * cloudrun-stt-streaming/translationCache.js), consulted before any translation backend.
+ *
+ *   /translationCache/{key} = { text, model, provider, sourceLang, targetLang, source, createdAt, expiresAt }
+ *   /translationCacheStats/entries                       approximate entry count
+ *   /translationCacheStats/daily/{YYYY-MM-DD}/{hits, misses, writes, charsSaved, expired, evicted}
+ *
+ * `key` is the sha1 of provider, model, source/target language and the normalized source text, plus
+ * the glossary renderings (shared/translationCacheKey.js). A lookup checks every configured step of
+ * the pair's route and takes the first hit in route order. Translations with conversation context
+ * bypass the cache (neither looked up nor stored): the same phrase may need another translation in
+ * another conversation. TRANSLATION_CONTEXT_MESSAGES=0 trades context for cache hits.
+ *
+ * Store: TRANSLATION_CACHE_STORE = rtdb (default), memory (this instance only) or none.
+ *
+ * Limits: entries expire after TRANSLATION_CACHE_TTL_MS, texts over TRANSLATION_CACHE_MAX_CHARS are
+ * not cached, and pruneTranslationCache (index.js) deletes expired entries and then the oldest ones
+ * above TRANSLATION_CACHE_MAX_ENTRIES. It needs `".indexOn": ["expiresAt", "createdAt"]` on
+ * /translationCache (database.rules.json).
+ */
+
+const admin = require('firebase-admin');
+const { translate, configuredRoute } = require('./shared/translators');
+const { normalizeText, cacheLanguage, cacheKey } = require('./shared/translationCacheKey');
+
+const CACHE_STORE = process.env.TRANSLATION_CACHE_STORE || 'rtdb';
+const TTL_MS = Number(process.env.TRANSLATION_CACHE_TTL_MS || 30 * 24 * 60 * 60 * 1000);
+const MAX_CHARS = Number(process.env.TRANSLATION_CACHE_MAX_CHARS || 500);
+const MAX_ENTRIES = Number(process.env.TRANSLATION_CACHE_MAX_ENTRIES || 100000);
+// Hot phrases stay in the warm instance's memory as well.
+const MEMORY_ENTRIES = Number(process.env.TRANSLATION_CACHE_MEMORY_ENTRIES || 1000);
+const PRUNE_BATCH = 500;
+
+const memory = new Map(); // key → entry, oldest first
+let pendingStats = {}; // counter → increment, written by flushCacheStats
+
+function count(name, n = 1) {
+  if (n === 0) return;
+  pendingStats[name] = (pendingStats[name] || 0) + n;
+}
+
+function cacheRef(path = '') {
+  return admin.database().ref(`/translationCache${path}`);
+}
+
+function remember(key, entry) {
+  memory.delete(key);
+  memory.set(key, entry);
+  if (memory.size > MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+}
+
+/** First unexpired entry among `keys` in order, or null; read errors count as misses. */
+async function lookup(keys) {
+  const now = Date.now();
+  for (const key of keys) {
+    const hit = memory.get(key);
+    if (hit && hit.expiresAt > now) return hit;
+  }
+  if (CACHE_STORE !== 'rtdb') return null;
+  const snaps = await Promise.all(keys.map((key) => cacheRef(`/${key}`).once('value').catch((e) => {
+    console.error('Translation cache read failed:', key, e.message);
+    return null;
+  })));
+  for (let i = 0; i < keys.length; i += 1) {
+    const entry = snaps[i] && snaps[i].val();
+    if (entry && entry.expiresAt > now && typeof entry.text === 'string') {
+      remember(keys[i], entry);
+      return entry;
+    }
+  }
+  return null;
+}
+
+async function store(key, entry) {
+  remember(key, entry);
+  if (CACHE_STORE !== 'rtdb') return;
+  let created = false;
+  try {
+    const { committed } = await cacheRef(`/${key}`).transaction((current) => {
+      if (current && current.expiresAt > Date.now()) return undefined; // another instance was first
+      created = !current;
+      return entry;
+    }, undefined, false);
+    if (committed) count('writes');
+    if (committed && created) await admin.database().ref('/translationCacheStats/entries').set(admin.database.ServerValue.increment(1));
+  } catch (e) {
+    console.error('Translation cache write failed:', key, e.message);
+  }
+}
+
+/**
+ * `translate()` (translators/index.js) behind the cache. Calls with `hints.context` and results
+ * that miss a glossary rendering are not cached.
+ * @param {{ context?: object[], glossary?: object[] }} [hints] passed on to translate()
+ * @returns {Promise<{ text: string, provider: string, model: string|null, ms: number, failed: object[], cached: boolean }>}
+ * @throws {TranslationError} as translate()
+ */
+async function translateCached(text, sourceLang, targetLang, hints = {}) {
+  const normalized = normalizeText(text);
+  const hasContext = Array.isArray(hints.context) && hints.context.length > 0;
+  const cacheable = CACHE_STORE !== 'none' && normalized.length <= MAX_CHARS && !hasContext;
+  const steps = cacheable ? configuredRoute(sourceLang, targetLang) : [];
+  const keys = steps.map((step) => cacheKey(step, sourceLang, targetLang, normalized, hints.glossary || []));
+
+  if (cacheable) {
+    const started = Date.now();
+    const hit = await lookup(keys);
+    if (hit) {
+      count('hits');
+      count('charsSaved', normalized.length);
+      return { text: hit.text, provider: hit.provider, model: hit.model || null, ms: Date.now() - started, failed: [], cached: true };
+    }
+    count('misses');
+  }
+
+  const result = await translate(text, sourceLang, targetLang, hints);
+  if (cacheable && !result.glossaryMissing) {
+    const i = steps.findIndex((s) => s.provider === result.provider);
+    const now = Date.now();
+    if (i >= 0) {
+      await store(keys[i], {
+        text: result.text,
+        provider: result.provider,
+        model: result.model || null,
+        sourceLang: cacheLanguage(sourceLang),
+        targetLang: cacheLanguage(targetLang),
+        source: normalized,
+        createdAt: now,
+        expiresAt: now + TTL_MS,
+      });
+    }
+  }
+  return { ...result, cached: false };
+}
+
+function statsDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/** Write the counters gathered since the last flush; call before a function returns. */
+async function flushCacheStats() {
+  const stats = pendingStats;
+  pendingStats = {};
+  if (CACHE_STORE !== 'rtdb' || Object.keys(stats).length === 0) return;
+  const updates = {};
+  for (const [name, n] of Object.entries(stats)) {
+    updates[`${statsDay()}/${name}`] = admin.database.ServerValue.increment(n);
+  }
+  try {
+    await admin.database().ref('/translationCacheStats/daily').update(updates);
+  } catch (e) {
+    console.error('Translation cache stats write failed:', e.message);
+  }
+}
+
+async function deleteEntries(keys) {
+  for (let i = 0; i < keys.length; i += PRUNE_BATCH) {
+    const updates = {};
+    for (const key of keys.slice(i, i + PRUNE_BATCH)) updates[key] = null;
+    await cacheRef().update(updates);
+  }
+}
+
+/**
+ * Delete expired entries, then the oldest ones above TRANSLATION_CACHE_MAX_ENTRIES.
+ * @returns {Promise<{ expired: number, evicted: number, entries: number }>}
+ */
+async function pruneCache() {
+  let expired = 0;
+  for (;;) {
+    const snap = await cacheRef().orderByChild('expiresAt').endAt(Date.now()).limitToFirst(PRUNE_BATCH).once('value');
+    const keys = Object.keys(snap.val() || {});
+    if (keys.length === 0) break;
+    await deleteEntries(keys);
+    expired += keys.length;
+    if (keys.length < PRUNE_BATCH) break;
+  }
+
+  const entriesRef = admin.database().ref('/translationCacheStats/entries');
+  const { snapshot } = await entriesRef.transaction((n) => Math.max(0, (n || 0) - expired));
+  let entries = snapshot.val() || 0;
+  let evicted = 0;
+  while (entries - evicted > MAX_ENTRIES) {
+    const limit = Math.min(PRUNE_BATCH, entries - evicted - MAX_ENTRIES);
+    const snap = await cacheRef().orderByChild('createdAt').limitToFirst(limit).once('value');
+    const keys = Object.keys(snap.val() || {});
+    if (keys.length === 0) break;
+    await deleteEntries(keys);
+    evicted += keys.length;
+  }
+  if (evicted > 0) {
+    entries = (await entriesRef.transaction((n) => Math.max(0, (n || 0) - evicted))).snapshot.val() || 0;
+  }
+
+  count('expired', expired);
+  count('evicted', evicted);
+  await flushCacheStats();
+  return { expired, evicted, entries };
+}
+
+module.exports = {
+  translateCached,
+  flushCacheStats,
+  pruneCache,
+};
@@ -0,0 +1,123 @@
+/**
+ * Makes onMessageCreated safe to run more than once per message, and retries what is worth retrying.
+ *
+ * Cloud Functions delivers events at least once, and with `failurePolicy` an invocation that throws
+ * is delivered again. Every run first claims the message's job:
+ *
+ *   /rooms/{roomId}/messages/{messageId}/translationJob =
+ *     { state: 'running' | 'retry' | 'done', eventId, attempt, startedAt, finishedAt?, error? }
+ *
+ * A 'done' job, or a 'running' one younger than TRANSLATION_JOB_LEASE_MS, is left alone. The lease is
+ * at most the function timeout (JOB_TIMEOUT_SECONDS): a run that timed out is dead by then, and
+ * the redelivery of its event must find the job free instead of skipping it. A later run keeps the
+ * languages an earlier one finished (translationInfo/{lang}.status 'done') and redoes the rest.
+ * Events older than TRANSLATION_EVENT_MAX_AGE_MS are not retried any more.
+ *
+ * Transient provider errors (timeouts, 429, 5xx) are retried in-process with exponential backoff
+ * and jitter: TRANSLATION_RETRIES more tries, starting at TRANSLATION_RETRY_BASE_MS.
+ */
+
+// onMessageCreated's timeoutSeconds (the Gen 1 maximum)
+const JOB_TIMEOUT_SECONDS = 540;
+const LEASE_MS = Math.min(Number(process.env.TRANSLATION_JOB_LEASE_MS || JOB_TIMEOUT_SECONDS * 1000), JOB_TIMEOUT_SECONDS * 1000);
+const EVENT_MAX_AGE_MS = Number(process.env.TRANSLATION_EVENT_MAX_AGE_MS || 15 * 60 * 1000);
+const RETRIES = Number(process.env.TRANSLATION_RETRIES ?? 2);
+const RETRY_BASE_MS = Number(process.env.TRANSLATION_RETRY_BASE_MS || 500);
+const RETRY_MAX_MS = Number(process.env.TRANSLATION_RETRY_MAX_MS || 8000);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Take the message's job unless another run has it or it is done.
+ * @param {object} messageRef /rooms/{roomId}/messages/{messageId}
+ * @param {string} eventId context.eventId
+ * @returns {Promise<{ claimed: boolean, attempt: number, job: object|null }>} job: what blocked the claim
+ */
+async function claimTranslationJob(messageRef, eventId) {
+  const now = Date.now();
+  let attempt = 0;
+  const result = await messageRef.child('translationJob').transaction((job) => {
+    if (job && job.state === 'done') return undefined;
+    if (job && job.state === 'running' && now - Number(job.startedAt || 0) < LEASE_MS) return undefined;
+    attempt = (job && Number(job.attempt)) ? Number(job.attempt) + 1 : 1;
+    return { state: 'running', eventId, attempt, startedAt: now };
+  });
+  return { claimed: result.committed, attempt, job: result.committed ? null : result.snapshot.val() };
+}
+
+/** Mark the job done. */
+async function finishTranslationJob(messageRef) {
+  await messageRef.child('translationJob').update({ state: 'done', finishedAt: Date.now() });
+}
+
+/** Let the next delivery of the event take the job over (before rethrowing). */
+async function releaseTranslationJob(messageRef, error) {
+  try {
+    await messageRef.child('translationJob').update({ state: 'retry', error: error.code || 'internal_error' });
+  } catch (e) {
+    console.error('❌ Failed to release translation job:', e.message);
+  }
+}
+
+/**
+ * Give up on a message whose event won't be delivered again: the job is done, and every language
+ * (and translatedAudio entry) still pending is marked failed so the app stops waiting for it.
+ */
+async function abandonTranslationJob(messageRef, error) {
+  const code = error.code || 'internal_error';
+  try {
+    const [info, audio] = await Promise.all([
+      messageRef.child('translationInfo').once('value').then((snap) => snap.val() || {}),
+      messageRef.child('translatedAudio').once('value').then((snap) => snap.val() || {}),
+    ]);
+    const update = { 'translationJob/state': 'done', 'translationJob/finishedAt': Date.now(), 'translationJob/error': code };
+    Object.entries(info).forEach(([key, value]) => {
+      if (value && value.status === 'pending') update[`translationInfo/${key}`] = { status: 'failed', error: code };
+    });
+    Object.entries(audio).forEach(([key, value]) => {
+      if (value && value.pending) update[`translatedAudio/${key}`] = { error: code };
+    });
+    await messageRef.update(update);
+  } catch (e) {
+    console.error('❌ Failed to abandon translation job:', e.message);
+  }
+}
+
+/** Whether a failed event is still worth delivering again. */
+function shouldRetryEvent(context) {
+  const age = Date.now() - Date.parse(context.timestamp);
+  return Number.isFinite(age) && age < EVENT_MAX_AGE_MS;
+}
+
+/**
+ * Run `fn` again after transient errors (`e.transient`), backing off exponentially.
+ * @returns {Promise<{ result: *, attempts: number }>}
+ * @throws the last error, with `attempts` set
+ */
+async function withRetries(fn, label) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return { result: await fn(), attempts: attempt };
+    } catch (e) {
+      if (!e.transient || attempt > RETRIES) {
+        e.attempts = attempt;
+        throw e;
+      }
+      const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+      console.warn(`↻ ${label}: ${e.code || e.message} (try ${attempt}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  JOB_TIMEOUT_SECONDS,
+  claimTranslationJob,
+  finishTranslationJob,
+  releaseTranslationJob,
+  abandonTranslationJob,
+  shouldRetryEvent,
+  withRetries,
+};
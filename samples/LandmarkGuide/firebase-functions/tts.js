@@ -0,0 +1,310 @@
+/**
+ * Server-side speech for onMessageCreated: each target language's translation is synthesized once
+ * and stored in Cloud Storage, instead of every listener's phone calling TTS for the same text.
+ * Off unless TTS_ENABLED=true (it costs a TTS call and a Storage object per message and language).
+ *
+ *   Storage   tts/{roomId}/{messageId}/{lang}.{mp3|wav}
+ *   /rooms/{roomId}/messages/{messageId}/translatedAudio/{lang} =
+ *     { pending: true } from the moment the translation is written (see willSynthesize), then
+ *     { url, path, format, contentType, durationMs, bytes, provider, voice, createdAt }
+ *     or { error } when synthesis failed (the app falls back to its own TTS)
+ *
+ * A message's audio is deleted with the message (onMessageDeleted → deleteMessageAudio), whatever
+ * removed it: roomLifecycle, the app or the console.
+ *
+ * `lang` keys are the same as translatedTexts'. Only languages translated in this run
+ * (translationInfo status 'done') get audio. `url` is a Firebase Storage download URL (token in the object's metadata), so it
+ * needs no signing permission and works against the Storage emulator (FIREBASE_STORAGE_EMULATOR_HOST).
+ *
+ * Providers: `google` (Cloud Text-to-Speech v1 with the function's service account; the app's
+ * GoogleTTSService voices and speaking rate by default) or `openai` (`audio.speech`).
+ * TTS_VOICES overrides provider and voice per room language:
+ *   { "ko": "ko-KR-Neural2-C", "ar-EG": "ar-XA-Wavenet-B", "en": { "provider": "openai", "voice": "alloy" } }
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const OpenAI = require('openai');
+const { GoogleAuth } = require('google-auth-library');
+const { findLanguage } = require('./shared/languages');
+
+const TTS_ENABLED = process.env.TTS_ENABLED === 'true';
+const TTS_PROVIDER = process.env.TTS_PROVIDER || 'google';
+const TTS_LANGUAGES = (process.env.TTS_LANGUAGES || '').split(',').map((s) => s.trim()).filter(Boolean);
+const TTS_AUDIO_FORMAT = process.env.TTS_AUDIO_FORMAT || 'mp3';
+const TTS_SPEAKING_RATE = Number(process.env.TTS_SPEAKING_RATE || 1.2);
+const TTS_MAX_CHARS = Number(process.env.TTS_MAX_CHARS || 1000);
+const TTS_TIMEOUT_MS = Number(process.env.TTS_TIMEOUT_MS || 15000);
+const TTS_OPENAI_MODEL = process.env.TTS_OPENAI_MODEL || 'tts-1';
+
+const FORMATS = {
+  mp3: { contentType: 'audio/mpeg', google: 'MP3', openai: 'mp3' },
+  wav: { contentType: 'audio/wav', google: 'LINEAR16', openai: 'wav' },
+};
+if (!FORMATS[TTS_AUDIO_FORMAT]) throw new Error(`TTS_AUDIO_FORMAT must be one of: ${Object.keys(FORMATS).join(', ')}`);
+
+// Same defaults as the app's GoogleTTSService.VOICE_MAPPING
+const GOOGLE_VOICES = {
+  ko: 'ko-KR-Neural2-A',
+  en: 'en-US-Neural2-D',
+  ar: 'ar-XA-Standard-B',
+  es: 'es-ES-Neural2-B',
+};
+
+// Cloud TTS language codes that differ from the STT tag
+const GOOGLE_LANGUAGE_CODES = {
+  ar: 'ar-XA',
+  zh: 'cmn-CN',
+  'zh-TW': 'cmn-TW',
+};
+
+const OPENAI_VOICE = 'alloy';
+
+class TtsError extends Error {
+  /**
+   * @param {string} code snake_case, e.g. 'timeout', 'http_403', 'too_long'
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'TtsError';
+    this.code = code;
+  }
+}
+
+function loadVoices() {
+  if (!process.env.TTS_VOICES) return {};
+  let json;
+  try {
+    json = JSON.parse(process.env.TTS_VOICES);
+  } catch (e) {
+    throw new Error(`TTS_VOICES is not valid JSON: ${e.message}`);
+  }
+  const voices = {};
+  for (const [lang, v] of Object.entries(json)) {
+    const code = findLanguage(lang);
+    if (!code) throw new Error(`TTS_VOICES: unsupported language "${lang}"`);
+    const voice = typeof v === 'string' ? { voice: v } : v;
+    if (!voice || typeof voice !== 'object' || (voice.provider && !['google', 'openai'].includes(voice.provider))) {
+      throw new Error(`TTS_VOICES["${lang}"] must be a voice name or { provider: "google" | "openai", voice }`);
+    }
+    voices[code.code] = voice;
+  }
+  return voices;
+}
+
+const VOICES = loadVoices();
+
+/** Provider and voice for a room language: TTS_VOICES (variant, then base), else the provider's default. */
+function voiceFor(lang) {
+  const language = findLanguage(lang);
+  const configured = VOICES[language.code] || VOICES[language.base] || {};
+  const provider = configured.provider || TTS_PROVIDER;
+  if (provider === 'openai') return { provider, voice: configured.voice || OPENAI_VOICE };
+  const voice = configured.voice || (language.code === language.base ? GOOGLE_VOICES[language.base] : null) || null;
+  // A voice name starts with its language code ("ar-XA-Wavenet-B")
+  const languageCode = voice
+    ? voice.split('-').slice(0, 2).join('-')
+    : GOOGLE_LANGUAGE_CODES[language.code] || GOOGLE_LANGUAGE_CODES[language.base] || language.sttTag;
+  return { provider, voice, languageCode };
+}
+
+let auth = null;
+let openaiClient = null;
+
+async function synthesizeGoogle(text, voice, format, signal) {
+  if (!auth) auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+  const client = await auth.getClient();
+  const tokenResponse = await client.getAccessToken();
+  const accessToken = tokenResponse && tokenResponse.token ? tokenResponse.token : tokenResponse;
+  const resp = await fetch('https://texttospeech.googleapis.com/v1/text:synthesize', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+    body: JSON.stringify({
+      input: { text },
+      voice: { languageCode: voice.languageCode, ...(voice.voice ? { name: voice.voice } : {}) },
+      audioConfig: { audioEncoding: FORMATS[format].google, speakingRate: TTS_SPEAKING_RATE },
+    }),
+    signal,
+  });
+  const body = await resp.text();
+  if (!resp.ok) throw new TtsError(`http_${resp.status}`, `google tts returned ${resp.status}: ${body.slice(0, 300)}`);
+  const json = JSON.parse(body || '{}');
+  return Buffer.from(json.audioContent || '', 'base64');
+}
+
+async function synthesizeOpenAI(text, voice, format, signal) {
+  if (!process.env.OPENAI_API_KEY) throw new TtsError('not_configured', 'OPENAI_API_KEY is not set');
+  if (!openaiClient) openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+  try {
+    const resp = await openaiClient.audio.speech.create({
+      model: TTS_OPENAI_MODEL,
+      voice: voice.voice,
+      input: text,
+      response_format: FORMATS[format].openai,
+      speed: TTS_SPEAKING_RATE,
+    }, { signal });
+    return Buffer.from(await resp.arrayBuffer());
+  } catch (e) {
+    if (e instanceof OpenAI.APIError && e.status) throw new TtsError(`http_${e.status}`, `openai tts: ${e.message}`);
+    throw e;
+  }
+}
+
+// MPEG-1 / MPEG-2 / MPEG-2.5 Layer III tables
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+/** Duration of an MP3 by walking its frame headers (works for CBR and VBR). */
+function mp3DurationMs(buf) {
+  let i = 0;
+  if (buf.length > 10 && buf.toString('latin1', 0, 3) === 'ID3') {
+    i = 10 + ((buf[6] & 0x7f) << 21 | (buf[7] & 0x7f) << 14 | (buf[8] & 0x7f) << 7 | (buf[9] & 0x7f));
+  }
+  let seconds = 0;
+  while (i + 4 <= buf.length) {
+    if (buf[i] !== 0xff || (buf[i + 1] & 0xe0) !== 0xe0) {
+      i += 1;
+      continue;
+    }
+    const version = (buf[i + 1] >> 3) & 0x03; // 3: MPEG-1, 2: MPEG-2, 0: MPEG-2.5
+    const layer = (buf[i + 1] >> 1) & 0x03; // 1: Layer III
+    const bitrateIndex = buf[i + 2] >> 4;
+    const rateIndex = (buf[i + 2] >> 2) & 0x03;
+    const padding = (buf[i + 2] >> 1) & 0x01;
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+      i += 1;
+      continue;
+    }
+    const bitrate = MP3_BITRATES[version === 3 ? 1 : 2][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[version][rateIndex];
+    const samples = version === 3 ? 1152 : 576;
+    seconds += samples / sampleRate;
+    i += Math.floor((samples / 8) * bitrate / sampleRate) + padding;
+  }
+  return Math.round(seconds * 1000);
+}
+
+/** Duration of a WAV from its fmt chunk and the bytes actually present after `data`. */
+function wavDurationMs(buf) {
+  let i = 12;
+  let byteRate = 0;
+  while (i + 8 <= buf.length) {
+    const id = buf.toString('latin1', i, i + 4);
+    const size = buf.readUInt32LE(i + 4);
+    if (id === 'fmt ') byteRate = buf.readUInt32LE(i + 16);
+    if (id === 'data') return byteRate ? Math.round(((buf.length - i - 8) / byteRate) * 1000) : 0;
+    i += 8 + size + (size % 2);
+  }
+  return 0;
+}
+
+function downloadUrl(bucket, path, token) {
+  const host = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+  const base = host ? `http://${host.replace(/^https?:\/\//, '')}` : 'https://firebasestorage.googleapis.com';
+  return `${base}/v0/b/${bucket}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+}
+
+function storageBucket() {
+  const name = process.env.TTS_BUCKET || JSON.parse(process.env.FIREBASE_CONFIG || '{}').storageBucket;
+  if (!name) throw new TtsError('not_configured', 'No Storage bucket (set TTS_BUCKET)');
+  return admin.storage().bucket(name);
+}
+
+/**
+ * Synthesize `text` in room language `lang` and upload it.
+ * @returns {Promise<object>} the translatedAudio entry
+ * @throws {TtsError|Error}
+ */
+async function synthesizeToStorage(text, lang, path) {
+  if (text.length > TTS_MAX_CHARS) throw new TtsError('too_long', `${text.length} characters (TTS_MAX_CHARS ${TTS_MAX_CHARS})`);
+  const voice = voiceFor(lang);
+  const format = TTS_AUDIO_FORMAT;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TTS_TIMEOUT_MS);
+  let audio;
+  try {
+    audio = voice.provider === 'openai'
+      ? await synthesizeOpenAI(text, voice, format, controller.signal)
+      : await synthesizeGoogle(text, voice, format, controller.signal);
+  } catch (e) {
+    if (controller.signal.aborted) throw new TtsError('timeout', `${voice.provider} tts timed out`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+  if (audio.length === 0) throw new TtsError('empty_audio', `${voice.provider} tts returned no audio`);
+
+  const bucket = storageBucket();
+  const token = crypto.randomUUID();
+  const filePath = `${path}.${format}`;
+  await bucket.file(filePath).save(audio, {
+    resumable: false,
+    contentType: FORMATS[format].contentType,
+    metadata: {
+      cacheControl: 'public, max-age=86400',
+      metadata: { firebaseStorageDownloadTokens: token },
+    },
+  });
+  return {
+    url: downloadUrl(bucket.name, filePath, token),
+    path: filePath,
+    format,
+    contentType: FORMATS[format].contentType,
+    durationMs: format === 'mp3' ? mp3DurationMs(audio) : wavDurationMs(audio),
+    bytes: audio.length,
+    provider: voice.provider,
+    voice: voice.voice || voice.languageCode,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * Whether synthesizeMessageAudio will make audio for room language `lang`; onMessageCreated then
+ * writes `{ pending: true }` with the translation so the app knows to wait for the file.
+ */
+function willSynthesize(lang) {
+  return TTS_ENABLED && (TTS_LANGUAGES.length === 0 || TTS_LANGUAGES.includes(lang));
+}
+
+/**
+ * Synthesize every language of a message and write translatedAudio/{key} as each one is ready.
+ * Never throws; failures are written as `{ error }` and logged.
+ * @param {object} messageRef /rooms/{roomId}/messages/{messageId}
+ * @param {string} roomId
+ * @param {string} messageId
+ * @param {{ lang: string, text: string, keys: string[] }[]} items room code, its text, translatedTexts keys
+ */
+async function synthesizeMessageAudio(messageRef, roomId, messageId, items) {
+  await Promise.all(items.filter((item) => willSynthesize(item.lang)).map(async ({ lang, text, keys }) => {
+    const started = Date.now();
+    let entry;
+    try {
+      entry = await synthesizeToStorage(text, lang, `tts/${roomId}/${messageId}/${lang}`);
+      console.log(`🔊 TTS ${lang} (${entry.provider}, ${entry.durationMs}ms audio) in ${Date.now() - started}ms`);
+    } catch (e) {
+      console.error(`❌ TTS failed for ${lang}:`, e.code || '-', e.message);
+      entry = { error: e.code || 'tts_failed' };
+    }
+    const update = {};
+    keys.forEach((key) => {
+      update[key] = entry;
+    });
+    try {
+      await messageRef.child('translatedAudio').update(update);
+    } catch (e) {
+      console.error(`❌ translatedAudio write failed for ${lang}:`, e.message);
+    }
+  }));
+}
+
+/** Delete the Storage audio of a deleted message (a no-op for messages without translatedAudio). */
+async function deleteMessageAudio(roomId, messageId, message) {
+  if (!message || !message.translatedAudio) return;
+  await storageBucket().deleteFiles({ prefix: `tts/${roomId}/${messageId}/`, force: true });
+}
+
+module.exports = { synthesizeMessageAudio, willSynthesize, deleteMessageAudio };
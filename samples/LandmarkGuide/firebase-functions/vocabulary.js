@@ -0,0 +1,65 @@
+/**
+ * Phrase hints (speech adaptation) for sttRecognizeV2 / onSttRequestCreated.
+ *
+ * Registry layout, validation and merge rules are shared with the Cloud Run bridge
+ * (shared/vocabulary.js); this module reads the registry and builds Google's `adaptation`.
+ */
+
+const admin = require('firebase-admin');
+const {
+  VocabularyError,
+  parseVocabulary,
+  scopePaths,
+  scopePhrases,
+  mergePhrases,
+  phrasesForLanguages,
+} = require('./shared/vocabulary');
+
+const CACHE_MS = Number(process.env.STT_VOCABULARY_CACHE_MS || 60000);
+
+/**
+ * Validate `phraseHints` / `vocabulary` of a request body (or RTDB request).
+ * @returns {{ hints: object[], place: string|null, room: string|null }}
+ * @throws {VocabularyError}
+ */
+function parseVocabularyRequest(data) {
+  const rawHints = data.phraseHints === undefined || data.phraseHints === null ? [] : data.phraseHints;
+  // RTDB stores arrays as objects keyed by index.
+  const hints = rawHints && typeof rawHints === 'object' && !Array.isArray(rawHints) ? Object.values(rawHints) : rawHints;
+  return parseVocabulary(hints, data.vocabulary === null ? undefined : data.vocabulary);
+}
+
+// Per function instance; a warm instance serves many requests.
+const cache = new Map(); // RTDB path → { at, phrases }
+
+async function readScope(path) {
+  const hit = cache.get(path);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.phrases;
+  const snap = await admin.database().ref(path).child('phrases').once('value');
+  const phrases = scopePhrases(snap.val());
+  cache.set(path, { at: Date.now(), phrases });
+  return phrases;
+}
+
+/**
+ * Google STT v2 `adaptation` for a request, or undefined without phrases. Registry read errors are
+ * logged and only lose the registry phrases.
+ * @param {{ hints: object[], place: string|null, room: string|null }} voc see parseVocabularyRequest
+ * @param {string[]} languageCodes
+ */
+async function buildAdaptation(voc, languageCodes) {
+  const lists = await Promise.all(scopePaths(voc).map((path) => readScope(path).catch((e) => {
+    console.error('Vocabulary read failed:', path, e.message);
+    return [];
+  })));
+  const phrases = phrasesForLanguages(mergePhrases([voc.hints, ...lists]), languageCodes)
+    .map(({ value, boost }) => (boost === null ? { value } : { value, boost }));
+  if (phrases.length === 0) return undefined;
+  return { phraseSets: [{ inlinePhraseSet: { phrases } }] };
+}
+
+module.exports = {
+  VocabularyError,
+  parseVocabularyRequest,
+  buildAdaptation,
+};
@@ -0,0 +1,224 @@
+/**
+ * Language registry: the languages rooms may use, and how each one is spelled for its consumers.
+ *
+ * Three spellings of a language meet here:
+ * - room code  what users pick and what translatedTexts/translationInfo are keyed by: the base
+ *              language ("ar"), or base-REGION for a regional variant we translate separately ("ar-EG")
+ * - STT tag    the full BCP-47 tag recognizers want ("ar-SA", "ar-EG", "ko-KR")
+ * - name       the English name LLM prompts use ("Saudi Arabic", "Egyptian Arabic")
+ *
+ * resolveLanguage() accepts any BCP-47 tag (case-insensitive, "_" allowed as separator) and throws
+ * LanguageError for tags it can't parse or languages not listed below. A bare base code means the
+ * default region (`ar` → Saudi Arabic, ar-SA), so rooms created before variants keep their meaning.
+ * A region we don't list for a supported language (e.g. en-NZ) translates like the base language
+ * but keeps its own STT tag.
+ *
+ * Used by firebase-functions and cloudrun-stt-streaming alike (see README.md in this folder).
+ */
+
+// `scripts`: writing systems of the language as scriptOf() reports them (first one is the main one).
+const LANGUAGES = {
+  ko: { name: 'Korean', nativeName: '한국어', scripts: ['Hang'], region: 'KR' },
+  en: {
+    name: 'English',
+    nativeName: 'English',
+    scripts: ['Latn'],
+    region: 'US',
+    variants: {
+      GB: { name: 'British English' },
+      AU: { name: 'Australian English' },
+      IN: { name: 'Indian English' },
+    },
+  },
+  ar: {
+    name: 'Saudi Arabic',
+    nativeName: 'العربية',
+    scripts: ['Arab'],
+    region: 'SA',
+    variants: {
+      AE: { name: 'Gulf Arabic (Emirati)' },
+      KW: { name: 'Gulf Arabic (Kuwaiti)' },
+      QA: { name: 'Gulf Arabic (Qatari)' },
+      EG: { name: 'Egyptian Arabic' },
+      JO: { name: 'Levantine Arabic (Jordanian)' },
+      LB: { name: 'Levantine Arabic (Lebanese)' },
+      MA: { name: 'Moroccan Arabic' },
+    },
+  },
+  es: {
+    name: 'Castilian Spanish',
+    nativeName: 'Español',
+    scripts: ['Latn'],
+    region: 'ES',
+    variants: {
+      MX: { name: 'Mexican Spanish' },
+      US: { name: 'US Spanish' },
+      AR: { name: 'Argentine Spanish' },
+    },
+  },
+  ja: { name: 'Japanese', nativeName: '日本語', scripts: ['Jpan', 'Hani'], region: 'JP' },
+  zh: {
+    name: 'Simplified Chinese',
+    nativeName: '中文',
+    scripts: ['Hani'],
+    region: 'CN',
+    variants: {
+      TW: { name: 'Traditional Chinese (Taiwan)' },
+    },
+  },
+  fr: { name: 'French', nativeName: 'Français', scripts: ['Latn'], region: 'FR' },
+  de: { name: 'German', nativeName: 'Deutsch', scripts: ['Latn'], region: 'DE' },
+  it: { name: 'Italian', nativeName: 'Italiano', scripts: ['Latn'], region: 'IT' },
+  pt: {
+    name: 'Brazilian Portuguese',
+    nativeName: 'Português',
+    scripts: ['Latn'],
+    region: 'BR',
+    variants: {
+      PT: { name: 'European Portuguese' },
+    },
+  },
+  ru: { name: 'Russian', nativeName: 'Русский', scripts: ['Cyrl'], region: 'RU' },
+  tr: { name: 'Turkish', nativeName: 'Türkçe', scripts: ['Latn'], region: 'TR' },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी', scripts: ['Deva'], region: 'IN' },
+  th: { name: 'Thai', nativeName: 'ไทย', scripts: ['Thai'], region: 'TH' },
+  vi: { name: 'Vietnamese', nativeName: 'Tiếng Việt', scripts: ['Latn'], region: 'VN' },
+  id: { name: 'Indonesian', nativeName: 'Bahasa Indonesia', scripts: ['Latn'], region: 'ID' },
+};
+
+// Script subtags that pick a variant when the tag has no region (zh-Hant → zh-TW).
+const SCRIPT_REGIONS = {
+  'zh-Hant': 'TW',
+  'zh-Hans': 'CN',
+};
+
+// language[-script][-region][-anything else, ignored]
+const TAG_RE = /^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z]{2}|\d{3}))?(?:-[a-z0-9]{1,8})*$/i;
+
+// Letters per writing system, for scriptOf()
+const SCRIPT_RES = [
+  ['Hang', /\p{Script=Hangul}/gu],
+  ['Jpan', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ['Hani', /\p{Script=Han}/gu],
+  ['Arab', /\p{Script=Arabic}/gu],
+  ['Cyrl', /\p{Script=Cyrillic}/gu],
+  ['Deva', /\p{Script=Devanagari}/gu],
+  ['Thai', /\p{Script=Thai}/gu],
+  ['Latn', /\p{Script=Latin}/gu],
+];
+
+class LanguageError extends Error {
+  /**
+   * @param {string} code 'invalid_language_tag' | 'unsupported_language'
+   * @param {string} message
+   * @param {string} [details]
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'LanguageError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * @param {string} tag BCP-47 tag, e.g. 'ar-EG', 'zh_Hant_TW', 'KO'
+ * @returns {{ language: string, script: string|null, region: string|null }|null} null if malformed
+ */
+function parseLanguageTag(tag) {
+  const m = TAG_RE.exec(String(tag || '').trim().replace(/_/g, '-'));
+  if (!m) return null;
+  return {
+    language: m[1].toLowerCase(),
+    script: m[2] ? m[2][0].toUpperCase() + m[2].slice(1).toLowerCase() : null,
+    region: m[3] ? m[3].toUpperCase() : null,
+  };
+}
+
+/**
+ * @param {string} tag
+ * @returns {{ code: string, base: string, region: string, sttTag: string, name: string,
+ *             nativeName: string, scripts: string[] }|null} null if malformed or unsupported
+ */
+function findLanguage(tag) {
+  const parsed = parseLanguageTag(tag);
+  const entry = parsed && LANGUAGES[parsed.language];
+  if (!entry) return null;
+  const base = parsed.language;
+  const region = parsed.region || SCRIPT_REGIONS[`${base}-${parsed.script}`] || entry.region;
+  const variant = region !== entry.region && entry.variants && entry.variants[region];
+  return {
+    code: variant ? `${base}-${region}` : base,
+    base,
+    region,
+    sttTag: `${base}-${region}`,
+    name: variant ? variant.name : entry.name,
+    nativeName: entry.nativeName,
+    scripts: entry.scripts,
+  };
+}
+
+/**
+ * Like findLanguage(), but throws.
+ * @throws {LanguageError}
+ */
+function resolveLanguage(tag) {
+  const lang = findLanguage(tag);
+  if (lang) return lang;
+  if (!parseLanguageTag(tag)) {
+    throw new LanguageError('invalid_language_tag', `Invalid language tag: ${String(tag).slice(0, 35)}`, 'Use a BCP-47 tag such as "ko", "en-US" or "ar-EG"');
+  }
+  throw new LanguageError('unsupported_language', `Unsupported language: ${String(tag).slice(0, 35)}`, `Supported: ${Object.keys(LANGUAGES).join(', ')}`);
+}
+
+/** Room code for a tag ('ar-SA' → 'ar', 'ar_eg' → 'ar-EG'), or null if unsupported. */
+function roomLanguage(tag) {
+  const lang = findLanguage(tag);
+  return lang ? lang.code : null;
+}
+
+/** English name for prompts; the tag itself when unsupported. */
+function languageName(tag) {
+  const lang = findLanguage(tag);
+  return lang ? lang.name : tag;
+}
+
+/**
+ * STT tags for a request's `languageCodes` ('ko' → 'ko-KR'); 'auto' passes through.
+ * @throws {LanguageError}
+ */
+function sttLanguageTags(codes) {
+  return [...new Set(codes.map((c) => (String(c).toLowerCase() === 'auto' ? 'auto' : resolveLanguage(c).sttTag)))];
+}
+
+/** Main writing system of `text` ('Hang', 'Latn', ...; 'Jpan' for kana without Hangul), null without letters. */
+function scriptOf(text) {
+  let best = null;
+  let bestCount = 0;
+  for (const [script, re] of SCRIPT_RES) {
+    const count = (String(text).match(re) || []).length;
+    if (script === 'Jpan' && count > 0 && !best) return 'Jpan';
+    if (count > bestCount) {
+      best = script;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/** Base languages written in `script`. */
+function languagesForScript(script) {
+  return Object.keys(LANGUAGES).filter((base) => LANGUAGES[base].scripts.includes(script));
+}
+
+module.exports = {
+  LanguageError,
+  parseLanguageTag,
+  findLanguage,
+  resolveLanguage,
+  roomLanguage,
+  languageName,
+  sttLanguageTags,
+  scriptOf,
+  languagesForScript,
+};
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * Copy this folder into a package as `<package>/shared/` (run from the package: `npm run sync-shared`).
+ *
+ * firebase-functions and cloudrun-stt-streaming each deploy only their own directory, so the
+ * shared modules travel inside them as a generated, git-ignored copy. Edit the files here, never
+ * the copies; `npm start`, `firebase deploy` and the Cloud Run deploy steps sync first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SKIP = new Set(['sync.js', 'README.md']);
+
+const target = path.join(process.cwd(), 'shared');
+fs.rmSync(target, { recursive: true, force: true });
+fs.cpSync(__dirname, target, {
+  recursive: true,
+  filter: (src) => path.dirname(src) !== __dirname || !SKIP.has(path.basename(src)),
+});
+console.log(`Synced ${path.relative(process.cwd(), __dirname)} → shared/`);
@@ -0,0 +1,41 @@
+/**
+ * Keys of the shared translation cache (/translationCache/{key}), used by
+ * firebase-functions/translationCache.js and cloudrun-stt-streaming/translationCache.js so both
+ * read and write the same entries.
+ *
+ * `key` is the sha1 of provider, model, source/target language and the normalized source text
+ * (Unicode NFC, trimmed, whitespace collapsed), so a different model never serves another's output.
+ * Glossary renderings applied to the text are part of the key (a glossary edit starts fresh entries).
+ */
+
+const crypto = require('crypto');
+const { baseLanguage } = require('./translators/base');
+const { roomLanguage } = require('./languages');
+
+function normalizeText(text) {
+  return String(text).normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+// Room code ('ko', 'ar-EG'); a bare base code keeps keys written before regional variants valid.
+function cacheLanguage(lang) {
+  return roomLanguage(lang) || baseLanguage(lang);
+}
+
+/**
+ * @param {{ provider: string, model?: string }} step a configuredRoute() step
+ * @param {string} normalized normalizeText() of the source text
+ * @param {{ term: string, rendering: string }[]} [glossary]
+ * @returns {string} hex sha1
+ */
+function cacheKey(step, sourceLang, targetLang, normalized, glossary = []) {
+  const parts = [step.provider, step.model || '', cacheLanguage(sourceLang), cacheLanguage(targetLang), normalized];
+  // Left out when empty so keys without a glossary keep their original shape.
+  if (glossary.length > 0) parts.push(glossary.map((g) => [g.term, g.rendering]).sort());
+  return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+}
+
+module.exports = {
+  normalizeText,
+  cacheLanguage,
+  cacheKey,
+};
@@ -0,0 +1,172 @@
+/**
+ * Common shape for translation backends behind onMessageCreated (see index.js in this folder);
+ * the Cloud Run bridge's inline translation uses the OpenAI one directly.
+ *
+ * A translator is constructed from one route step ({ provider, model, timeoutMs }) and has:
+ * - `async translate(text, sourceLang, targetLang, signal, hints)` → { text, model }
+ *   `text` is at most `static MAX_INPUT_CHARS` long (longer messages are split by the caller);
+ *   `signal` aborts the request when the step times out. Throws a TranslationError.
+ *   `hints` (both optional, use what the backend supports):
+ *     context   earlier messages of the conversation, oldest first: [{ speaker, text, translation? }]
+ *               (`translation` in the target language, when known)
+ *     glossary  terms found in `text` with their required rendering: [{ term, rendering, caseSensitive }]
+ *               Backends without prompt instructions protect them with markup (protectGlossary).
+ *   Languages are room codes from languages.js ('ko', 'ar-EG'); backends map them to their own codes.
+ *
+ * `static isConfigured()` is false when the backend lacks its key/URL; such steps are skipped.
+ */
+
+class TranslationError extends Error {
+  /**
+   * @param {string} code snake_case, e.g. 'timeout', 'truncated', 'http_429'
+   * @param {string} message
+   * @param {{ provider?: string, transient?: boolean, details?: * }} [opts]
+   */
+  constructor(code, message, opts = {}) {
+    super(message);
+    this.name = 'TranslationError';
+    this.code = code;
+    this.provider = opts.provider || null;
+    this.transient = !!opts.transient;
+    this.details = opts.details;
+  }
+}
+
+function baseLanguage(code) {
+  return String(code || '').split(/[-_]/)[0].toLowerCase();
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Regex source for a glossary term; Latin-script edges must be word boundaries. */
+function termPattern(term) {
+  const latinEdge = (ch) => /[A-Za-z0-9]/.test(ch);
+  const start = latinEdge(term[0]) ? '(?<![\\p{L}\\p{N}])' : '';
+  const end = latinEdge(term[term.length - 1]) ? '(?![\\p{L}\\p{N}])' : '';
+  return `${start}${escapeRegExp(term)}${end}`;
+}
+
+function termRegExp(entry) {
+  return new RegExp(termPattern(entry.term), entry.caseSensitive ? 'u' : 'iu');
+}
+
+function escapeMarkup(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/** Strip tags and decode the entities HTML/XML-mode backends return. */
+function unescapeMarkup(s) {
+  return s
+    .replace(/<[^>]*>/g, '')
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * `text` as escaped markup with every glossary term replaced by `open + rendering + close`, for
+ * backends that leave marked-up spans untranslated.
+ */
+function protectGlossary(text, glossary, open, close) {
+  const res = glossary.map(termRegExp);
+  let out = '';
+  let rest = text;
+  for (;;) {
+    let best = null;
+    res.forEach((re, i) => {
+      const m = re.exec(rest);
+      if (m && (!best || m.index < best.index || (m.index === best.index && m[0].length > best.length))) {
+        best = { index: m.index, length: m[0].length, i };
+      }
+    });
+    if (!best) break;
+    out += `${escapeMarkup(rest.slice(0, best.index))}${open}${escapeMarkup(glossary[best.i].rendering)}${close}`;
+    rest = rest.slice(best.index + best.length);
+  }
+  return out + escapeMarkup(rest);
+}
+
+/** Glossary entries whose rendering does not appear in `output`. */
+function missingRenderings(output, glossary) {
+  return glossary.filter((g) => (g.caseSensitive
+    ? !output.includes(g.rendering)
+    : !output.toLowerCase().includes(g.rendering.toLowerCase())));
+}
+
+class Translator {
+  static MAX_INPUT_CHARS = 2000;
+
+  static DEFAULT_MODEL = null;
+
+  /** @param {{ provider: string, model?: string }} step */
+  constructor(step) {
+    this.provider = step.provider;
+    this.model = step.model || this.constructor.DEFAULT_MODEL;
+  }
+
+  static isConfigured() {
+    return true;
+  }
+
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async translate(text, sourceLang, targetLang, signal, hints) {
+    throw new Error('translate() not implemented');
+  }
+
+  /** POST JSON with `signal`; vendor HTTP errors become TranslationErrors (429/5xx are transient). */
+  async postJson(url, body, headers, signal) {
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal,
+      });
+    } catch (e) {
+      throw this.wrapError(e);
+    }
+    const text = await resp.text();
+    if (!resp.ok) {
+      throw new TranslationError(`http_${resp.status}`, `${this.provider} returned ${resp.status}`, {
+        provider: this.provider,
+        transient: resp.status === 429 || resp.status >= 500,
+        details: text.slice(0, 500),
+      });
+    }
+    try {
+      return JSON.parse(text || '{}');
+    } catch (e) {
+      throw new TranslationError('bad_response', `${this.provider} returned invalid JSON`, { provider: this.provider });
+    }
+  }
+
+  /** Network failures and aborts as TranslationErrors. */
+  wrapError(e) {
+    if (e instanceof TranslationError) return e;
+    if (e && (e.name === 'AbortError' || e.name === 'APIUserAbortError')) {
+      return new TranslationError('timeout', `${this.provider} timed out`, { provider: this.provider, transient: true });
+    }
+    return new TranslationError('request_failed', `${this.provider}: ${e && e.message ? e.message : e}`, {
+      provider: this.provider,
+      transient: true,
+    });
+  }
+}
+
+module.exports = {
+  Translator,
+  TranslationError,
+  baseLanguage,
+  termRegExp,
+  protectGlossary,
+  unescapeMarkup,
+  missingRenderings,
+};
@@ -0,0 +1,66 @@
+/**
+ * DeepL API translator (`/v2/translate`, key in DEEPL_API_KEY; free-plan keys ending in ":fx"
+ * go to api-free.deepl.com).
+ *
+ * Conversation context goes in DeepL's `context` (not translated or billed); glossary terms are
+ * sent as `<x>rendering</x>` with XML tag handling and `x` ignored.
+ *
+ * The route step's model is DeepL's `model_type`: `quality_optimized`, `prefer_quality_optimized`
+ * or `latency_optimized`; without one DeepL picks.
+ */
+
+const {
+  Translator, TranslationError, baseLanguage, protectGlossary, unescapeMarkup,
+} = require('./base');
+const { roomLanguage } = require('../languages');
+
+// DeepL wants a regional variant for these targets; other room variants use the base language.
+const TARGET_VARIANTS = {
+  en: 'EN-US',
+  'en-GB': 'EN-GB',
+  pt: 'PT-BR',
+  'pt-PT': 'PT-PT',
+  zh: 'ZH-HANS',
+  'zh-TW': 'ZH-HANT',
+};
+
+function deeplUrl(apiKey) {
+  if (process.env.DEEPL_API_URL) return process.env.DEEPL_API_URL;
+  return apiKey.endsWith(':fx') ? 'https://api-free.deepl.com/v2/translate' : 'https://api.deepl.com/v2/translate';
+}
+
+function targetCode(lang) {
+  return TARGET_VARIANTS[roomLanguage(lang)] || baseLanguage(lang).toUpperCase();
+}
+
+class DeepLTranslator extends Translator {
+  static MAX_INPUT_CHARS = 5000;
+
+  static isConfigured() {
+    return !!process.env.DEEPL_API_KEY;
+  }
+
+  async translate(text, sourceLang, targetLang, signal, hints = {}) {
+    const apiKey = process.env.DEEPL_API_KEY;
+    const glossary = hints.glossary || [];
+    const xml = glossary.length > 0;
+    const body = {
+      text: [xml ? protectGlossary(text, glossary, '<x>', '</x>') : text],
+      source_lang: baseLanguage(sourceLang).toUpperCase(),
+      target_lang: targetCode(targetLang),
+    };
+    if (xml) {
+      body.tag_handling = 'xml';
+      body.ignore_tags = ['x'];
+    }
+    if (hints.context && hints.context.length > 0) body.context = hints.context.map((c) => c.text).join('\n');
+    if (this.model) body.model_type = this.model;
+    const json = await this.postJson(deeplUrl(apiKey), body, { Authorization: `DeepL-Auth-Key ${apiKey}` }, signal);
+    const raw = json.translations?.[0]?.text;
+    const translated = (xml && raw ? unescapeMarkup(raw) : raw)?.trim();
+    if (!translated) throw new TranslationError('empty_result', 'deepl returned no text', { provider: this.provider });
+    return { text: translated, model: json.translations[0].model_type_used || this.model };
+  }
+}
+
+module.exports = { DeepLTranslator };
@@ -0,0 +1,108 @@
+/**
+ * Google Cloud Translation v3 (`projects/{project}/locations/{location}:translateText`), called
+ * with the function's service account (ADC) like the STT v2 proxy.
+ *
+ * Glossary terms are sent as `<span translate="no">rendering</span>` in HTML mode; the API has no
+ * conversation context.
+ *
+ * Models: `nmt` (default) or `translation-llm` (Translation LLM; needs a location that offers it,
+ * e.g. TRANSLATE_LOCATION=us-central1), or a full `projects/.../models/...` name.
+ *
+ * Also detects the sender language for messages without a usable `senderLanguage` (detect()).
+ */
+
+const { GoogleAuth } = require('google-auth-library');
+const {
+  Translator, TranslationError, baseLanguage, protectGlossary, unescapeMarkup,
+} = require('./base');
+const { roomLanguage } = require('../languages');
+
+const TRANSLATE_LOCATION = process.env.TRANSLATE_LOCATION || 'global';
+
+let auth = null;
+
+async function getAccessToken() {
+  if (!auth) auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+  const client = await auth.getClient();
+  const tokenResponse = await client.getAccessToken();
+  return tokenResponse && tokenResponse.token ? tokenResponse.token : tokenResponse;
+}
+
+// Room languages Translation v3 writes differently from their base language.
+const LANGUAGE_VARIANTS = {
+  zh: 'zh-CN',
+  'zh-TW': 'zh-TW',
+  'pt-PT': 'pt-PT',
+};
+
+function languageCode(lang) {
+  return LANGUAGE_VARIANTS[roomLanguage(lang)] || baseLanguage(lang);
+}
+
+function modelName(model, project) {
+  if (model.startsWith('projects/')) return model;
+  return `projects/${project}/locations/${TRANSLATE_LOCATION}/models/general/${model}`;
+}
+
+class GoogleTranslator extends Translator {
+  // The API takes 30k code points; smaller requests come back faster.
+  static MAX_INPUT_CHARS = 5000;
+
+  static DEFAULT_MODEL = 'nmt';
+
+  async translate(text, sourceLang, targetLang, signal, hints = {}) {
+    const project = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+    if (!project) throw new TranslationError('not_configured', 'google: missing project id (GCLOUD_PROJECT)', { provider: this.provider });
+
+    let accessToken;
+    try {
+      accessToken = await getAccessToken();
+    } catch (e) {
+      throw this.wrapError(e);
+    }
+    const glossary = hints.glossary || [];
+    const html = glossary.length > 0;
+    const json = await this.postJson(
+      `https://translation.googleapis.com/v3/projects/${project}/locations/${TRANSLATE_LOCATION}:translateText`,
+      {
+        contents: [html ? protectGlossary(text, glossary, '<span translate="no">', '</span>') : text],
+        mimeType: html ? 'text/html' : 'text/plain',
+        sourceLanguageCode: languageCode(sourceLang),
+        targetLanguageCode: languageCode(targetLang),
+        model: modelName(this.model, project),
+      },
+      { Authorization: `Bearer ${accessToken}` },
+      signal,
+    );
+    const raw = json.translations?.[0]?.translatedText;
+    const translated = (html && raw ? unescapeMarkup(raw) : raw)?.trim();
+    if (!translated) throw new TranslationError('empty_result', 'google returned no text', { provider: this.provider });
+    return { text: translated, model: this.model };
+  }
+
+  /**
+   * Language of `text` (`:detectLanguage`; used by languageDetection.js).
+   * @returns {Promise<{ languageCode: string, confidence: number }|null>} null when the API has no answer
+   */
+  async detect(text, signal) {
+    const project = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+    if (!project) throw new TranslationError('not_configured', 'google: missing project id (GCLOUD_PROJECT)', { provider: this.provider });
+
+    let accessToken;
+    try {
+      accessToken = await getAccessToken();
+    } catch (e) {
+      throw this.wrapError(e);
+    }
+    const json = await this.postJson(
+      `https://translation.googleapis.com/v3/projects/${project}/locations/${TRANSLATE_LOCATION}:detectLanguage`,
+      { content: text, mimeType: 'text/plain' },
+      { Authorization: `Bearer ${accessToken}` },
+      signal,
+    );
+    const best = json.languages?.[0];
+    return best && best.languageCode ? { languageCode: best.languageCode, confidence: Number(best.confidence) || 0 } : null;
+  }
+}
+
+module.exports = { GoogleTranslator };
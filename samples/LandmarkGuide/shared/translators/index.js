@@ -0,0 +1,192 @@
+/**
+ * Translation backends and per-language-pair routing for onMessageCreated and the /ws bridge's
+ * inline translation (cloudrun-stt-streaming/translation.js).
+ *
+ * A route is an ordered list of steps; the first step that succeeds wins, and a failure or a
+ * timeout (per step, TRANSLATION_TIMEOUT_MS unless the step sets `timeoutMs`) falls through to
+ * the next one. Steps whose backend has no key/URL configured are skipped.
+ *
+ *   TRANSLATION_PROVIDERS   default route, e.g. "openai:gpt-4o-mini,deepl,google" (default "openai,google")
+ *   TRANSLATION_ROUTES      JSON overrides by "source>target" base language, most specific first:
+ *                           "ko>ar", then "*>ar", then "ko>*", then "default"
+ *     {"ko>ar": ["openai:gpt-4o", "google:translation-llm"], "*>es": ["deepl", {"provider": "openai", "timeoutMs": 8000}]}
+ *
+ * Messages longer than a backend's MAX_INPUT_CHARS are split at sentence boundaries and the
+ * pieces translated in parallel within the same step.
+ *
+ * Glossary renderings are enforced: a step whose output lacks one counts as failed and the next
+ * step is tried. Only when every step misses some rendering is the first such result used, with
+ * the missing terms reported.
+ */
+
+const { TranslationError, baseLanguage, missingRenderings } = require('./base');
+const { OpenAITranslator } = require('./openai');
+const { GoogleTranslator } = require('./google');
+const { DeepLTranslator } = require('./deepl');
+const { LocalTranslator } = require('./local');
+
+const TRANSLATORS = {
+  openai: OpenAITranslator,
+  google: GoogleTranslator,
+  deepl: DeepLTranslator,
+  local: LocalTranslator,
+};
+
+const TIMEOUT_MS = Number(process.env.TRANSLATION_TIMEOUT_MS || 15000);
+const SENTENCE_RE = /[^.!?。！？؟\n]*(?:[.!?。！？؟\n]+|$)\s*/g;
+
+/** "openai:gpt-4o" or { provider, model?, timeoutMs? } → step; throws on an unknown provider. */
+function parseStep(raw, where) {
+  const step = typeof raw === 'string'
+    ? { provider: raw.split(':')[0].trim(), model: raw.includes(':') ? raw.slice(raw.indexOf(':') + 1).trim() : undefined }
+    : { ...raw };
+  if (!step || !TRANSLATORS[step.provider]) {
+    throw new Error(`${where}: unknown translation provider ${JSON.stringify(raw)} (use ${Object.keys(TRANSLATORS).join(', ')})`);
+  }
+  const timeoutMs = Number(step.timeoutMs);
+  return {
+    provider: step.provider,
+    model: step.model || undefined,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : TIMEOUT_MS,
+  };
+}
+
+// Parsed at load so a bad configuration fails the deploy instead of every message.
+function loadRoutes() {
+  const routes = new Map();
+  const defaults = (process.env.TRANSLATION_PROVIDERS || 'openai,google').split(',').map((s) => s.trim()).filter(Boolean);
+  routes.set('default', defaults.map((s) => parseStep(s, 'TRANSLATION_PROVIDERS')));
+  if (process.env.TRANSLATION_ROUTES) {
+    let json;
+    try {
+      json = JSON.parse(process.env.TRANSLATION_ROUTES);
+    } catch (e) {
+      throw new Error(`TRANSLATION_ROUTES is not valid JSON: ${e.message}`);
+    }
+    for (const [pair, steps] of Object.entries(json)) {
+      if (pair !== 'default' && !/^([a-z]{2,3}|\*)>([a-z]{2,3}|\*)$/.test(pair)) {
+        throw new Error(`TRANSLATION_ROUTES: bad key "${pair}" (use "ko>en", "*>en", "ko>*" or "default")`);
+      }
+      if (!Array.isArray(steps) || steps.length === 0) throw new Error(`TRANSLATION_ROUTES["${pair}"] must be a non-empty array`);
+      routes.set(pair, steps.map((s) => parseStep(s, `TRANSLATION_ROUTES["${pair}"]`)));
+    }
+  }
+  return routes;
+}
+
+const ROUTES = loadRoutes();
+
+/** Steps for a language pair (base languages, e.g. 'ko', 'en'). */
+function routeFor(sourceLang, targetLang) {
+  const s = baseLanguage(sourceLang);
+  const t = baseLanguage(targetLang);
+  return ROUTES.get(`${s}>${t}`) || ROUTES.get(`*>${t}`) || ROUTES.get(`${s}>*`) || ROUTES.get('default');
+}
+
+/** The pair's route without unconfigured backends; `model` resolved to the backend's default. */
+function configuredRoute(sourceLang, targetLang) {
+  return routeFor(sourceLang, targetLang)
+    .filter((step) => TRANSLATORS[step.provider].isConfigured())
+    .map((step) => ({ ...step, model: step.model || TRANSLATORS[step.provider].DEFAULT_MODEL || undefined }));
+}
+
+/**
+ * Split `text` into pieces of at most `maxChars`, preferring sentence ends, then spaces.
+ * @returns {{ text: string, glue: string }[]} glue: what separated the piece from the next one
+ */
+function splitText(text, maxChars) {
+  if (text.length <= maxChars) return [{ text, glue: '' }];
+  const raw = [];
+  let current = '';
+  for (let s of text.match(SENTENCE_RE).filter(Boolean)) {
+    while (s.length > maxChars) {
+      const space = s.lastIndexOf(' ', maxChars - 1);
+      const at = space > 0 ? space + 1 : maxChars;
+      if (current) raw.push(current);
+      current = '';
+      raw.push(s.slice(0, at));
+      s = s.slice(at);
+    }
+    if (current && current.length + s.length > maxChars) {
+      raw.push(current);
+      current = '';
+    }
+    current += s;
+  }
+  if (current) raw.push(current);
+  return raw
+    .filter((piece) => piece.trim())
+    .map((piece) => ({ text: piece.trim(), glue: /\n\s*$/.test(piece) ? '\n' : (/\s$/.test(piece) ? ' ' : '') }));
+}
+
+async function runStep(step, text, sourceLang, targetLang, hints) {
+  const Translator = TRANSLATORS[step.provider];
+  const translator = new Translator(step);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), step.timeoutMs);
+  try {
+    const pieces = splitText(text, Translator.MAX_INPUT_CHARS);
+    const results = await Promise.all(pieces.map((p) => translator.translate(p.text, sourceLang, targetLang, controller.signal, hints)));
+    return {
+      text: results.map((r, i) => r.text + (i < pieces.length - 1 ? pieces[i].glue : '')).join(''),
+      model: results[0].model || null,
+    };
+  } catch (e) {
+    throw translator.wrapError(controller.signal.aborted
+      ? new TranslationError('timeout', `${step.provider} timed out after ${step.timeoutMs} ms`, { provider: step.provider, transient: true })
+      : e);
+  } finally {
+    clearTimeout(timer);
+    controller.abort(); // the other pieces of a failed step
+  }
+}
+
+/**
+ * Translate along the pair's route.
+ * @param {string} text
+ * @param {string} sourceLang room language code, e.g. 'ko'
+ * @param {string} targetLang
+ * @param {{ context?: object[], glossary?: object[] }} [hints] see base.js
+ * @returns {Promise<{ text: string, provider: string, model: string|null, ms: number, failed: object[],
+ *          glossaryMissing?: string[] }>}
+ *          failed: the steps tried before, [{ provider, model, code, message, transient }]
+ * @throws {TranslationError} 'all_providers_failed' (details: the failed steps) or 'no_provider'
+ */
+async function translate(text, sourceLang, targetLang, hints = {}) {
+  const failed = [];
+  const glossary = hints.glossary || [];
+  let firstViolation = null;
+  for (const step of configuredRoute(sourceLang, targetLang)) {
+    const started = Date.now();
+    try {
+      const result = await runStep(step, text, sourceLang, targetLang, hints);
+      const outcome = { text: result.text, provider: step.provider, model: result.model, ms: Date.now() - started };
+      const missing = missingRenderings(result.text, glossary);
+      if (missing.length === 0) return { ...outcome, failed };
+      const terms = missing.map((g) => g.term);
+      if (!firstViolation) firstViolation = { ...outcome, glossaryMissing: terms, failed: [...failed] };
+      throw new TranslationError('glossary_violation', `${step.provider} did not use the glossary rendering of ${terms.join(', ')}`, {
+        provider: step.provider,
+      });
+    } catch (e) {
+      console.warn(`Translation step failed (${sourceLang} → ${targetLang}, ${step.provider}):`, e.code || '-', e.message);
+      failed.push({ provider: step.provider, model: step.model || null, code: e.code || 'request_failed', message: e.message, transient: !!e.transient });
+    }
+  }
+  if (firstViolation) return firstViolation;
+  if (failed.length === 0) {
+    throw new TranslationError('no_provider', `No configured translation provider for ${sourceLang} → ${targetLang}`);
+  }
+  throw new TranslationError('all_providers_failed', `All translation providers failed for ${sourceLang} → ${targetLang}`, {
+    transient: failed.some((f) => f.transient),
+    details: failed,
+  });
+}
+
+module.exports = {
+  translate,
+  routeFor,
+  configuredRoute,
+  splitText,
+  TranslationError,
+};
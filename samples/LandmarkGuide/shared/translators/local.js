@@ -0,0 +1,43 @@
+/**
+ * Self-hosted offline engine with a LibreTranslate-compatible API (LibreTranslate, or an
+ * Argos/NLLB server behind the same `/translate` shape) at LOCAL_TRANSLATE_URL.
+ *
+ *   POST {LOCAL_TRANSLATE_URL}/translate  { q, source, target, format: "text" | "html", api_key? }
+ *     → { translatedText }
+ *
+ * Glossary terms are sent as `<span translate="no">rendering</span>` with `format: "html"`; engines
+ * that translate them anyway fail the glossary check and fall through to the next step.
+ *
+ * The route step's model is passed through as `model` for servers that host several.
+ */
+
+const {
+  Translator, TranslationError, baseLanguage, protectGlossary, unescapeMarkup,
+} = require('./base');
+
+class LocalTranslator extends Translator {
+  static isConfigured() {
+    return !!process.env.LOCAL_TRANSLATE_URL;
+  }
+
+  async translate(text, sourceLang, targetLang, signal, hints = {}) {
+    const glossary = hints.glossary || [];
+    const html = glossary.length > 0;
+    const body = {
+      q: html ? protectGlossary(text, glossary, '<span translate="no">', '</span>') : text,
+      source: baseLanguage(sourceLang),
+      target: baseLanguage(targetLang),
+      format: html ? 'html' : 'text',
+    };
+    if (process.env.LOCAL_TRANSLATE_API_KEY) body.api_key = process.env.LOCAL_TRANSLATE_API_KEY;
+    if (this.model) body.model = this.model;
+    const url = `${process.env.LOCAL_TRANSLATE_URL.replace(/\/+$/, '')}/translate`;
+    const json = await this.postJson(url, body, {}, signal);
+    const raw = typeof json.translatedText === 'string' ? json.translatedText : '';
+    const translated = (html ? unescapeMarkup(raw) : raw).trim();
+    if (!translated) throw new TranslationError('empty_result', 'local engine returned no text', { provider: this.provider });
+    return { text: translated, model: this.model };
+  }
+}
+
+module.exports = { LocalTranslator };
@@ -0,0 +1,90 @@
+/**
+ * OpenAI chat completion translator (the original onMessageCreated backend).
+ *
+ * `max_tokens` grows with the input instead of the old fixed 100, and a completion cut off by
+ * the limit (`finish_reason: "length"`) is an error rather than a half translation.
+ * Conversation context and glossary renderings go into the system prompt.
+ */
+
+const OpenAI = require('openai');
+const { Translator, TranslationError } = require('./base');
+const { languageName } = require('../languages');
+
+// Generous for every script we serve: Korean/Arabic run about one token per character.
+const TOKENS_PER_INPUT_CHAR = 3;
+const MAX_OUTPUT_TOKENS = Number(process.env.TRANSLATION_OPENAI_MAX_OUTPUT_TOKENS || 4096);
+
+let client = null;
+
+// Gen 1에서는 환경 변수를 process.env로 접근
+function getOpenAIClient() {
+  if (!client) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is not set. Please set it in Firebase Console → Functions → Configuration → Environment variables (Cloud Run: --set-secrets).');
+    }
+    // Fallback to the next route step is our retry.
+    client = new OpenAI({ apiKey, maxRetries: 0 });
+  }
+  return client;
+}
+
+function systemPrompt(sourceLang, targetLang, hints) {
+  const lines = [
+    `You are a professional translator. Translate the user's message from ${languageName(sourceLang)} to ${languageName(targetLang)}. Return ONLY the translation, no explanations or additional text.`,
+  ];
+  if (hints.glossary && hints.glossary.length > 0) {
+    lines.push('', 'Always translate these terms exactly as given:');
+    for (const g of hints.glossary) lines.push(`- "${g.term}" → "${g.rendering}"`);
+  }
+  if (hints.context && hints.context.length > 0) {
+    lines.push('', 'Earlier messages in this conversation, for resolving pronouns, ellipsis and names only (do not translate them):');
+    for (const c of hints.context) {
+      lines.push(`${c.speaker}: ${c.text}${c.translation ? ` (${languageName(targetLang)}: ${c.translation})` : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+class OpenAITranslator extends Translator {
+  static MAX_INPUT_CHARS = 1200;
+
+  static DEFAULT_MODEL = process.env.TRANSLATION_MODEL || 'gpt-3.5-turbo';
+
+  static isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  async translate(text, sourceLang, targetLang, signal, hints = {}) {
+    let response;
+    try {
+      response = await getOpenAIClient().chat.completions.create({
+        model: this.model,
+        messages: [
+          { role: 'system', content: systemPrompt(sourceLang, targetLang, hints) },
+          { role: 'user', content: text },
+        ],
+        max_tokens: Math.min(MAX_OUTPUT_TOKENS, 64 + text.length * TOKENS_PER_INPUT_CHAR),
+        temperature: 0.1,
+      }, { signal });
+    } catch (e) {
+      if (e instanceof OpenAI.APIError && e.status) {
+        throw new TranslationError(`http_${e.status}`, `openai: ${e.message}`, {
+          provider: this.provider,
+          transient: e.status === 429 || e.status >= 500,
+        });
+      }
+      throw this.wrapError(e);
+    }
+
+    const choice = response.choices[0];
+    if (choice?.finish_reason === 'length') {
+      throw new TranslationError('truncated', `openai: output hit max_tokens for ${text.length} characters`, { provider: this.provider });
+    }
+    const translated = choice?.message?.content?.trim();
+    if (!translated) throw new TranslationError('empty_result', 'openai returned no text', { provider: this.provider });
+    return { text: translated, model: response.model || this.model };
+  }
+}
+
+module.exports = { OpenAITranslator };
@@ -0,0 +1,121 @@
+/**
+ * Phrase hints (speech adaptation): the registry layout and the rules every recognition path uses.
+ *
+ * - /sttVocabulary/global, /sttVocabulary/places/{placeId}, /sttVocabulary/rooms/{roomId}
+ *   each `{ phrases: { <key>: { value, boost?, languageCodes? } } }`
+ * - plus the caller's `phraseHints: ["Bukchon", { value: "Gyeongbokgung", boost: 15 }]`
+ *   and scopes `vocabulary: { place, room }`
+ *
+ * Duplicates (case-insensitive) keep the highest boost; above STT_MAX_PHRASES the caller's hints
+ * and the room's phrases are kept before the place's and the global ones. Phrases with
+ * `languageCodes` only apply when one of the recognizer's languages has the same base language.
+ *
+ * Reading the registry is up to each package (firebase-functions/vocabulary.js,
+ * cloudrun-stt-streaming/vocabulary.js); this module only validates and merges.
+ */
+
+const { baseLanguage } = require('./translators/base');
+
+const MAX_CLIENT_HINTS = Number(process.env.STT_MAX_PHRASE_HINTS || 100);
+// Google allows 1000 phrases per inline phrase set; vendors degrade long before that.
+const MAX_PHRASES = Number(process.env.STT_MAX_PHRASES || 500);
+const MAX_PHRASE_CHARS = 100;
+const MAX_BOOST = 20;
+const SCOPE_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+class VocabularyError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'VocabularyError';
+    this.details = details;
+  }
+}
+
+/** @returns {{ value: string, boost: number|null, languageCodes: string[]|null }|null} */
+function normalizePhrase(raw) {
+  const p = typeof raw === 'string' ? { value: raw } : raw;
+  if (!p || typeof p.value !== 'string') return null;
+  const value = p.value.trim().replace(/\s+/g, ' ');
+  if (!value || value.length > MAX_PHRASE_CHARS) return null;
+  const boost = Number.isFinite(p.boost) ? Math.max(0, Math.min(MAX_BOOST, p.boost)) : null;
+  const languageCodes = Array.isArray(p.languageCodes)
+    ? p.languageCodes.filter((l) => typeof l === 'string').map(baseLanguage).filter(Boolean)
+    : null;
+  return { value, boost, languageCodes: languageCodes && languageCodes.length > 0 ? languageCodes : null };
+}
+
+/**
+ * Validate `phraseHints` (an array) and `vocabulary` (an object or undefined).
+ * @returns {{ hints: object[], place: string|null, room: string|null }}
+ * @throws {VocabularyError}
+ */
+function parseVocabulary(phraseHints, vocabulary) {
+  if (!Array.isArray(phraseHints)) {
+    throw new VocabularyError('phraseHints must be an array', '["Bukchon", { "value": "Gyeongbokgung", "boost": 15 }]');
+  }
+  if (phraseHints.length > MAX_CLIENT_HINTS) {
+    throw new VocabularyError('Too many phraseHints', `At most ${MAX_CLIENT_HINTS}`);
+  }
+  const hints = phraseHints.map((h, i) => {
+    const p = normalizePhrase(h);
+    if (!p) throw new VocabularyError(`Invalid phraseHints[${i}]`, `A string or { value, boost } with 1-${MAX_PHRASE_CHARS} characters`);
+    return p;
+  });
+
+  const voc = vocabulary === undefined ? {} : vocabulary;
+  if (!voc || typeof voc !== 'object') throw new VocabularyError('vocabulary must be an object', '{ "place": "gyeongbokgung" }');
+  const scope = (name, v) => {
+    if (v === undefined || v === null) return null;
+    if (!SCOPE_ID_RE.test(String(v))) throw new VocabularyError(`Invalid vocabulary.${name}`, 'Use 1-64 characters [A-Za-z0-9_-]');
+    return String(v);
+  };
+  return { hints, place: scope('place', voc.place), room: scope('room', voc.room) };
+}
+
+/** Registry paths of a request's scopes, most specific first. */
+function scopePaths(voc) {
+  const paths = [];
+  if (voc.room) paths.push(`/sttVocabulary/rooms/${voc.room}`);
+  if (voc.place) paths.push(`/sttVocabulary/places/${voc.place}`);
+  paths.push('/sttVocabulary/global');
+  return paths;
+}
+
+/** The `phrases` of a registry scope (as read from RTDB) → normalized phrases. */
+function scopePhrases(raw) {
+  return Object.values(raw || {}).map(normalizePhrase).filter(Boolean);
+}
+
+/** Merge lists, most specific first; a repeated phrase keeps the highest boost. */
+function mergePhrases(lists) {
+  const byKey = new Map();
+  for (const p of lists.flat()) {
+    const key = p.value.toLowerCase();
+    const prev = byKey.get(key);
+    if (!prev) {
+      byKey.set(key, { ...p });
+    } else if ((p.boost ?? -1) > (prev.boost ?? -1)) {
+      prev.boost = p.boost;
+    }
+  }
+  // Over the cap, the broadest scopes (global) lose their phrases first.
+  return [...byKey.values()].slice(0, MAX_PHRASES);
+}
+
+/** Phrases that apply to a recognizer for `languageCodes` → [{ value, boost }] (boost null: vendor default) */
+function phrasesForLanguages(phrases, languageCodes) {
+  const langs = new Set((languageCodes || []).map(baseLanguage));
+  return phrases
+    .filter((p) => !p.languageCodes || p.languageCodes.some((l) => langs.has(l)))
+    .map(({ value, boost }) => ({ value, boost }));
+}
+
+module.exports = {
+  VocabularyError,
+  normalizePhrase,
+  parseVocabulary,
+  scopePaths,
+  scopePhrases,
+  mergePhrases,
+  phrasesForLanguages,
+};